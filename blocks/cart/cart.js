@@ -1,14 +1,24 @@
 import { createOptimizedPicture, readBlockConfig } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
-
-/**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
- */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
-}
+import { fetchAllProducts } from "../../scripts/catalog.js";
+import {
+  getCart,
+  remove,
+  setQuantity,
+  applyCoupon,
+  formatPrice,
+  formatDiscount,
+  formatShipping,
+  formatTax,
+} from "../../scripts/commerce/cart.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { formatVariantOptions } from "../../scripts/commerce/variants.js";
+import {
+  STOCK_STATUS,
+  DEFAULT_LOW_STOCK,
+  getStockStatus,
+} from "../../scripts/commerce/inventory.js";
+import { COMMERCE_PAGES, navigateTo } from "../../scripts/commerce/routes.js";
 
 /**
  * Update cart totals display
@@ -17,12 +27,24 @@ function formatPrice(amount) {
  */
 function updateCartTotals(block, cartData) {
   const subtotalEl = block.querySelector(".cart-subtotal-value");
+  const shippingEl = block.querySelector(".cart-shipping-value");
+  const taxEl = block.querySelector(".cart-tax-value");
+  const discountEl = block.querySelector(".cart-discount-value");
   const totalEl = block.querySelector(".cart-total-value");
   const productCountEl = block.querySelector(".cart-product-count");
 
   if (subtotalEl) {
     subtotalEl.textContent = formatPrice(cartData.subTotal || 0);
   }
+  if (shippingEl) {
+    shippingEl.textContent = formatShipping(cartData.shipping);
+  }
+  if (taxEl) {
+    taxEl.textContent = formatTax(cartData.tax);
+  }
+  if (discountEl) {
+    discountEl.textContent = formatDiscount(cartData.discount);
+  }
   if (totalEl) {
     totalEl.textContent = formatPrice(cartData.total || 0);
   }
@@ -37,44 +59,30 @@ function updateCartTotals(block, cartData) {
  * @param {HTMLElement} block - Cart block element
  */
 function removeFromCart(productId, block) {
-  const currentCart = window.getDataLayerProperty("cart") || {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
-
-  if (currentCart.products[productId]) {
-    delete currentCart.products[productId];
-
-    // Recalculate totals
-    const productValues = Object.values(currentCart.products);
-    currentCart.productCount = productValues.reduce(
-      (sum, p) => sum + p.quantity,
-      0
-    );
-    currentCart.subTotal = productValues.reduce(
-      (sum, p) => sum + p.subTotal,
-      0
-    );
-    currentCart.total = currentCart.subTotal;
-
-    // Update dataLayer (use merge=false to replace entire cart, not deep merge)
-    // This ensures deleted products are actually removed, not merged back
-    if (window.updateDataLayer) {
-      window.updateDataLayer({ cart: currentCart }, false);
-      console.log(
-        `Removed product ${productId} from cart. New cart:`,
-        currentCart
-      );
-    } else {
-      console.error("updateDataLayer not available");
-    }
+  const currentCart = remove(productId);
 
-    // Refresh cart display
-    renderCartItems(block, currentCart);
-    updateCartTotals(block, currentCart);
-  }
+  // Refresh cart display
+  renderCartItems(block, currentCart);
+  updateCartTotals(block, currentCart);
+}
+
+/**
+ * Show how many items are left for a cart line with limited stock
+ * @param {HTMLElement} row - Cart item row
+ * @param {Object} product - Cart line
+ * @param {boolean} limited - Whether the requested quantity was capped
+ */
+function updateStockMessage(row, product, limited = false) {
+  const stockEl = row.querySelector(".cart-item-stock");
+  if (!stockEl) return;
+
+  const stockStatus = Number.isFinite(product.stock)
+    ? getStockStatus({ stock: product.stock, lowStock: DEFAULT_LOW_STOCK })
+    : null;
+  const showMessage = limited || stockStatus?.status === STOCK_STATUS.LOW_STOCK;
+
+  stockEl.hidden = !showMessage;
+  stockEl.textContent = showMessage ? `Only ${product.stock} available` : "";
 }
 
 /**
@@ -90,48 +98,25 @@ function updateQuantity(productId, newQuantity, block) {
     return;
   }
 
-  const currentCart = window.getDataLayerProperty("cart") || {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
-
-  if (currentCart.products[productId]) {
-    currentCart.products[productId].quantity = quantity;
-    currentCart.products[productId].subTotal =
-      quantity * currentCart.products[productId].price;
-    currentCart.products[productId].total =
-      currentCart.products[productId].subTotal;
-
-    // Recalculate cart totals
-    const productValues = Object.values(currentCart.products);
-    currentCart.productCount = productValues.reduce(
-      (sum, p) => sum + p.quantity,
-      0
-    );
-    currentCart.subTotal = productValues.reduce(
-      (sum, p) => sum + p.subTotal,
-      0
-    );
-    currentCart.total = currentCart.subTotal;
+  const currentCart = setQuantity(productId, quantity);
+  if (!currentCart.products[productId]) return;
 
-    // Update dataLayer (use merge=false to replace entire cart)
-    window.updateDataLayer({ cart: currentCart }, false);
+  // Update display
+  updateCartTotals(block, currentCart);
 
-    // Update display
-    updateCartTotals(block, currentCart);
-
-    // Update individual product total
-    const productRow = block.querySelector(`[data-product-id="${productId}"]`);
-    if (productRow) {
-      const priceEl = productRow.querySelector(".cart-item-price");
-      if (priceEl) {
-        priceEl.textContent = formatPrice(
-          currentCart.products[productId].subTotal
-        );
-      }
+  // Update individual product total
+  const product = currentCart.products[productId];
+  const productRow = block.querySelector(`[data-product-id="${productId}"]`);
+  if (productRow) {
+    const priceEl = productRow.querySelector(".cart-item-price");
+    if (priceEl) {
+      priceEl.textContent = formatPrice(product.subTotal);
     }
+
+    // The cart service caps the quantity at the available stock
+    const qtyInput = productRow.querySelector(".cart-qty-input");
+    if (qtyInput) qtyInput.value = product.quantity;
+    updateStockMessage(productRow, product, product.quantity < quantity);
   }
 }
 
@@ -173,11 +158,29 @@ function buildCartItem(product, block, isAuthor) {
     if (picture) imageWrap.appendChild(picture);
   }
 
+  const infoEl = document.createElement("div");
+  infoEl.className = "cart-item-info";
+
   const nameEl = document.createElement("div");
   nameEl.className = "cart-item-name";
   nameEl.textContent = name || "";
+  infoEl.appendChild(nameEl);
+
+  // Selected variant options (e.g. Color: Blue / Size: M)
+  const options = formatVariantOptions(product);
+  if (options.length > 0) {
+    const optionsEl = document.createElement("div");
+    optionsEl.className = "cart-item-options";
+    optionsEl.textContent = options.join(" / ");
+    infoEl.appendChild(optionsEl);
+  }
 
-  productCell.append(imageWrap, nameEl);
+  const stockEl = document.createElement("div");
+  stockEl.className = "cart-item-stock";
+  stockEl.hidden = true;
+  infoEl.appendChild(stockEl);
+
+  productCell.append(imageWrap, infoEl);
 
   // Quantity
   const qtyCell = document.createElement("div");
@@ -186,6 +189,7 @@ function buildCartItem(product, block, isAuthor) {
   const qtyInput = document.createElement("input");
   qtyInput.type = "number";
   qtyInput.min = "1";
+  if (Number.isFinite(product.stock)) qtyInput.max = `${product.stock}`;
   qtyInput.value = quantity;
   qtyInput.className = "cart-qty-input";
   qtyInput.setAttribute("aria-label", `Quantity for ${name}`);
@@ -218,6 +222,7 @@ function buildCartItem(product, block, isAuthor) {
   removeCell.appendChild(removeBtn);
 
   row.append(productCell, qtyCell, priceCell, removeCell);
+  updateStockMessage(row, product);
   return row;
 }
 
@@ -311,21 +316,44 @@ function renderCartItems(block, cartData) {
   });
 }
 
+/**
+ * Show discount feedback below the discount input
+ * @param {HTMLElement} block - Cart block element
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showDiscountMessage(block, message, isError = false) {
+  const messageEl = block.querySelector(".cart-discount-message");
+  if (!messageEl) return;
+
+  messageEl.textContent = message || "";
+  messageEl.classList.toggle("cart-discount-message-error", isError);
+}
+
 /**
  * Apply discount code
+ * Looks up the code in the authored promotions sheet, validates it against
+ * the current cart and stores the discount on the cart in the dataLayer
  * @param {string} code - Discount code
  * @param {HTMLElement} block - Cart block element
  */
-function applyDiscount(code, block) {
-  // TODO: Implement actual discount logic
-  // For now, just show a message
-  const discountValueEl = block.querySelector(".cart-discount-value");
-  if (discountValueEl) {
-    discountValueEl.textContent = "----";
+async function applyDiscount(code, block) {
+  const applyBtn = block.querySelector(".cart-apply-discount");
+  if (applyBtn) applyBtn.disabled = true;
+
+  const result = await applyCoupon(code);
+
+  if (applyBtn) applyBtn.disabled = false;
+
+  if (!result.valid) {
+    showDiscountMessage(block, result.message, true);
+    return;
   }
 
+  updateCartTotals(block, result.cart);
+  showDiscountMessage(block, result.message);
+
   // Show feedback
-  const applyBtn = block.querySelector(".cart-apply-discount");
   if (applyBtn) {
     const originalText = applyBtn.textContent;
     applyBtn.textContent = "Applied!";
@@ -339,16 +367,13 @@ function applyDiscount(code, block) {
  * Handle checkout
  */
 function handleCheckout() {
-  const cartData = window.getDataLayerProperty("cart");
-  if (!cartData || !cartData.productCount || cartData.productCount === 0) {
+  const cartData = getCart();
+  if (!cartData.productCount) {
     alert("Your cart is empty");
     return;
   }
 
-  // Navigate to checkout page
-  const currentPath = window.location.pathname;
-  const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-  window.location.href = `${basePath}/checkout`;
+  navigateTo(COMMERCE_PAGES.CHECKOUT);
 }
 
 /**
@@ -389,7 +414,15 @@ function buildCartSummary(cartData) {
   discountInputWrap.className = "cart-discount-input-wrap";
   discountInputWrap.append(discountInput, applyBtn);
 
-  discountSection.append(discountLabel, discountInputWrap);
+  const discountMessage = document.createElement("p");
+  discountMessage.className = "cart-discount-message";
+  discountMessage.setAttribute("aria-live", "polite");
+  if (cartData.discount) {
+    discountInput.value = cartData.discount.code;
+    discountMessage.textContent = cartData.discount.description || "";
+  }
+
+  discountSection.append(discountLabel, discountInputWrap, discountMessage);
 
   const totalsSection = document.createElement("div");
   totalsSection.className = "cart-totals";
@@ -409,7 +442,17 @@ function buildCartSummary(cartData) {
   shippingRow.className = "cart-total-row";
   shippingRow.innerHTML = `
     <span>Shipping</span>
-    <span>---</span>
+    <span class="cart-shipping-value">${formatShipping(
+      cartData.shipping
+    )}</span>
+  `;
+
+  // Tax
+  const taxRow = document.createElement("div");
+  taxRow.className = "cart-total-row";
+  taxRow.innerHTML = `
+    <span>Tax</span>
+    <span class="cart-tax-value">${formatTax(cartData.tax)}</span>
   `;
 
   // Discount
@@ -417,7 +460,9 @@ function buildCartSummary(cartData) {
   discountRow.className = "cart-total-row";
   discountRow.innerHTML = `
     <span>Discount</span>
-    <span class="cart-discount-value">----</span>
+    <span class="cart-discount-value">${formatDiscount(
+      cartData.discount
+    )}</span>
   `;
 
   // Total
@@ -428,7 +473,7 @@ function buildCartSummary(cartData) {
     <span class="cart-total-value">${formatPrice(cartData.total || 0)}</span>
   `;
 
-  totalsSection.append(subtotalRow, shippingRow, discountRow, totalRow);
+  totalsSection.append(subtotalRow, shippingRow, discountRow, taxRow, totalRow);
 
   // Checkout button
   const checkoutBtn = document.createElement("button");
@@ -440,39 +485,6 @@ function buildCartSummary(cartData) {
   return summary;
 }
 
-/**
- * Fetch all products from a folder
- * @param {string} path - Content fragment folder path
- * @param {boolean} isAuthor - Is author environment
- * @returns {Promise<Array>} - Array of products
- */
-async function fetchAllProducts(path, isAuthor) {
-  try {
-    if (!path) {
-      return [];
-    }
-    const baseUrl = isAuthor
-      ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-      : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?";
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items = json?.data?.productsModelList?.items || [];
-    const filtered = items.filter((item) => item && item.sku);
-    return filtered;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Cart: fetch all products error", e);
-    return [];
-  }
-}
-
 /**
  * Build a recommendation card
  * @param {Object} item - Product data
@@ -587,8 +599,10 @@ function buildRecommendations(allProducts, cartData, isAuthor) {
     }
   });
 
-  // Get cart product IDs to exclude
-  const cartProductIds = new Set(Object.keys(cartData.products || {}));
+  // Get cart product IDs to exclude (variant lines share their product ID)
+  const cartProductIds = new Set(
+    cartProducts.map((product) => product.productId || product.id)
+  );
 
   // Filter products by matching category and exclude items in cart
   const recommendations = allProducts
@@ -626,18 +640,17 @@ function buildRecommendations(allProducts, cartData, isAuthor) {
 }
 
 /**
- * Listen for dataLayer updates and refresh cart
+ * Refresh the cart when dataLayer.cart changes
  * @param {HTMLElement} block - Cart block element
  * @param {string} folderHref - Product folder path
  * @param {boolean} isAuthor - Is author environment
  * @param {Array} allProducts - Cached products list
  */
 function setupDataLayerListener(block, folderHref, isAuthor, allProducts) {
-  document.addEventListener("dataLayerUpdated", async (event) => {
-    const { dataLayer } = event.detail;
-    if (dataLayer && dataLayer.cart) {
-      renderCartItems(block, dataLayer.cart);
-      updateCartTotals(block, dataLayer.cart);
+  window.subscribeDataLayer("cart", ({ newValue: cart }) => {
+    if (cart) {
+      renderCartItems(block, cart);
+      updateCartTotals(block, cart);
 
       // Rebuild recommendations if folder is provided
       if (folderHref && allProducts && allProducts.length > 0) {
@@ -652,7 +665,7 @@ function setupDataLayerListener(block, folderHref, isAuthor, allProducts) {
           // Build new recommendations based on updated cart
           const recommendations = buildRecommendations(
             allProducts,
-            dataLayer.cart,
+            cart,
             isAuthor
           );
           if (recommendations) {
@@ -688,6 +701,9 @@ export default async function decorate(block) {
 
   block.textContent = "";
 
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
   // Build cart structure
   const container = document.createElement("div");
   container.className = "cart-container";
@@ -707,23 +723,8 @@ export default async function decorate(block) {
 
   mainSection.appendChild(itemsContainer);
 
-  // Get cart data from dataLayer
-  const cartData = window.getDataLayerProperty
-    ? window.getDataLayerProperty("cart")
-    : null;
-
-  if (!window.getDataLayerProperty) {
-    console.warn(
-      "⚠️ getDataLayerProperty not available yet - cart may not display correctly"
-    );
-  }
-
-  const currentCart = cartData || {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
+  // Get cart data from the cart service
+  const currentCart = getCart();
 
   // Build cart summary
   const summary = buildCartSummary(currentCart);
@@ -745,7 +746,9 @@ export default async function decorate(block) {
   // Fetch products and build recommendations if folder is provided
   let allProducts = [];
   if (folderHref) {
-    allProducts = await fetchAllProducts(folderHref, isAuthor);
+    allProducts = (await fetchAllProducts(folderHref)).filter(
+      (item) => item.sku
+    );
     const recommendations = buildRecommendations(
       allProducts,
       currentCart,
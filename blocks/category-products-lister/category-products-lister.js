@@ -1,102 +1,42 @@
-import { readBlockConfig, createOptimizedPicture } from "../../scripts/aem.js";
+import { readBlockConfig } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { fetchProducts } from "../../scripts/catalog.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { loadInventory } from "../../scripts/commerce/inventory.js";
+import { normalizeCategory } from "../../scripts/commerce/categories.js";
+import {
+  SORT_OPTIONS,
+  buildFacets,
+  filterProducts,
+  sortProducts,
+  readFacetState,
+  writeFacetState,
+} from "./facets.js";
+import {
+  PAGINATION_MODES,
+  buildProductCard,
+  getPaginationConfig,
+  createSkeletonCards,
+  createPager,
+  getListingKey,
+  saveListingPosition,
+  takeListingPosition,
+  restoreListingPosition,
+} from "../../scripts/commerce/listing.js";
 
-function buildCard(item, isAuthor) {
-  const { id, sku, name, image = {}, category = [] } = item || {};
-  let imgUrl = isAuthor ? image?._authorUrl : image?._publishUrl;
-  const productId = sku || id || "";
-
-  const card = document.createElement("article");
-  card.className = "cpl-card";
-
-  // Make card clickable and redirect to product page
-  if (productId) {
-    card.style.cursor = "pointer";
-    card.addEventListener("click", () => {
-      const currentPath = window.location.pathname;
-      // Replace the last segment (e.g., 'men-products') with 'product'
-      const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-      // On author add .html extension, on publish don't
-      const productPath = isAuthor
-        ? `${basePath}/product.html`
-        : `${basePath}/product`;
-      window.location.href = `${productPath}?productId=${encodeURIComponent(
-        productId
-      )}`;
-    });
-  }
-
-  // On publish, if imgUrl is a full URL, createOptimizedPicture needs just the path
-  // But we need the full publish URL, so create the picture element manually for publish
-  let picture = null;
-  if (imgUrl) {
-    if (!isAuthor && imgUrl.startsWith("http")) {
-      // For publish with full URL, use it directly in an img tag
-      picture = document.createElement("picture");
-      const img = document.createElement("img");
-      img.src = imgUrl;
-      img.alt = name || "Product image";
-      img.loading = "lazy";
-      picture.appendChild(img);
-    } else {
-      // For author or relative paths, use createOptimizedPicture
-      picture = createOptimizedPicture(imgUrl, name || "Product image", false, [
-        { media: "(min-width: 900px)", width: "600" },
-        { media: "(min-width: 600px)", width: "400" },
-        { width: "320" },
-      ]);
-    }
-  }
-
-  const imgWrap = document.createElement("div");
-  imgWrap.className = "cpl-card-media";
-  if (picture) imgWrap.append(picture);
-
-  const meta = document.createElement("div");
-  meta.className = "cpl-card-meta";
-  const categoryText = category && category.length ? category.join(", ") : "";
-  const cat = document.createElement("p");
-  cat.className = "cpl-card-category";
-  // Format category: remove "luma:" or "Lumaproducts:", replace commas with slashes, uppercase
-  cat.textContent = categoryText
-    .replace(/^(luma:|lumaproducts:)/gi, "") // Remove luma/lumaproducts prefix (case-insensitive)
-    .replace(/\//g, " / ") // Replace commas with slashes
-    .toUpperCase(); // Convert to uppercase
-  const title = document.createElement("h3");
-  title.className = "cpl-card-title";
-  title.textContent = name || "";
-  meta.append(cat, title);
-
-  card.append(imgWrap, meta);
-  return card;
+/**
+ * Build a product card
+ * @param {Object} item - Product content fragment
+ * @param {boolean} isAuthor - Is author environment
+ * @param {Map} inventory - Inventory sheet (see loadInventory)
+ * @param {string} folder - Catalog folder of the product
+ * @returns {HTMLElement} Product card
+ */
+function buildCard(item, isAuthor, inventory, folder) {
+  return buildProductCard(item, { prefix: "cpl", isAuthor, inventory, folder });
 }
 
-async function fetchProducts(path) {
-  try {
-    if (!path) return [];
-
-    const baseUrl = isAuthorEnvironment()
-    ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-    : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?";
-  const url = `${baseUrl}_path=${path}`;
-
-    const resp = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        Pragma: 'no-cache',
-      },
-    });
-    const json = await resp.json();
-    return json?.data?.productsModelList?.items || [];
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Category Products Lister: fetch error", e);
-    return [];
-  }
-}
-
-function renderHeader(container, selectedTags) {
+function renderHeader(container, selectedTags, onToggle) {
   if (!selectedTags || selectedTags.length === 0) return;
   const wrap = document.createElement("div");
   wrap.className = "cpl-tags";
@@ -107,14 +47,101 @@ function renderHeader(container, selectedTags) {
     .map((t) => `${t}`.trim())
     .filter(Boolean)
     .forEach((tag) => {
-      const chip = document.createElement("span");
+      // Tags filter the listing by their category
+      const chip = document.createElement("button");
+      chip.type = "button";
       chip.className = "cpl-tag";
       chip.textContent = tag;
+      chip.dataset.category = normalizeCategory(tag);
+      chip.setAttribute("aria-pressed", "false");
+      chip.addEventListener("click", () => onToggle(chip.dataset.category));
       wrap.append(chip);
     });
   container.append(wrap);
 }
 
+/**
+ * Build the facet filters sidebar
+ * @param {HTMLElement} container - Facets container
+ * @param {Array} facets - Facets (see buildFacets)
+ * @param {Function} onToggle - Called with (facetId, value)
+ */
+function renderFacets(container, facets, onToggle) {
+  container.textContent = "";
+
+  facets.forEach((facet) => {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = `cpl-facet cpl-facet-${facet.id}`;
+
+    const legend = document.createElement("legend");
+    legend.className = "cpl-facet-title";
+    legend.textContent = facet.label;
+    fieldset.append(legend);
+
+    facet.values.forEach(({ value, label, count, selected }) => {
+      const option = document.createElement("label");
+      option.className = "cpl-facet-option";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = selected;
+      checkbox.disabled = !selected && count === 0;
+      checkbox.addEventListener("change", () => onToggle(facet.id, value));
+
+      const text = document.createElement("span");
+      text.className = "cpl-facet-label";
+      text.textContent = label;
+
+      const countEl = document.createElement("span");
+      countEl.className = "cpl-facet-count";
+      countEl.textContent = `(${count})`;
+
+      option.append(checkbox, text, countEl);
+      fieldset.append(option);
+    });
+
+    container.append(fieldset);
+  });
+}
+
+/**
+ * Build the result count and sort toolbar
+ * @param {Function} onSort - Called with the selected sort option ID
+ * @returns {HTMLElement} Toolbar
+ */
+function buildToolbar(onSort) {
+  const toolbar = document.createElement("div");
+  toolbar.className = "cpl-toolbar";
+
+  const count = document.createElement("p");
+  count.className = "cpl-result-count";
+  count.setAttribute("aria-live", "polite");
+
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "cpl-clear-filters";
+  clearBtn.textContent = "Clear filters";
+  clearBtn.hidden = true;
+
+  const sortLabel = document.createElement("label");
+  sortLabel.className = "cpl-sort";
+  sortLabel.textContent = "Sort by";
+
+  const sortSelect = document.createElement("select");
+  sortSelect.className = "cpl-sort-select";
+  SORT_OPTIONS.forEach(({ id, label }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = label;
+    sortSelect.append(option);
+  });
+  sortSelect.addEventListener("change", () => onSort(sortSelect.value));
+  sortLabel.append(sortSelect);
+
+  toolbar.append(count, clearBtn, sortLabel);
+  return toolbar;
+}
+
 export default async function decorate(block) {
   // Check if we're in author environment
   const isAuthor = isAuthorEnvironment();
@@ -149,16 +176,63 @@ export default async function decorate(block) {
   // Extract tags - for Universal Editor they'll be in data attributes
   const tags = block.dataset?.["cqTags"] || cfg?.tags || cfg?.["cq:tags"] || "";
 
+  // Pagination mode (block style) and the position to restore when
+  // coming back from a product page
+  const { mode, pageSize } = getPaginationConfig(block, cfg);
+  const paged = mode !== PAGINATION_MODES.ALL;
+  const listingKey = getListingKey(block);
+  const savedPosition = takeListingPosition(listingKey);
+
   // Clear author table
   block.innerHTML = "";
 
-  renderHeader(block, tags);
+  // Filters and sort order, kept in sync with the URL
+  const state = readFacetState();
+  let render = () => {};
+
+  const toggleFilter = (facetId, value) => {
+    const selected = state.filters[facetId] || [];
+    state.filters[facetId] = selected.includes(value)
+      ? selected.filter((v) => v !== value)
+      : [...selected, value];
+    render();
+  };
+
+  renderHeader(block, tags, (category) => toggleFilter("category", category));
+
+  const toolbar = buildToolbar((sort) => {
+    state.sort = sort;
+    render();
+  });
+  toolbar.hidden = true;
+
+  const layout = document.createElement("div");
+  layout.className = "cpl-layout";
+
+  const facetsEl = document.createElement("aside");
+  facetsEl.className = "cpl-facets";
+  facetsEl.setAttribute("aria-label", "Filter products");
 
   const grid = document.createElement("div");
   grid.className = "cpl-grid";
-  block.append(grid);
+  layout.append(facetsEl, grid);
+  block.append(toolbar, layout);
+
+  // Skeleton cards while the first page loads
+  grid.append(...createSkeletonCards(pageSize, "cpl"));
+
+  // Prices are shown in the currency of the page language
+  // (the first page covers everything that was loaded before leaving)
+  const [firstPage, , inventory] = await Promise.all([
+    fetchProducts(folderHref, {
+      limit: paged ? Math.max(pageSize, savedPosition?.loadedCount || 0) : 0,
+    }),
+    loadCurrency(),
+    loadInventory(),
+  ]);
+  const { items } = firstPage;
+  grid.textContent = "";
 
-  const items = await fetchProducts(folderHref);
   if (!items || items.length === 0) {
     const empty = document.createElement("p");
     empty.className = "cpl-empty";
@@ -167,6 +241,95 @@ export default async function decorate(block) {
     return;
   }
 
-  const cards = items.map((item) => buildCard(item, isAuthor));
-  grid.append(...cards);
+  // Cards are built once and re-ordered/filtered on every change
+  const cards = new Map(
+    items.map((item) => [
+      item,
+      buildCard(item, isAuthor, inventory, folderHref),
+    ])
+  );
+  const resultCount = toolbar.querySelector(".cpl-result-count");
+  const clearBtn = toolbar.querySelector(".cpl-clear-filters");
+  const sortSelect = toolbar.querySelector(".cpl-sort-select");
+
+  clearBtn.addEventListener("click", () => {
+    state.filters = {};
+    render();
+  });
+
+  render = () => {
+    writeFacetState(state);
+
+    const results = sortProducts(
+      filterProducts(items, state.filters),
+      state.sort
+    );
+    renderFacets(facetsEl, buildFacets(items, state.filters), toggleFilter);
+
+    grid.textContent = "";
+    if (results.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "cpl-empty";
+      empty.textContent = "No products match the selected filters.";
+      grid.append(empty);
+    } else {
+      grid.append(...results.map((item) => cards.get(item)));
+    }
+
+    resultCount.textContent = `${results.length} ${
+      results.length === 1 ? "product" : "products"
+    }`;
+    clearBtn.hidden = !Object.values(state.filters).some((v) => v.length);
+    sortSelect.value = state.sort;
+
+    const activeCategories = state.filters.category || [];
+    block.querySelectorAll(".cpl-tag").forEach((chip) => {
+      const active = activeCategories.includes(chip.dataset.category);
+      chip.classList.toggle("cpl-tag-active", active);
+      chip.setAttribute("aria-pressed", active ? "true" : "false");
+    });
+  };
+
+  toolbar.hidden = false;
+  render();
+
+  // Remember the listing position before opening a product
+  grid.addEventListener(
+    "click",
+    (e) => {
+      if (e.target.closest(".cpl-card")) {
+        saveListingPosition(listingKey, items.length);
+      }
+    },
+    true
+  );
+
+  if (paged && firstPage.hasMore) {
+    // Facets and sorting apply to the products loaded so far
+    const pager = createPager({
+      mode,
+      prefix: "cpl",
+      onLoadMore: async () => {
+        const skeletons = createSkeletonCards(pageSize, "cpl");
+        grid.append(...skeletons);
+
+        const page = await fetchProducts(folderHref, {
+          offset: items.length,
+          limit: pageSize,
+        });
+        skeletons.forEach((skeleton) => skeleton.remove());
+
+        page.items.forEach((item) => {
+          items.push(item);
+          cards.set(item, buildCard(item, isAuthor, inventory, folderHref));
+        });
+        render();
+        return page.hasMore;
+      },
+    });
+    block.append(pager.element);
+    pager.observe();
+  }
+
+  restoreListingPosition(savedPosition);
 }
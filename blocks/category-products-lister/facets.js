@@ -0,0 +1,262 @@
+// ==========================================
+// Category Products Lister - Facets
+// Client-side facets and sorting for the products of a lister.
+// Facet values are derived from the returned products; values within a
+// facet are OR-ed, facets are AND-ed. The state is kept in the URL
+// (?category=men/tops&color=Blue,Red&sort=price-asc) so filtered
+// listings can be shared.
+// ==========================================
+
+import { normalizeCategory } from "../../scripts/commerce/categories.js";
+import { getProductVariants } from "../../scripts/commerce/variants.js";
+import { formatPrice } from "../../scripts/commerce/currency.js";
+
+export const FACETS = [
+  { id: "category", label: "Category" },
+  { id: "price", label: "Price" },
+  { id: "color", label: "Color" },
+  { id: "size", label: "Size" },
+];
+
+export const SORT_OPTIONS = [
+  { id: "featured", label: "Featured" },
+  { id: "price-asc", label: "Price: Low to High" },
+  { id: "price-desc", label: "Price: High to Low" },
+  { id: "name-asc", label: "Name: A to Z" },
+  { id: "name-desc", label: "Name: Z to A" },
+  { id: "newest", label: "Newest" },
+];
+
+export const DEFAULT_SORT = SORT_OPTIONS[0].id;
+
+// Price buckets in the base currency ([min, max), max null = open ended)
+const PRICE_RANGES = [
+  [0, 25],
+  [25, 50],
+  [50, 100],
+  [100, 200],
+  [200, null],
+];
+
+/**
+ * Key of a price range as used in the URL
+ * @param {Array} range - [min, max]
+ * @returns {string} e.g. "25-50" or "200-"
+ */
+function getPriceRangeKey([min, max]) {
+  return `${min}-${max ?? ""}`;
+}
+
+/**
+ * Display label of a facet value
+ * @param {string} facetId - Facet ID
+ * @param {string} value - Facet value
+ * @returns {string} Label
+ */
+function getValueLabel(facetId, value) {
+  if (facetId === "category") {
+    return value
+      .split("/")
+      .map((part) => part.replace(/\b\w/g, (l) => l.toUpperCase()))
+      .join(" / ");
+  }
+  if (facetId === "price") {
+    const [min, max] = value.split("-");
+    return max
+      ? `${formatPrice(parseFloat(min))} - ${formatPrice(parseFloat(max))}`
+      : `${formatPrice(parseFloat(min))} and above`;
+  }
+  return value;
+}
+
+/**
+ * Get the facet values of a product
+ * @param {Object} item - Product data
+ * @param {string} facetId - Facet ID
+ * @returns {Array<string>} Values of the product for the facet
+ */
+function getProductValues(item, facetId) {
+  if (facetId === "category") {
+    return (item.category || []).map(normalizeCategory).filter(Boolean);
+  }
+
+  if (facetId === "price") {
+    const price = parseFloat(item.price);
+    if (Number.isNaN(price)) return [];
+    const range = PRICE_RANGES.find(
+      ([min, max]) => price >= min && (max === null || price < max)
+    );
+    return range ? [getPriceRangeKey(range)] : [];
+  }
+
+  const values = getProductVariants(item)
+    .map((variant) => variant.options[facetId])
+    .filter(Boolean);
+  return [...new Set(values)];
+}
+
+/**
+ * Check whether a product matches the selected values of one facet
+ * Categories also match their sub-categories (men/tops matches men/tops/tees)
+ * @param {Object} item - Product data
+ * @param {string} facetId - Facet ID
+ * @param {Array<string>} selected - Selected values
+ * @returns {boolean} True if the product matches
+ */
+function matchesFacet(item, facetId, selected) {
+  if (!selected || selected.length === 0) return true;
+
+  const values = getProductValues(item, facetId);
+  if (facetId === "category") {
+    return selected.some((category) =>
+      values.some(
+        (value) => value === category || value.startsWith(`${category}/`)
+      )
+    );
+  }
+  return selected.some((value) => values.includes(value));
+}
+
+/**
+ * Filter products by the facet state
+ * @param {Array} products - Products
+ * @param {Object} filters - Selected values by facet ID
+ * @param {string} ignoreFacet - Facet to leave out (for per-facet counts)
+ * @returns {Array} Matching products
+ */
+export function filterProducts(products, filters, ignoreFacet = "") {
+  return products.filter((item) =>
+    FACETS.every(
+      ({ id }) => id === ignoreFacet || matchesFacet(item, id, filters[id])
+    )
+  );
+}
+
+/**
+ * Build the facets of a product list with result counts
+ * The count of a value is the number of results the listing would have
+ * if the value were selected (in addition to the other facets)
+ * @param {Array} products - All products of the lister
+ * @param {Object} filters - Selected values by facet ID
+ * @returns {Array} Facets { id, label, values: [{ value, label, count, selected }] }
+ */
+export function buildFacets(products, filters) {
+  return FACETS.map((facet) => {
+    const selected = filters[facet.id] || [];
+    const candidates = filterProducts(products, filters, facet.id);
+
+    const allValues = new Set(selected);
+    products.forEach((item) => {
+      getProductValues(item, facet.id).forEach((value) => allValues.add(value));
+    });
+
+    let values = [...allValues].map((value) => ({
+      value,
+      label: getValueLabel(facet.id, value),
+      count: candidates.filter((item) => matchesFacet(item, facet.id, [value]))
+        .length,
+      selected: selected.includes(value),
+    }));
+
+    // Price ranges keep their natural order, other values are alphabetical
+    if (facet.id === "price") {
+      const order = PRICE_RANGES.map(getPriceRangeKey);
+      values = values.sort(
+        (a, b) => order.indexOf(a.value) - order.indexOf(b.value)
+      );
+    } else if (facet.id === "category") {
+      values = values.sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    return { ...facet, values };
+  }).filter((facet) => facet.values.length > 0);
+}
+
+/**
+ * Release date of a product for the "newest" sort
+ * @param {Object} item - Product data
+ * @returns {number} Timestamp, 0 if unknown
+ */
+function getProductDate(item) {
+  const date = item.releaseDate || item.created || item._metadata?.created;
+  return Date.parse(date) || 0;
+}
+
+/**
+ * Sort products (returns a new array; "featured" keeps the folder order)
+ * @param {Array} products - Products
+ * @param {string} sort - Sort option ID
+ * @returns {Array} Sorted products
+ */
+export function sortProducts(products, sort) {
+  const sorted = [...products];
+  const byPrice = (a, b) =>
+    (parseFloat(a.price) || 0) - (parseFloat(b.price) || 0);
+  const byName = (a, b) => `${a.name || ""}`.localeCompare(`${b.name || ""}`);
+
+  switch (sort) {
+    case "price-asc":
+      return sorted.sort(byPrice);
+    case "price-desc":
+      return sorted.sort((a, b) => byPrice(b, a));
+    case "name-asc":
+      return sorted.sort(byName);
+    case "name-desc":
+      return sorted.sort((a, b) => byName(b, a));
+    case "newest":
+      return sorted.sort((a, b) => getProductDate(b) - getProductDate(a));
+    default:
+      return sorted;
+  }
+}
+
+/**
+ * Read the facet state from the URL
+ * @param {string} search - Query string (defaults to the current URL)
+ * @returns {Object} { filters: { facetId: [values] }, sort }
+ */
+export function readFacetState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  FACETS.forEach(({ id }) => {
+    const values = (params.get(id) || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) {
+      filters[id] = id === "category" ? values.map(normalizeCategory) : values;
+    }
+  });
+
+  const sort = params.get("sort");
+  return {
+    filters,
+    sort: SORT_OPTIONS.some((option) => option.id === sort)
+      ? sort
+      : DEFAULT_SORT,
+  };
+}
+
+/**
+ * Write the facet state to the URL (without adding a history entry)
+ * Other query parameters are kept
+ * @param {Object} state - { filters, sort }
+ */
+export function writeFacetState({ filters, sort }) {
+  const url = new URL(window.location.href);
+  FACETS.forEach(({ id }) => {
+    if (filters[id]?.length) {
+      url.searchParams.set(id, filters[id].join(","));
+    } else {
+      url.searchParams.delete(id);
+    }
+  });
+
+  if (sort && sort !== DEFAULT_SORT) {
+    url.searchParams.set("sort", sort);
+  } else {
+    url.searchParams.delete("sort");
+  }
+
+  window.history.replaceState(window.history.state, "", url);
+}
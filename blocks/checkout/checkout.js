@@ -1,59 +1,72 @@
+import {
+  getCart,
+  formatPrice,
+  formatDiscount,
+  formatShipping,
+  formatTax,
+  setShipping,
+  setTaxDestination,
+  validateStock,
+} from "../../scripts/commerce/cart.js";
+import {
+  loadShippingMethods,
+  getAvailableShippingMethods,
+} from "../../scripts/commerce/shipping.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { formatVariantOptions } from "../../scripts/commerce/variants.js";
+import {
+  COUNTRIES,
+  getAddressFormat,
+} from "../../scripts/commerce/countries.js";
+import {
+  ADDRESS_FIELDS,
+  getAddressFieldName,
+  pickAddress,
+  validateAddress,
+  getSignedInUser,
+  getAddressBook,
+  isAddressBookEnabled,
+  getDefaultAddress,
+  saveAddress,
+} from "../../scripts/commerce/addresses.js";
+import { COMMERCE_PAGES, navigateTo } from "../../scripts/commerce/routes.js";
+import {
+  getPaymentProviders,
+  getPaymentProvider,
+  loadPayment,
+  savePayment,
+  toDataLayerPayment,
+} from "../../scripts/commerce/payment.js";
+
 /**
- * Save form data to localStorage
- * Delegates to global saveCheckoutData() from datalayer.js for consistent storage management
+ * Save form data
+ * Delegates to global saveCheckoutData() from datalayer.js, which keeps it
+ * for the session (and for later visits with consent)
  * @param {Object} formData - Form data to save
  */
 function saveFormData(formData) {
-  if (typeof window.saveCheckoutData === "function") {
-    window.saveCheckoutData(formData);
-  } else {
-    // Fallback if datalayer.js not loaded yet
-    console.warn("⚠ window.saveCheckoutData() not available, using fallback");
-    try {
-      const now = Date.now().toString();
-      localStorage.setItem("luma_checkout_data", JSON.stringify(formData));
-      localStorage.setItem("luma_checkout_data_timestamp", now);
-    } catch (error) {
-      console.error("Failed to save checkout data:", error);
-    }
-  }
+  window.saveCheckoutData(formData);
 }
 
 /**
- * Load saved checkout data from localStorage
- * Delegates to global loadCheckoutData() from datalayer.js for consistent storage management
+ * Load saved checkout data
+ * Delegates to global loadCheckoutData() from datalayer.js, shared by all
+ * checkout steps
  * @returns {Object|null} Saved checkout data
  */
 function loadFormData() {
-  if (typeof window.loadCheckoutData === "function") {
-    return window.loadCheckoutData();
-  } else {
-    // Fallback if datalayer.js not loaded yet
-    console.warn("⚠ window.loadCheckoutData() not available, using fallback");
-    try {
-      const saved = localStorage.getItem("luma_checkout_data");
-      return saved ? JSON.parse(saved) : null;
-    } catch (error) {
-      console.error("Failed to load checkout data:", error);
-      return null;
-    }
-  }
+  return window.loadCheckoutData();
 }
 
 /**
  * Validate form data
+ * Addresses are validated against the format of their country
  * @param {Object} formData - Form data to validate
  * @returns {Object} Validation result
  */
 function validateForm(formData) {
-  const errors = {};
+  const errors = validateAddress(pickAddress(formData));
 
-  if (!formData.firstName?.trim()) {
-    errors.firstName = "First name is required";
-  }
-  if (!formData.lastName?.trim()) {
-    errors.lastName = "Last name is required";
-  }
   if (!formData.email?.trim()) {
     errors.email = "Email is required";
   } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
@@ -62,17 +75,11 @@ function validateForm(formData) {
   if (!formData.phone?.trim()) {
     errors.phone = "Phone number is required";
   }
-  if (!formData.streetAddress?.trim()) {
-    errors.streetAddress = "Street address is required";
-  }
-  if (!formData.city?.trim()) {
-    errors.city = "City is required";
-  }
-  if (!formData.postalCode?.trim()) {
-    errors.postalCode = "Postal code is required";
+  if (!formData.billingSameAsShipping) {
+    Object.assign(errors, validateAddress(formData.billing || {}, "billing"));
   }
-  if (!formData.country?.trim()) {
-    errors.country = "Country is required";
+  if (!formData.shippingMethod) {
+    errors.shippingMethod = "Please select a shipping method";
   }
 
   return {
@@ -97,7 +104,12 @@ function displayErrors(errors, form) {
       const errorMsg = document.createElement("div");
       errorMsg.className = "checkout-error";
       errorMsg.textContent = errors[fieldName];
-      field.parentNode.appendChild(errorMsg);
+      // Radio groups show a single message below all options
+      const container =
+        field.type === "radio"
+          ? field.closest('[role="radiogroup"]')
+          : field.parentNode;
+      container.appendChild(errorMsg);
     }
   });
 }
@@ -113,37 +125,6 @@ function clearErrors(form) {
     .forEach((el) => el.classList.remove("checkout-field-error"));
 }
 
-/**
- * Get cart data from dataLayer
- * @returns {Object} Cart data
- */
-function getCartData() {
-  const cartData = window.getDataLayerProperty
-    ? window.getDataLayerProperty("cart")
-    : null;
-
-  return cartData || { productCount: 0, products: {}, subTotal: 0, total: 0 };
-}
-
-/**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
- */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
-}
-
-/**
- * Navigate to a page
- * @param {string} page - Page to navigate to
- */
-function navigateToPage(page) {
-  const currentPath = window.location.pathname;
-  const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-  window.location.href = `${basePath}/${page}`;
-}
-
 /**
  * Load registered user data from localStorage
  * @returns {Object|null} Registered user data
@@ -161,159 +142,556 @@ function loadRegisteredUserData() {
 }
 
 /**
- * Build checkout form
- * @returns {HTMLElement} Checkout form
+ * Render the shipping methods available for the selected country
+ * Preselects the method already on the cart (or the first available one)
+ * and stores it on the cart so totals include shipping
+ * @param {HTMLElement} container - Shipping methods container
+ * @param {Array} methods - All shipping methods
+ * @param {string} country - Selected country
  */
-function buildCheckoutForm() {
-  const savedData = loadFormData();
-  const registeredUser = loadRegisteredUserData();
+function renderShippingMethods(container, methods, country) {
+  container.innerHTML = "";
+
+  if (!country) {
+    const hint = document.createElement("p");
+    hint.className = "checkout-shipping-empty";
+    hint.textContent = "Select a country to see shipping methods.";
+    container.appendChild(hint);
+    return;
+  }
 
-  // Merge registered user data with saved checkout data
-  // Priority: savedData > registeredUser (if user has edited checkout form before)
-  const formData = {
-    firstName: savedData?.firstName || registeredUser?.firstName || "",
-    lastName: savedData?.lastName || registeredUser?.lastName || "",
-    email: savedData?.email || registeredUser?.email || "",
-    phone:
-      savedData?.phone ||
-      registeredUser?.phone ||
-      registeredUser?.phoneNumber ||
-      "",
-    streetAddress:
-      savedData?.streetAddress ||
-      registeredUser?.streetAddress ||
-      registeredUser?.address ||
-      "",
-    city: savedData?.city || registeredUser?.city || "",
-    postalCode:
-      savedData?.postalCode ||
-      registeredUser?.postalCode ||
-      registeredUser?.zip ||
-      "",
-    country: savedData?.country || registeredUser?.country || "",
-  };
+  const cart = getCart();
+  const available = getAvailableShippingMethods(methods, cart, country);
+  if (available.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "checkout-shipping-empty";
+    empty.textContent = "No shipping methods are available for this country.";
+    container.appendChild(empty);
+    return;
+  }
 
-  const form = document.createElement("form");
-  form.className = "checkout-form";
+  const selected =
+    available.find((method) => method.id === cart.shipping?.method) ||
+    available[0];
+
+  available.forEach((method) => {
+    const option = document.createElement("label");
+    option.className = "checkout-shipping-option";
+
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "shippingMethod";
+    input.value = method.id;
+    input.checked = method.id === selected.id;
+    input.addEventListener("change", () => {
+      setShipping(method, country);
+    });
 
-  // Personal Information Section
-  const personalSection = document.createElement("div");
-  personalSection.className = "checkout-section";
+    // Labels and descriptions are authored sheet text
+    const info = document.createElement("span");
+    info.className = "checkout-shipping-info";
 
-  const personalTitle = document.createElement("h2");
-  personalTitle.className = "checkout-section-title";
-  personalTitle.textContent = "Personal information";
+    const label = document.createElement("span");
+    label.className = "checkout-shipping-label";
+    label.textContent = method.label;
 
-  const personalGrid = document.createElement("div");
-  personalGrid.className = "checkout-grid";
+    const description = document.createElement("span");
+    description.className = "checkout-shipping-description";
+    description.textContent = method.description;
 
-  // First Name
-  const firstNameGroup = document.createElement("div");
-  firstNameGroup.className = "checkout-field-group";
-  firstNameGroup.innerHTML = `
-    <label for="firstName">First name <span class="required">*</span></label>
-    <input type="text" id="firstName" name="firstName" value="${formData.firstName}" required>
-  `;
+    info.append(label, description);
 
-  // Last Name
-  const lastNameGroup = document.createElement("div");
-  lastNameGroup.className = "checkout-field-group";
-  lastNameGroup.innerHTML = `
-    <label for="lastName">Last name <span class="required">*</span></label>
-    <input type="text" id="lastName" name="lastName" value="${formData.lastName}" required>
-  `;
+    const price = document.createElement("span");
+    price.className = "checkout-shipping-price";
+    price.textContent = formatShipping(method);
 
-  // Email
-  const emailGroup = document.createElement("div");
-  emailGroup.className = "checkout-field-group";
-  emailGroup.innerHTML = `
-    <label for="email">Email <span class="required">*</span></label>
-    <input type="email" id="email" name="email" value="${formData.email}" required>
-  `;
+    option.append(input, info, price);
+    container.appendChild(option);
+  });
 
-  // Phone
-  const phoneGroup = document.createElement("div");
-  phoneGroup.className = "checkout-field-group";
-  phoneGroup.innerHTML = `
-    <label for="phone">Phone number</label>
-    <input type="tel" id="phone" name="phone" value="${formData.phone}">
-  `;
+  if (
+    cart.shipping?.method !== selected.id ||
+    cart.shipping?.country !== country
+  ) {
+    setShipping(selected, country);
+  }
+}
 
-  // Street Address
-  const streetGroup = document.createElement("div");
-  streetGroup.className = "checkout-field-group checkout-field-full";
-  streetGroup.innerHTML = `
-    <label for="streetAddress">Street address</label>
-    <input type="text" id="streetAddress" name="streetAddress" value="${formData.streetAddress}">
-  `;
+/**
+ * Re-validate the cart against the current stock levels and tell the
+ * shopper about lowered quantities and sold-out items
+ * @param {HTMLElement} notice - Stock notice element
+ * @returns {Promise<boolean>} True if the cart had to be changed
+ */
+async function revalidateStock(notice) {
+  const { changes } = await validateStock();
+  if (!notice) return changes.length > 0;
+
+  notice.textContent = "";
+  notice.hidden = changes.length === 0;
+  if (changes.length === 0) return false;
+
+  const message = document.createElement("p");
+  message.textContent =
+    "Some items in your cart are no longer available in the requested quantity:";
+
+  const list = document.createElement("ul");
+  changes.forEach(({ product, quantity }) => {
+    const item = document.createElement("li");
+    item.textContent =
+      quantity > 0
+        ? `${product.name}: quantity reduced to ${quantity}`
+        : `${product.name}: sold out and removed from your cart`;
+    list.appendChild(item);
+  });
 
-  // City
-  const cityGroup = document.createElement("div");
-  cityGroup.className = "checkout-field-group";
-  cityGroup.innerHTML = `
-    <label for="city">City</label>
-    <input type="text" id="city" name="city" value="${formData.city}">
-  `;
+  notice.append(message, list);
+  notice.scrollIntoView({ behavior: "smooth", block: "center" });
+  return true;
+}
 
-  // Postal Code
-  const postalGroup = document.createElement("div");
-  postalGroup.className = "checkout-field-group";
-  postalGroup.innerHTML = `
-    <label for="postalCode">Postal code</label>
-    <input type="text" id="postalCode" name="postalCode" value="${formData.postalCode}">
-  `;
+/**
+ * Set the text of a field label, with the required marker
+ * @param {HTMLElement} label - Label element
+ * @param {string} text - Label text
+ * @param {boolean} required - Show the required marker
+ */
+function setFieldLabel(label, text, required) {
+  label.textContent = `${text} `;
+  if (required) {
+    label.insertAdjacentHTML("beforeend", '<span class="required">*</span>');
+  }
+}
+
+/**
+ * Build a text field group
+ * @param {Object} field - { name, label, value, type, required, full,
+ *   autocomplete, placeholder }
+ * @returns {HTMLElement} Field group
+ */
+function buildFieldGroup({
+  name,
+  label,
+  value = "",
+  type = "text",
+  required = false,
+  full = false,
+  autocomplete = "",
+  placeholder = "",
+}) {
+  const group = document.createElement("div");
+  group.className = "checkout-field-group";
+  if (full) group.classList.add("checkout-field-full");
+
+  const labelEl = document.createElement("label");
+  labelEl.htmlFor = name;
+  setFieldLabel(labelEl, label, required);
+
+  const input = document.createElement("input");
+  input.type = type;
+  input.id = name;
+  input.name = name;
+  input.value = value;
+  if (required) input.required = true;
+  if (autocomplete) input.autocomplete = autocomplete;
+  if (placeholder) input.placeholder = placeholder;
+
+  group.append(labelEl, input);
+  return group;
+}
+
+/**
+ * Build the fields of an address
+ * The region and postal code labels follow the selected country
+ * @param {string} prefix - Field prefix ("" for shipping, "billing")
+ * @param {Object} address - Initial values
+ * @returns {Array<HTMLElement>} Field groups
+ */
+function buildAddressFields(prefix, address) {
+  const name = (field) => getAddressFieldName(prefix, field);
+  const section = prefix || "shipping";
+  const format = getAddressFormat(address.country);
+  const groups = [];
+
+  // The shipping recipient is the shopper from the personal information
+  if (prefix) {
+    groups.push(
+      buildFieldGroup({
+        name: name("firstName"),
+        label: "First name",
+        value: address.firstName,
+        required: true,
+        autocomplete: `${section} given-name`,
+      }),
+      buildFieldGroup({
+        name: name("lastName"),
+        label: "Last name",
+        value: address.lastName,
+        required: true,
+        autocomplete: `${section} family-name`,
+      })
+    );
+  }
 
-  // Country
   const countryGroup = document.createElement("div");
   countryGroup.className = "checkout-field-group";
-  countryGroup.innerHTML = `
-    <label for="country">Country</label>
-    <select id="country" name="country">
-      <option value="">Select country</option>
-      <option value="United States" ${
-        formData.country === "United States" ? "selected" : ""
-      }>United States</option>
-      <option value="Canada" ${
-        formData.country === "Canada" ? "selected" : ""
-      }>Canada</option>
-      <option value="United Kingdom" ${
-        formData.country === "United Kingdom" ? "selected" : ""
-      }>United Kingdom</option>
-      <option value="Australia" ${
-        formData.country === "Australia" ? "selected" : ""
-      }>Australia</option>
-      <option value="India" ${
-        formData.country === "India" ? "selected" : ""
-      }>India</option>
-      <option value="Other" ${
-        formData.country === "Other" ? "selected" : ""
-      }>Other</option>
-    </select>
-  `;
-
-  personalGrid.append(
-    firstNameGroup,
-    lastNameGroup,
-    emailGroup,
-    phoneGroup,
-    streetGroup,
-    cityGroup,
-    postalGroup,
+  const countryLabel = document.createElement("label");
+  countryLabel.htmlFor = name("country");
+  setFieldLabel(countryLabel, "Country", true);
+  const countrySelect = document.createElement("select");
+  countrySelect.id = name("country");
+  countrySelect.name = name("country");
+  countrySelect.autocomplete = `${section} country-name`;
+  countrySelect.append(new Option("Select country", ""));
+  COUNTRIES.forEach((country) => {
+    const selected = country.name === address.country;
+    countrySelect.append(
+      new Option(country.name, country.name, selected, selected)
+    );
+  });
+  countryGroup.append(countryLabel, countrySelect);
+
+  groups.push(
+    buildFieldGroup({
+      name: name("streetAddress"),
+      label: "Street address",
+      value: address.streetAddress,
+      required: true,
+      full: true,
+      autocomplete: `${section} street-address`,
+    }),
+    buildFieldGroup({
+      name: name("city"),
+      label: "City",
+      value: address.city,
+      required: true,
+      autocomplete: `${section} address-level2`,
+    }),
+    buildFieldGroup({
+      name: name("region"),
+      label: format.regionLabel,
+      value: address.region,
+      required: format.regionRequired,
+      autocomplete: `${section} address-level1`,
+    }),
+    buildFieldGroup({
+      name: name("postalCode"),
+      label: format.postalLabel,
+      value: address.postalCode,
+      required: true,
+      autocomplete: `${section} postal-code`,
+      placeholder: format.postalExample,
+    }),
     countryGroup
   );
+  return groups;
+}
 
-  personalSection.append(personalTitle, personalGrid);
+/**
+ * Update the region and postal code labels to the selected country
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {string} prefix - Field prefix ("" for shipping, "billing")
+ */
+function updateAddressLabels(form, prefix) {
+  const name = (field) => getAddressFieldName(prefix, field);
+  const format = getAddressFormat(form.elements[name("country")].value);
 
-  // Summary Section
-  const summarySection = document.createElement("div");
-  summarySection.className = "checkout-section checkout-summary";
+  const region = form.elements[name("region")];
+  setFieldLabel(region.labels[0], format.regionLabel, format.regionRequired);
+  region.required = format.regionRequired;
 
-  const summaryTitle = document.createElement("h2");
-  summaryTitle.className = "checkout-section-title";
-  summaryTitle.textContent = "Summary";
+  const postalCode = form.elements[name("postalCode")];
+  setFieldLabel(postalCode.labels[0], format.postalLabel, true);
+  postalCode.placeholder = format.postalExample;
+}
+
+/**
+ * Fill an address into the form
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {Object} address - Address
+ * @param {string} prefix - Field prefix ("" for shipping, "billing")
+ */
+function fillAddress(form, address, prefix = "") {
+  ADDRESS_FIELDS.forEach((field) => {
+    const input = form.elements[getAddressFieldName(prefix, field)];
+    // Keep the shopper's name when the saved address has none
+    if (input && (address[field] || !field.endsWith("Name"))) {
+      input.value = address[field] || "";
+    }
+  });
+  // Refreshes labels, shipping methods and tax
+  form.elements[getAddressFieldName(prefix, "country")].dispatchEvent(
+    new Event("change")
+  );
+}
+
+/**
+ * Build a checkbox with its label
+ * @param {string} name - Field name
+ * @param {string} label - Label text
+ * @param {boolean} checked - Initial state
+ * @returns {HTMLElement} Checkbox label
+ */
+function buildCheckbox(name, label, checked) {
+  const wrapper = document.createElement("label");
+  wrapper.className = "checkout-checkbox";
+
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.id = name;
+  input.name = name;
+  input.checked = checked;
+
+  const text = document.createElement("span");
+  text.textContent = label;
+
+  wrapper.append(input, text);
+  return wrapper;
+}
+
+/**
+ * Build the address book picker of a signed-in shopper
+ * @param {Object} book - Address book (see getAddressBook)
+ * @param {Object} current - Address currently in the form
+ * @returns {HTMLElement} Field group
+ */
+function buildAddressBook(book, current) {
+  const group = document.createElement("div");
+  group.className = "checkout-field-group checkout-field-full";
+
+  const label = document.createElement("label");
+  label.htmlFor = "savedAddress";
+  label.textContent = "Saved addresses";
+
+  const select = document.createElement("select");
+  select.id = "savedAddress";
+  select.name = "savedAddress";
+  select.className = "checkout-address-book";
+  select.append(new Option("Enter a new address", ""));
+
+  const currentKey = JSON.stringify(pickAddress({ ...current }));
+  book.addresses.forEach((address) => {
+    const lines = [address.streetAddress, address.city, address.country];
+    const text = `${lines.filter(Boolean).join(", ")}${
+      address.id === book.defaultId ? " (default)" : ""
+    }`;
+    const selected =
+      JSON.stringify(
+        pickAddress({
+          ...address,
+          firstName: current.firstName,
+          lastName: current.lastName,
+        })
+      ) === currentKey;
+    select.append(new Option(text, address.id, false, selected));
+  });
+
+  group.append(label, select);
+  return group;
+}
+
+/**
+ * Read the checkout form data (payment fields are read separately)
+ * @param {HTMLFormElement} form - Checkout form
+ * @returns {Object} Form data
+ */
+function readFormData(form) {
+  const value = (name) => form.elements[name]?.value.trim() || "";
+  const billing = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    billing[field] = value(getAddressFieldName("billing", field));
+  });
 
-  const cart = getCartData();
+  return {
+    firstName: value("firstName"),
+    lastName: value("lastName"),
+    email: value("email"),
+    phone: value("phone"),
+    streetAddress: value("streetAddress"),
+    city: value("city"),
+    region: value("region"),
+    postalCode: value("postalCode"),
+    country: value("country"),
+    billingSameAsShipping: form.elements.billingSameAsShipping.checked,
+    billing,
+  };
+}
+
+/**
+ * Render the fields of a payment provider
+ * @param {HTMLElement} container - Payment fields container
+ * @param {Object} provider - Payment provider
+ */
+function renderPaymentFields(container, provider) {
+  container.textContent = "";
+  container.hidden = !provider || provider.fields.length === 0;
+  if (!provider) return;
+
+  provider.fields.forEach((field) => {
+    const group = document.createElement("div");
+    group.className = "checkout-field-group";
+    if (field.full) group.classList.add("checkout-field-full");
+
+    const label = document.createElement("label");
+    label.htmlFor = field.name;
+    label.innerHTML = `${field.label} <span class="required">*</span>`;
+
+    let input;
+    if (field.type === "select") {
+      input = document.createElement("select");
+      field.options.forEach(({ value, label: optionLabel }) => {
+        input.append(new Option(optionLabel, value));
+      });
+    } else {
+      input = document.createElement("input");
+      input.type = field.type || "text";
+      if (field.inputmode) input.inputMode = field.inputmode;
+      if (field.maxlength) input.maxLength = field.maxlength;
+      if (field.placeholder) input.placeholder = field.placeholder;
+    }
+    input.id = field.name;
+    input.name = field.name;
+    if (field.autocomplete) input.autocomplete = field.autocomplete;
+
+    group.append(label, input);
+    container.appendChild(group);
+  });
+}
+
+/**
+ * Render the available payment methods
+ * Preselects the method of the current checkout (or the first one)
+ * @param {HTMLElement} container - Payment methods container
+ * @param {HTMLElement} fieldsContainer - Payment fields container
+ */
+function renderPaymentMethods(container, fieldsContainer) {
+  container.textContent = "";
+
+  const providers = getPaymentProviders();
+  const selected =
+    providers.find((provider) => provider.id === loadPayment()?.method) ||
+    providers[0];
+
+  providers.forEach((provider) => {
+    const option = document.createElement("label");
+    option.className = "checkout-payment-option";
+    option.innerHTML = `
+      <input type="radio" name="paymentMethod" value="${provider.id}" ${
+      provider.id === selected?.id ? "checked" : ""
+    }>
+      <span class="checkout-payment-info">
+        <span class="checkout-payment-label">${provider.label}</span>
+        <span class="checkout-payment-description">${
+          provider.description
+        }</span>
+      </span>
+    `;
+    option.querySelector("input").addEventListener("change", () => {
+      renderPaymentFields(fieldsContainer, provider);
+    });
+    container.appendChild(option);
+  });
+
+  renderPaymentFields(fieldsContainer, selected);
+}
+
+/**
+ * Read the values of the payment fields
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {Object} provider - Selected payment provider
+ * @returns {Object} Values by field name
+ */
+function readPaymentValues(form, provider) {
+  const values = {};
+  provider?.fields.forEach(({ name }) => {
+    values[name] = form.elements[name]?.value || "";
+  });
+  return values;
+}
+
+/**
+ * Ask the shopper to confirm a payment challenge (3-D Secure)
+ * @param {HTMLElement} container - Element to open the dialog in
+ * @param {Object} challenge - { title, message }
+ * @returns {Promise<boolean>} True if the shopper confirmed
+ */
+function showPaymentChallenge(container, { title, message }) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement("dialog");
+    dialog.className = "checkout-challenge";
+    dialog.innerHTML = `
+      <h2 class="checkout-challenge-title"></h2>
+      <p class="checkout-challenge-message"></p>
+      <form method="dialog" class="checkout-challenge-buttons">
+        <button value="cancel" class="checkout-btn checkout-btn-back">CANCEL</button>
+        <button value="confirm" class="checkout-btn checkout-btn-continue">AUTHENTICATE</button>
+      </form>
+    `;
+    dialog.querySelector(".checkout-challenge-title").textContent = title;
+    dialog.querySelector(".checkout-challenge-message").textContent = message;
+
+    dialog.addEventListener("close", () => {
+      resolve(dialog.returnValue === "confirm");
+      dialog.remove();
+    });
+
+    container.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Authorize the payment with the selected provider
+ * The masked payment is stored for the order summary; only the method
+ * and masked card go to dataLayer.commerce.payment
+ * @param {HTMLFormElement} form - Checkout form
+ * @param {Object} provider - Selected payment provider
+ * @param {Object} values - Payment field values
+ * @returns {Promise<Object|null>} Masked payment, or null if not authorized
+ */
+async function authorizePayment(form, provider, values) {
+  const continueBtn = form.querySelector(".checkout-btn-continue");
+  const paymentError = form.querySelector(".checkout-payment-error");
+  paymentError.hidden = true;
+  continueBtn.disabled = true;
+  continueBtn.textContent = "PROCESSING...";
+  continueBtn.setAttribute("aria-busy", "true");
+
+  try {
+    const payment = await provider.authorize(values, {
+      amount: getCart().total || 0,
+      challenge: (challenge) =>
+        showPaymentChallenge(form.parentElement, challenge),
+    });
+
+    savePayment(payment);
+    if (window.updateDataLayer) {
+      window.updateDataLayer(
+        { commerce: { payment: toDataLayerPayment(payment) } },
+        true
+      );
+    }
+    return payment;
+  } catch (error) {
+    paymentError.textContent = error.message;
+    paymentError.hidden = false;
+    paymentError.scrollIntoView({ behavior: "smooth", block: "center" });
+    return null;
+  } finally {
+    continueBtn.disabled = false;
+    continueBtn.textContent = "CONTINUE";
+    continueBtn.removeAttribute("aria-busy");
+  }
+}
+
+/**
+ * Build the items preview and price summary of the summary section
+ * @param {Object} cart - Cart data (dataLayer.cart)
+ * @returns {Array<HTMLElement>} Items preview (if any) and price summary
+ */
+function buildSummary(cart) {
   const products = Object.values(cart.products || {});
+  const elements = [];
 
   // Cart Items Preview (if any)
   if (products.length > 0) {
@@ -354,17 +732,27 @@ function buildCheckoutForm() {
       itemMeta.innerHTML = `
         <span>Qty: ${product.quantity || 1}</span>
         <span class="checkout-item-price">${formatPrice(
-          product.price * (product.quantity || 1)
+          product.subTotal
         )}</span>
       `;
 
-      itemDetails.append(itemName, itemMeta);
+      itemDetails.appendChild(itemName);
+
+      const options = formatVariantOptions(product);
+      if (options.length > 0) {
+        const itemOptions = document.createElement("div");
+        itemOptions.className = "checkout-item-options";
+        itemOptions.textContent = options.join(" / ");
+        itemDetails.appendChild(itemOptions);
+      }
+
+      itemDetails.appendChild(itemMeta);
       item.append(itemImage, itemDetails);
       itemsList.appendChild(item);
     });
 
     itemsPreview.appendChild(itemsList);
-    summarySection.appendChild(itemsPreview);
+    elements.push(itemsPreview);
   }
 
   // Price Summary
@@ -377,11 +765,15 @@ function buildCheckoutForm() {
     </div>
     <div class="checkout-summary-row">
       <span>Shipping</span>
-      <span>---</span>
+      <span>${formatShipping(cart.shipping)}</span>
     </div>
     <div class="checkout-summary-row">
       <span>Discount</span>
-      <span>----</span>
+      <span>${formatDiscount(cart.discount)}</span>
+    </div>
+    <div class="checkout-summary-row">
+      <span>Tax</span>
+      <span>${formatTax(cart.tax)}</span>
     </div>
     <div class="checkout-summary-row checkout-summary-total">
       <span>Total</span>
@@ -389,7 +781,203 @@ function buildCheckoutForm() {
     </div>
   `;
 
-  summarySection.append(summaryTitle, summaryContent);
+  elements.push(summaryContent);
+  return elements;
+}
+
+/**
+ * Build checkout form
+ * @returns {HTMLElement} Checkout form
+ */
+function buildCheckoutForm() {
+  const savedData = loadFormData();
+  const registeredUser = loadRegisteredUserData();
+  const signedIn = !!getSignedInUser();
+  const addressBook = getAddressBook();
+  const defaultAddress = getDefaultAddress();
+
+  // Merge registered user data with saved checkout data
+  // Priority: savedData > default address of a signed-in shopper >
+  // registeredUser (if user has edited checkout form before)
+  const formData = {
+    firstName: savedData?.firstName || registeredUser?.firstName || "",
+    lastName: savedData?.lastName || registeredUser?.lastName || "",
+    email: savedData?.email || registeredUser?.email || "",
+    phone:
+      savedData?.phone ||
+      registeredUser?.phone ||
+      registeredUser?.phoneNumber ||
+      "",
+    streetAddress:
+      savedData?.streetAddress ||
+      defaultAddress?.streetAddress ||
+      registeredUser?.streetAddress ||
+      registeredUser?.address ||
+      "",
+    city: savedData?.city || defaultAddress?.city || registeredUser?.city || "",
+    region: savedData?.region || defaultAddress?.region || "",
+    postalCode:
+      savedData?.postalCode ||
+      defaultAddress?.postalCode ||
+      registeredUser?.postalCode ||
+      registeredUser?.zip ||
+      "",
+    country:
+      savedData?.country ||
+      defaultAddress?.country ||
+      registeredUser?.country ||
+      "",
+    billingSameAsShipping: savedData?.billingSameAsShipping !== false,
+    billing: pickAddress(savedData?.billing),
+  };
+
+  const form = document.createElement("form");
+  form.className = "checkout-form";
+  // Validation is country-specific, see validateForm()
+  form.noValidate = true;
+
+  // Personal Information Section
+  const personalSection = document.createElement("div");
+  personalSection.className = "checkout-section";
+
+  const personalTitle = document.createElement("h2");
+  personalTitle.className = "checkout-section-title";
+  personalTitle.textContent = "Personal information";
+
+  const personalGrid = document.createElement("div");
+  personalGrid.className = "checkout-grid";
+  personalGrid.append(
+    buildFieldGroup({
+      name: "firstName",
+      label: "First name",
+      value: formData.firstName,
+      required: true,
+      autocomplete: "given-name",
+    }),
+    buildFieldGroup({
+      name: "lastName",
+      label: "Last name",
+      value: formData.lastName,
+      required: true,
+      autocomplete: "family-name",
+    }),
+    buildFieldGroup({
+      name: "email",
+      label: "Email",
+      value: formData.email,
+      type: "email",
+      required: true,
+      autocomplete: "email",
+    }),
+    buildFieldGroup({
+      name: "phone",
+      label: "Phone number",
+      value: formData.phone,
+      type: "tel",
+      required: true,
+      autocomplete: "tel",
+    })
+  );
+
+  // Shipping Address
+  const addressTitle = document.createElement("h2");
+  addressTitle.className = "checkout-section-title checkout-address-title";
+  addressTitle.textContent = "Shipping address";
+
+  const addressGrid = document.createElement("div");
+  addressGrid.className = "checkout-grid";
+  if (signedIn && addressBook.addresses.length > 0) {
+    addressGrid.append(buildAddressBook(addressBook, formData));
+  }
+  addressGrid.append(...buildAddressFields("", formData));
+
+  const addressOptions = document.createElement("div");
+  addressOptions.className = "checkout-address-options";
+  if (signedIn && isAddressBookEnabled()) {
+    addressOptions.append(
+      buildCheckbox(
+        "saveAddress",
+        "Save this address to my address book",
+        false
+      )
+    );
+  }
+  addressOptions.append(
+    buildCheckbox(
+      "billingSameAsShipping",
+      "Billing address is the same as the shipping address",
+      formData.billingSameAsShipping
+    )
+  );
+
+  // Billing Address
+  const billingSection = document.createElement("div");
+  billingSection.className = "checkout-billing";
+  billingSection.hidden = formData.billingSameAsShipping;
+
+  const billingTitle = document.createElement("h2");
+  billingTitle.className = "checkout-section-title checkout-address-title";
+  billingTitle.textContent = "Billing address";
+
+  const billingGrid = document.createElement("div");
+  billingGrid.className = "checkout-grid";
+  billingGrid.append(...buildAddressFields("billing", formData.billing));
+  billingSection.append(billingTitle, billingGrid);
+
+  // Shipping Method
+  const shippingTitle = document.createElement("h2");
+  shippingTitle.className = "checkout-section-title checkout-shipping-title";
+  shippingTitle.textContent = "Shipping method";
+
+  const shippingMethods = document.createElement("div");
+  shippingMethods.className = "checkout-shipping-methods";
+  shippingMethods.setAttribute("role", "radiogroup");
+  shippingMethods.setAttribute("aria-label", "Shipping method");
+
+  // Payment
+  const paymentTitle = document.createElement("h2");
+  paymentTitle.className = "checkout-section-title checkout-payment-title";
+  paymentTitle.textContent = "Payment";
+
+  const paymentMethods = document.createElement("div");
+  paymentMethods.className = "checkout-payment-methods";
+  paymentMethods.setAttribute("role", "radiogroup");
+  paymentMethods.setAttribute("aria-label", "Payment method");
+
+  const paymentFields = document.createElement("div");
+  paymentFields.className = "checkout-grid checkout-payment-fields";
+
+  const paymentError = document.createElement("div");
+  paymentError.className = "checkout-payment-error";
+  paymentError.setAttribute("role", "alert");
+  paymentError.hidden = true;
+
+  renderPaymentMethods(paymentMethods, paymentFields);
+
+  personalSection.append(
+    personalTitle,
+    personalGrid,
+    addressTitle,
+    addressGrid,
+    addressOptions,
+    billingSection,
+    shippingTitle,
+    shippingMethods,
+    paymentTitle,
+    paymentMethods,
+    paymentFields,
+    paymentError
+  );
+
+  // Summary Section
+  const summarySection = document.createElement("div");
+  summarySection.className = "checkout-section checkout-summary";
+
+  const summaryTitle = document.createElement("h2");
+  summaryTitle.className = "checkout-section-title";
+  summaryTitle.textContent = "Summary";
+
+  summarySection.append(summaryTitle, ...buildSummary(getCart()));
 
   // Buttons
   const buttonGroup = document.createElement("div");
@@ -400,7 +988,7 @@ function buildCheckoutForm() {
   backBtn.className = "checkout-btn checkout-btn-back";
   backBtn.textContent = "BACK";
   backBtn.addEventListener("click", () => {
-    navigateToPage("cart");
+    navigateTo(COMMERCE_PAGES.CART);
   });
 
   const continueBtn = document.createElement("button");
@@ -419,21 +1007,14 @@ function buildCheckoutForm() {
   function autoSaveFormData() {
     clearTimeout(autoSaveTimeout);
     autoSaveTimeout = setTimeout(() => {
-      const formData = {
-        firstName: form.firstName.value.trim(),
-        lastName: form.lastName.value.trim(),
-        email: form.email.value.trim(),
-        phone: form.phone.value.trim(),
-        streetAddress: form.streetAddress.value.trim(),
-        city: form.city.value.trim(),
-        postalCode: form.postalCode.value.trim(),
-        country: form.country.value,
-      };
+      const values = readFormData(form);
 
       // Only save if at least one field has content
-      const hasContent = Object.values(formData).some((value) => value);
+      const hasContent = Object.values(values).some(
+        (value) => typeof value === "string" && value
+      );
       if (hasContent) {
-        saveFormData(formData);
+        saveFormData(values);
       }
     }, autoSaveDelay);
   }
@@ -444,29 +1025,84 @@ function buildCheckoutForm() {
     input.addEventListener("change", autoSaveFormData);
   });
 
+  // Region and postal code formats depend on the country
+  form.country.addEventListener("change", () => updateAddressLabels(form, ""));
+  form.billingCountry.addEventListener("change", () =>
+    updateAddressLabels(form, "billing")
+  );
+
+  form.billingSameAsShipping.addEventListener("change", () => {
+    billingSection.hidden = form.billingSameAsShipping.checked;
+  });
+
+  // Picking a saved address fills in the shipping address
+  form.savedAddress?.addEventListener("change", () => {
+    const address = addressBook.addresses.find(
+      (entry) => entry.id === form.savedAddress.value
+    );
+    if (address) fillAddress(form, address);
+  });
+
+  // Shipping methods depend on the destination country
+  // (loadShippingMethods only fetches the sheet once)
+  const refreshShippingMethods = () =>
+    loadShippingMethods().then((methods) => {
+      renderShippingMethods(shippingMethods, methods, form.country.value);
+    });
+  refreshShippingMethods();
+  form.country.addEventListener("change", refreshShippingMethods);
+
+  // Tax depends on the destination country and postal code
+  const refreshTax = () =>
+    setTaxDestination(form.country.value, form.postalCode.value.trim());
+  refreshTax();
+  form.country.addEventListener("change", refreshTax);
+  form.postalCode.addEventListener("change", refreshTax);
+
   // Form submit handler
-  form.addEventListener("submit", (e) => {
+  form.addEventListener("submit", async (e) => {
     e.preventDefault();
 
-    const formData = {
-      firstName: form.firstName.value.trim(),
-      lastName: form.lastName.value.trim(),
-      email: form.email.value.trim(),
-      phone: form.phone.value.trim(),
-      streetAddress: form.streetAddress.value.trim(),
-      city: form.city.value.trim(),
-      postalCode: form.postalCode.value.trim(),
-      country: form.country.value,
-    };
+    const checkoutData = readFormData(form);
 
-    const validation = validateForm(formData);
+    const validation = validateForm({
+      ...checkoutData,
+      shippingMethod: form.querySelector('[name="shippingMethod"]:checked')
+        ?.value,
+    });
 
-    if (validation.isValid) {
-      saveFormData(formData);
+    const provider = getPaymentProvider(
+      form.querySelector('[name="paymentMethod"]:checked')?.value
+    );
+    const paymentValues = readPaymentValues(form, provider);
+    const errors = {
+      ...validation.errors,
+      ...(provider
+        ? provider.validate(paymentValues)
+        : { paymentMethod: "Please select a payment method" }),
+    };
+
+    if (Object.keys(errors).length === 0) {
+      saveFormData(checkoutData);
       clearErrors(form);
-      navigateToPage("order-summary");
+
+      if (form.saveAddress?.checked) {
+        saveAddress(pickAddress(checkoutData));
+      }
+
+      // Stock may have changed since the page was loaded
+      const notice = form.parentElement?.querySelector(
+        ".checkout-stock-notice"
+      );
+      const cartChanged = await revalidateStock(notice);
+      if (cartChanged) return;
+
+      const payment = await authorizePayment(form, provider, paymentValues);
+      if (!payment) return;
+
+      navigateTo(COMMERCE_PAGES.ORDER_SUMMARY);
     } else {
-      displayErrors(validation.errors, form);
+      displayErrors(errors, form);
       // Scroll to first error
       const firstError = form.querySelector(".checkout-field-error");
       if (firstError) {
@@ -483,101 +1119,19 @@ function buildCheckoutForm() {
  * @param {HTMLElement} summarySection - Summary section element
  */
 function updateSummary(summarySection) {
-  const cart = getCartData();
-  const products = Object.values(cart.products || {});
-
-  // Clear existing content (except title)
   const title = summarySection.querySelector(".checkout-section-title");
-  summarySection.innerHTML = "";
-  if (title) {
-    summarySection.appendChild(title);
-  }
-
-  // Rebuild items preview
-  if (products.length > 0) {
-    const itemsPreview = document.createElement("div");
-    itemsPreview.className = "checkout-items-preview";
-
-    const itemsTitle = document.createElement("div");
-    itemsTitle.className = "checkout-items-title";
-    itemsTitle.textContent = `Items (${products.length})`;
-    itemsPreview.appendChild(itemsTitle);
-
-    const itemsList = document.createElement("div");
-    itemsList.className = "checkout-items-list";
-
-    products.forEach((product) => {
-      const item = document.createElement("div");
-      item.className = "checkout-item-preview";
-
-      const itemImage = document.createElement("div");
-      itemImage.className = "checkout-item-image";
-      if (product.image) {
-        const img = document.createElement("img");
-        img.src = product.image;
-        img.alt = product.name || "Product";
-        img.loading = "lazy";
-        itemImage.appendChild(img);
-      }
-
-      const itemDetails = document.createElement("div");
-      itemDetails.className = "checkout-item-details";
-
-      const itemName = document.createElement("div");
-      itemName.className = "checkout-item-name";
-      itemName.textContent = product.name || "";
-
-      const itemMeta = document.createElement("div");
-      itemMeta.className = "checkout-item-meta";
-      itemMeta.innerHTML = `
-        <span>Qty: ${product.quantity || 1}</span>
-        <span class="checkout-item-price">${formatPrice(
-          product.price * (product.quantity || 1)
-        )}</span>
-      `;
-
-      itemDetails.append(itemName, itemMeta);
-      item.append(itemImage, itemDetails);
-      itemsList.appendChild(item);
-    });
-
-    itemsPreview.appendChild(itemsList);
-    summarySection.appendChild(itemsPreview);
-  }
-
-  // Rebuild price summary
-  const summaryContent = document.createElement("div");
-  summaryContent.className = "checkout-summary-content";
-  summaryContent.innerHTML = `
-    <div class="checkout-summary-row">
-      <span>Subtotal</span>
-      <span>${formatPrice(cart.subTotal || 0)}</span>
-    </div>
-    <div class="checkout-summary-row">
-      <span>Shipping</span>
-      <span>---</span>
-    </div>
-    <div class="checkout-summary-row">
-      <span>Discount</span>
-      <span>----</span>
-    </div>
-    <div class="checkout-summary-row checkout-summary-total">
-      <span>Total</span>
-      <span>${formatPrice(cart.total || 0)}</span>
-    </div>
-  `;
-
-  summarySection.appendChild(summaryContent);
+  summarySection.replaceChildren(
+    ...[title, ...buildSummary(getCart())].filter(Boolean)
+  );
 }
 
 /**
- * Setup dataLayer listener for cart updates
+ * Refresh the order summary when dataLayer.cart changes
  * @param {HTMLElement} summarySection - Summary section element
  */
 function setupDataLayerListener(summarySection) {
-  document.addEventListener("dataLayerUpdated", (event) => {
-    const { dataLayer } = event.detail;
-    if (dataLayer && dataLayer.cart) {
+  window.subscribeDataLayer("cart", ({ newValue: cart }) => {
+    if (cart) {
       updateSummary(summarySection);
     }
   });
@@ -587,9 +1141,12 @@ function setupDataLayerListener(summarySection) {
  * Decorate the checkout block
  * @param {HTMLElement} block - The block element
  */
-export default function decorate(block) {
+export default async function decorate(block) {
   block.textContent = "";
 
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
   const container = document.createElement("div");
   container.className = "checkout-container";
 
@@ -599,7 +1156,12 @@ export default function decorate(block) {
 
   const form = buildCheckoutForm();
 
-  container.append(title, form);
+  const stockNotice = document.createElement("div");
+  stockNotice.className = "checkout-stock-notice";
+  stockNotice.setAttribute("role", "alert");
+  stockNotice.hidden = true;
+
+  container.append(title, stockNotice, form);
   block.appendChild(container);
 
   // Setup listener for cart updates
@@ -607,4 +1169,7 @@ export default function decorate(block) {
   if (summarySection) {
     setupDataLayerListener(summarySection);
   }
+
+  // Re-validate the cart against the current stock levels
+  await revalidateStock(stockNotice);
 }
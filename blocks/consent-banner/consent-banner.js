@@ -0,0 +1,252 @@
+import { readBlockConfig } from "../../scripts/aem.js";
+import {
+  CONSENT_EVENTS,
+  CONSENT_OPTIONS,
+  acceptAll,
+  rejectAll,
+  setConsent,
+  getConsent,
+  hasConsentChoice,
+  forgetMe,
+} from "../../scripts/consent.js";
+
+const DEFAULT_TITLE = "Your privacy";
+const DEFAULT_TEXT =
+  "We use your browser's storage to run the shop. With your permission we also remember your details, measure how the site is used and load partner tags.";
+
+/**
+ * Build the list of consent categories
+ * @returns {HTMLElement} Fieldset with one checkbox per category
+ */
+function buildOptions() {
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = "consent-banner-options";
+  fieldset.hidden = true;
+
+  const legend = document.createElement("legend");
+  legend.className = "consent-banner-legend";
+  legend.textContent = "Choose what we may store";
+  fieldset.appendChild(legend);
+
+  CONSENT_OPTIONS.forEach(({ name, label, description, required }) => {
+    const option = document.createElement("label");
+    option.className = "consent-banner-option";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.name = name;
+    if (required) {
+      input.checked = true;
+      input.disabled = true;
+    }
+
+    const text = document.createElement("span");
+    text.className = "consent-banner-option-text";
+
+    const optionLabel = document.createElement("span");
+    optionLabel.className = "consent-banner-option-label";
+    optionLabel.textContent = required ? `${label} (always on)` : label;
+
+    const optionDescription = document.createElement("span");
+    optionDescription.className = "consent-banner-option-description";
+    optionDescription.textContent = description;
+
+    text.append(optionLabel, optionDescription);
+    option.append(input, text);
+    fieldset.appendChild(option);
+  });
+
+  return fieldset;
+}
+
+/**
+ * Build a button
+ * @param {string} className - Class name
+ * @param {string} label - Button text
+ * @returns {HTMLButtonElement} Button
+ */
+function buildButton(className, label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Build the "forget me" action
+ * Removes the cart, wishlist and every saved detail, so it asks for a
+ * confirmation first
+ * @returns {HTMLElement} Forget me section
+ */
+function buildForgetMe() {
+  const section = document.createElement("div");
+  section.className = "consent-banner-forget";
+
+  const forgetBtn = buildButton("consent-banner-forget-btn", "Forget me");
+
+  const confirmBox = document.createElement("div");
+  confirmBox.className = "consent-banner-forget-confirm";
+  confirmBox.hidden = true;
+
+  const warning = document.createElement("p");
+  warning.textContent =
+    "This removes your cart, wishlist, orders and saved details from this device.";
+
+  const confirmBtn = buildButton("consent-banner-forget-yes", "Yes, forget me");
+  const cancelBtn = buildButton("consent-banner-forget-no", "Cancel");
+
+  confirmBox.append(warning, confirmBtn, cancelBtn);
+  section.append(forgetBtn, confirmBox);
+
+  forgetBtn.addEventListener("click", () => {
+    forgetBtn.hidden = true;
+    confirmBox.hidden = false;
+    cancelBtn.focus();
+  });
+
+  cancelBtn.addEventListener("click", () => {
+    confirmBox.hidden = true;
+    forgetBtn.hidden = false;
+    forgetBtn.focus();
+  });
+
+  confirmBtn.addEventListener("click", () => {
+    forgetMe();
+    // The page still holds the data in memory
+    window.location.reload();
+  });
+
+  return section;
+}
+
+/**
+ * Decorate the consent banner block
+ * Shown until the visitor made a choice; afterwards the block only shows
+ * a button to review the choice
+ * @param {HTMLElement} block - The block element
+ */
+export default function decorate(block) {
+  const cfg = readBlockConfig(block);
+  const titleText = `${cfg?.title || ""}`.trim() || DEFAULT_TITLE;
+  const bodyText = `${cfg?.text || ""}`.trim() || DEFAULT_TEXT;
+
+  // Optional link to the privacy policy page
+  let policyHref = "";
+  const link = block.querySelector("a[href]");
+  if (link) {
+    policyHref = link.getAttribute("href");
+  } else {
+    policyHref = cfg?.policy || "";
+  }
+
+  block.textContent = "";
+
+  const settingsBtn = buildButton(
+    "consent-banner-settings",
+    "Privacy settings"
+  );
+
+  const panel = document.createElement("section");
+  panel.className = "consent-banner-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-labelledby", "consent-banner-title");
+
+  const title = document.createElement("h2");
+  title.className = "consent-banner-title";
+  title.id = "consent-banner-title";
+  title.textContent = titleText;
+
+  const text = document.createElement("p");
+  text.className = "consent-banner-text";
+  text.textContent = bodyText;
+  if (policyHref) {
+    const policyLink = document.createElement("a");
+    policyLink.href = policyHref;
+    policyLink.textContent = "Privacy policy";
+    text.append(" ", policyLink);
+  }
+
+  const options = buildOptions();
+
+  const actions = document.createElement("div");
+  actions.className = "consent-banner-actions";
+
+  const rejectBtn = buildButton("consent-banner-reject", "Reject all");
+  const customizeBtn = buildButton("consent-banner-customize", "Customize");
+  const saveBtn = buildButton("consent-banner-save", "Save choices");
+  saveBtn.hidden = true;
+  const acceptBtn = buildButton("consent-banner-accept", "Accept all");
+
+  actions.append(rejectBtn, customizeBtn, saveBtn, acceptBtn);
+
+  const forget = buildForgetMe();
+
+  panel.append(title, text, options, actions, forget);
+  block.append(settingsBtn, panel);
+
+  /**
+   * Show the categories with the current choice
+   */
+  const showOptions = () => {
+    const { categories } = getConsent();
+    options.querySelectorAll("input:not(:disabled)").forEach((input) => {
+      input.checked = categories[input.name] === true;
+    });
+    options.hidden = false;
+    customizeBtn.hidden = true;
+    saveBtn.hidden = false;
+  };
+
+  /**
+   * Show the banner, or only the settings button once the visitor chose
+   * @param {boolean} open - Show the banner
+   */
+  const render = (open) => {
+    panel.hidden = !open;
+    settingsBtn.hidden = open;
+    settingsBtn.setAttribute("aria-expanded", `${open}`);
+    // Forgetting only makes sense when reviewing a choice
+    forget.hidden = !hasConsentChoice();
+    if (!open) {
+      options.hidden = true;
+      customizeBtn.hidden = false;
+      saveBtn.hidden = true;
+    }
+  };
+
+  settingsBtn.addEventListener("click", () => {
+    render(true);
+    showOptions();
+    title.setAttribute("tabindex", "-1");
+    title.focus();
+  });
+
+  customizeBtn.addEventListener("click", showOptions);
+
+  saveBtn.addEventListener("click", () => {
+    const categories = {};
+    options.querySelectorAll("input:not(:disabled)").forEach((input) => {
+      categories[input.name] = input.checked;
+    });
+    setConsent(categories);
+  });
+
+  acceptBtn.addEventListener("click", () => {
+    acceptAll();
+  });
+
+  rejectBtn.addEventListener("click", () => {
+    rejectAll();
+  });
+
+  // Closes the banner, also when the choice is made from another block
+  // or through window.setConsent
+  document.addEventListener(CONSENT_EVENTS.UPDATED, () => {
+    const hadFocus = panel.contains(document.activeElement);
+    render(false);
+    if (hadFocus) settingsBtn.focus();
+  });
+
+  render(!hasConsentChoice());
+}
@@ -1,4 +1,6 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  getMetadata, buildBlock, decorateBlock, loadBlock,
+} from '../../scripts/aem.js';
 import { loadFragment } from '../fragment/fragment.js';
 import { isAuthorEnvironment } from '../../scripts/scripts.js';
 
@@ -43,4 +45,15 @@ export default async function decorate(block) {
   while (fragment.firstElementChild) footer.append(fragment.firstElementChild);
 
   block.append(footer);
+
+  // Every page needs the consent banner: add the default one when the
+  // footer fragment does not place its own
+  if (!footer.querySelector('.consent-banner')) {
+    const consentBanner = buildBlock('consent-banner', '');
+    const wrapper = document.createElement('div');
+    wrapper.append(consentBanner);
+    footer.append(wrapper);
+    decorateBlock(consentBanner);
+    await loadBlock(consentBanner);
+  }
 }
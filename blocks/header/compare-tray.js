@@ -0,0 +1,143 @@
+// ==========================================
+// Compare Tray
+// Bar at the bottom of the page with the products picked for comparison
+// and a link to the compare page. Shown on every page while products are
+// picked (except on the compare page itself); follows the compare list
+// through COMPARE_EVENTS, also when it changes in another tab.
+// ==========================================
+
+import {
+  COMPARE_EVENTS,
+  MAX_COMPARE_ITEMS,
+  getCompareList,
+  remove,
+  clear,
+} from "../../scripts/commerce/compare.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getCurrentPage,
+} from "../../scripts/commerce/routes.js";
+
+/**
+ * Build a picked product of the tray
+ * @param {Object} product - Compared product
+ * @returns {HTMLElement} List item
+ */
+function buildTrayItem(product) {
+  const item = document.createElement("li");
+  item.className = "compare-tray-item";
+
+  const imageWrapper = document.createElement("div");
+  imageWrapper.className = "compare-tray-item-image";
+  if (product.image) {
+    const img = document.createElement("img");
+    img.src = product.image;
+    img.alt = "";
+    img.loading = "lazy";
+    imageWrapper.appendChild(img);
+  }
+
+  const name = document.createElement("span");
+  name.className = "compare-tray-item-name";
+  name.textContent = product.name || product.sku;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "compare-tray-item-remove";
+  removeBtn.innerHTML = "&times;";
+  removeBtn.setAttribute("aria-label", `Remove ${product.name} from compare`);
+  removeBtn.addEventListener("click", () => {
+    remove(product.id);
+  });
+
+  item.append(imageWrapper, name, removeBtn);
+  return item;
+}
+
+/**
+ * Create the compare tray
+ * @returns {Object} { element, render }
+ */
+export default function createCompareTray() {
+  const element = document.createElement("section");
+  element.className = "compare-tray";
+  element.setAttribute("aria-label", "Compare products");
+  element.hidden = true;
+
+  const title = document.createElement("h2");
+  title.className = "compare-tray-title";
+
+  const items = document.createElement("ul");
+  items.className = "compare-tray-items";
+
+  const notice = document.createElement("p");
+  notice.className = "compare-tray-notice";
+  notice.setAttribute("role", "status");
+
+  const actions = document.createElement("div");
+  actions.className = "compare-tray-actions";
+
+  const compareLink = document.createElement("a");
+  compareLink.className = "compare-tray-btn";
+  compareLink.href = getCommerceUrl(COMMERCE_PAGES.COMPARE);
+  compareLink.textContent = "COMPARE";
+
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "compare-tray-clear";
+  clearBtn.textContent = "Clear all";
+  clearBtn.addEventListener("click", () => {
+    clear();
+  });
+
+  actions.append(compareLink, clearBtn);
+  element.append(title, items, notice, actions);
+
+  const render = () => {
+    const products = getCompareList();
+    element.hidden =
+      products.length === 0 || getCurrentPage() === COMMERCE_PAGES.COMPARE;
+    document.body.classList.toggle("compare-tray-open", !element.hidden);
+
+    title.textContent = `Compare products (${products.length}/${MAX_COMPARE_ITEMS})`;
+    items.innerHTML = "";
+    products.forEach((product) => items.appendChild(buildTrayItem(product)));
+
+    // Empty slots show how many more products can be picked
+    for (let i = products.length; i < MAX_COMPARE_ITEMS; i += 1) {
+      const slot = document.createElement("li");
+      slot.className = "compare-tray-item compare-tray-slot";
+      slot.setAttribute("aria-hidden", "true");
+      items.appendChild(slot);
+    }
+
+    // At least two products are needed for a comparison
+    const ready = products.length >= 2;
+    compareLink.classList.toggle("compare-tray-btn-disabled", !ready);
+    if (ready) {
+      compareLink.removeAttribute("aria-disabled");
+    } else {
+      compareLink.setAttribute("aria-disabled", "true");
+    }
+  };
+
+  compareLink.addEventListener("click", (event) => {
+    if (compareLink.getAttribute("aria-disabled") === "true") {
+      event.preventDefault();
+      notice.textContent = "Pick at least 2 products to compare";
+    }
+  });
+
+  document.addEventListener(COMPARE_EVENTS.UPDATED, () => {
+    notice.textContent = "";
+    render();
+  });
+
+  document.addEventListener(COMPARE_EVENTS.LIMIT_REACHED, () => {
+    notice.textContent = `You can compare up to ${MAX_COMPARE_ITEMS} products. Remove one to add another.`;
+  });
+
+  render();
+  return { element, render };
+}
@@ -14,6 +14,14 @@ import {
 import { button, div, img, span, a } from "../../scripts/dom-helpers.js";
 
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { saveUserCart } from "../../scripts/commerce/user-cart.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getHomeUrl,
+} from "../../scripts/commerce/routes.js";
+import createMiniCart from "./mini-cart.js";
+import createCompareTray from "./compare-tray.js";
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia("(min-width: 900px)");
@@ -578,7 +586,14 @@ function createUserProfile(container, langCode) {
   signOutButton.textContent = "Sign out";
   signOutButton.addEventListener("click", () => handleSignOut(langCode));
 
-  userMenu.appendChild(signOutButton);
+  // Order history
+  const ordersLink = document.createElement("a");
+  ordersLink.href = getCommerceUrl(COMMERCE_PAGES.ORDER_HISTORY);
+  ordersLink.className = "user-menu-link";
+  ordersLink.setAttribute("role", "menuitem");
+  ordersLink.textContent = "My orders";
+
+  userMenu.append(ordersLink, signOutButton);
 
   // Toggle dropdown on click
   userButton.addEventListener("click", (e) => {
@@ -616,6 +631,9 @@ function createUserProfile(container, langCode) {
  * @param {string} langCode - Current language code
  */
 function handleSignOut(langCode) {
+  // Keep the cart for the next sign-in, the next guest starts empty
+  saveUserCart();
+
   // Clear authentication flag
   localStorage.removeItem("luma_user_logged_in");
 
@@ -652,8 +670,7 @@ function handleSignOut(langCode) {
   document.dispatchEvent(signOutEvent);
 
   // Redirect to home page
-  const homeUrl = langCode === "en" ? "/" : `/${langCode}`;
-  window.location.href = homeUrl;
+  window.location.href = getHomeUrl(langCode);
 }
 
 /**
@@ -740,9 +757,24 @@ export default async function decorate(block) {
     );
     const targetContainer = contentWrapper || navTools;
 
+    // Add Wishlist Icon with badge
+    const wishlistLink = document.createElement("a");
+    wishlistLink.href = getCommerceUrl(COMMERCE_PAGES.WISHLIST);
+    wishlistLink.className = "wishlist-icon";
+    wishlistLink.setAttribute("aria-label", "Wishlist");
+    wishlistLink.setAttribute("title", "Wishlist");
+
+    const wishlistBadge = document.createElement("span");
+    wishlistBadge.className = "wishlist-badge";
+    wishlistBadge.textContent = "0";
+    wishlistBadge.style.display = "none"; // Hidden by default
+    wishlistLink.appendChild(wishlistBadge);
+
+    targetContainer.append(wishlistLink);
+
     // Add Cart Icon with badge
     const cartLink = document.createElement("a");
-    cartLink.href = "/en/cart";
+    cartLink.href = getCommerceUrl(COMMERCE_PAGES.CART);
     cartLink.className = "cart-icon";
     cartLink.setAttribute("aria-label", "Shopping Cart");
     cartLink.setAttribute("title", "Shopping Cart");
@@ -756,7 +788,23 @@ export default async function decorate(block) {
 
     targetContainer.append(cartLink);
 
-    // Update cart count from dataLayer
+    // Mini cart drawer, opened from the cart icon (the link still works
+    // with a modifier key, e.g. to open the cart page in a new tab)
+    const miniCart = createMiniCart({ trigger: cartLink });
+    document.body.append(miniCart.element);
+    cartLink.setAttribute("aria-haspopup", "dialog");
+    cartLink.addEventListener("click", (event) => {
+      if (event.ctrlKey || event.metaKey || event.shiftKey) return;
+      event.preventDefault();
+      miniCart.open();
+    });
+
+    // Products picked for comparison, on every page
+    document.body.append(createCompareTray().element);
+
+    // Update cart count from dataLayer (also when the cart changes in
+    // another tab); the badge bumps when items are added
+    let cartCount = null;
     const updateCartCount = () => {
       const cartData = window.getDataLayerProperty
         ? window.getDataLayerProperty("cart")
@@ -764,20 +812,46 @@ export default async function decorate(block) {
       const count = cartData?.productCount || 0;
 
       if (cartBadge) {
-        cartBadge.textContent = count;
+        cartBadge.textContent = count > 99 ? "99+" : count;
         cartBadge.style.display = count > 0 ? "flex" : "none";
-        cartLink.setAttribute("aria-label", `Shopping Cart (${count} items)`);
+        cartLink.setAttribute(
+          "aria-label",
+          `Shopping Cart (${count} ${count === 1 ? "item" : "items"})`
+        );
+        if (cartCount !== null && count > cartCount) {
+          cartBadge.classList.remove("cart-badge-bump");
+          // Restart the animation when items are added in quick succession
+          // eslint-disable-next-line no-void
+          void cartBadge.offsetWidth;
+          cartBadge.classList.add("cart-badge-bump");
+        }
       }
+      cartCount = count;
+    };
+
+    // Update wishlist count from dataLayer
+    const updateWishlistCount = () => {
+      const wishlistData = window.getDataLayerProperty
+        ? window.getDataLayerProperty("wishlist")
+        : null;
+      const count = wishlistData?.productCount || 0;
+
+      wishlistBadge.textContent = count;
+      wishlistBadge.style.display = count > 0 ? "flex" : "none";
+      wishlistLink.setAttribute("aria-label", `Wishlist (${count} items)`);
     };
 
     // Initial update
     updateCartCount();
-
-    // Listen for dataLayer updates
-    document.addEventListener("dataLayerUpdated", () => {
-      updateCartCount();
+    updateWishlistCount();
+    cartBadge.addEventListener("animationend", () => {
+      cartBadge.classList.remove("cart-badge-bump");
     });
 
+    // Follow the cart and wishlist counts
+    window.subscribeDataLayer("cart.productCount", updateCartCount);
+    window.subscribeDataLayer("wishlist.productCount", updateWishlistCount);
+
     // Add Sign In Button or User Profile
     const isLoggedIn = localStorage.getItem("luma_user_logged_in") === "true";
 
@@ -787,7 +861,7 @@ export default async function decorate(block) {
     } else {
       // Show sign-in button
       const signInLink = document.createElement("a");
-      signInLink.href = `/${langCode}/sign-in`;
+      signInLink.href = getCommerceUrl(COMMERCE_PAGES.SIGN_IN);
       signInLink.className = "sign-in-btn";
       signInLink.textContent = "SIGN IN";
       signInLink.setAttribute("aria-label", "Sign In");
@@ -0,0 +1,307 @@
+// ==========================================
+// Mini Cart
+// Drawer opened from the header cart icon, and after a product is added
+// to the cart. Lists the cart lines with quantity steppers, the subtotal
+// and links to the cart and checkout pages of the current language.
+// Re-renders whenever dataLayer.cart changes, so it follows changes made
+// by other blocks and other tabs. The focus stays in the drawer while it
+// is open and returns to the cart icon when it closes.
+// ==========================================
+
+import {
+  CART_EVENTS,
+  getCart,
+  setQuantity,
+  remove,
+  formatPrice,
+} from "../../scripts/commerce/cart.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { formatVariantOptions } from "../../scripts/commerce/variants.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getCurrentPage,
+} from "../../scripts/commerce/routes.js";
+
+// Pages that already show the cart (no drawer after add to cart there)
+const CART_PAGES = [
+  COMMERCE_PAGES.CART,
+  COMMERCE_PAGES.CHECKOUT,
+  COMMERCE_PAGES.ORDER_SUMMARY,
+];
+
+/**
+ * Check whether the current page already shows the cart
+ * @returns {boolean} True on the cart and checkout pages
+ */
+function isCartPage() {
+  return CART_PAGES.includes(getCurrentPage());
+}
+
+/**
+ * Build a cart line of the mini cart
+ * @param {Object} product - Cart line
+ * @returns {HTMLElement} List item
+ */
+function buildMiniCartItem(product) {
+  const item = document.createElement("li");
+  item.className = "mini-cart-item";
+  item.dataset.productId = product.id;
+
+  const imageWrapper = document.createElement("div");
+  imageWrapper.className = "mini-cart-item-image";
+  const image = product.thumbnail || product.image;
+  if (image) {
+    const img = document.createElement("img");
+    img.src = image;
+    img.alt = product.name || "Product image";
+    img.loading = "lazy";
+    imageWrapper.appendChild(img);
+  }
+
+  const details = document.createElement("div");
+  details.className = "mini-cart-item-details";
+
+  const name = document.createElement("p");
+  name.className = "mini-cart-item-name";
+  name.textContent = product.name || "";
+  details.appendChild(name);
+
+  const options = formatVariantOptions(product);
+  if (options.length > 0) {
+    const optionsEl = document.createElement("p");
+    optionsEl.className = "mini-cart-item-options";
+    optionsEl.textContent = options.join(", ");
+    details.appendChild(optionsEl);
+  }
+
+  // Quantity stepper
+  const stepper = document.createElement("div");
+  stepper.className = "mini-cart-stepper";
+
+  const decrease = document.createElement("button");
+  decrease.type = "button";
+  decrease.className = "mini-cart-stepper-btn";
+  decrease.dataset.action = "decrease";
+  decrease.textContent = "−";
+  decrease.setAttribute("aria-label", `Decrease quantity of ${product.name}`);
+  decrease.disabled = product.quantity <= 1;
+  decrease.addEventListener("click", () => {
+    setQuantity(product.id, product.quantity - 1);
+  });
+
+  const quantity = document.createElement("span");
+  quantity.className = "mini-cart-stepper-qty";
+  quantity.textContent = product.quantity;
+  quantity.setAttribute("aria-label", `Quantity ${product.quantity}`);
+
+  const increase = document.createElement("button");
+  increase.type = "button";
+  increase.className = "mini-cart-stepper-btn";
+  increase.dataset.action = "increase";
+  increase.textContent = "+";
+  increase.setAttribute("aria-label", `Increase quantity of ${product.name}`);
+  increase.disabled =
+    Number.isFinite(product.stock) && product.quantity >= product.stock;
+  increase.addEventListener("click", () => {
+    setQuantity(product.id, product.quantity + 1);
+  });
+
+  stepper.append(decrease, quantity, increase);
+  details.appendChild(stepper);
+
+  const side = document.createElement("div");
+  side.className = "mini-cart-item-side";
+
+  const price = document.createElement("span");
+  price.className = "mini-cart-item-price";
+  price.textContent = formatPrice(product.subTotal);
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "mini-cart-item-remove";
+  removeBtn.textContent = "Remove";
+  removeBtn.setAttribute("aria-label", `Remove ${product.name} from cart`);
+  removeBtn.addEventListener("click", () => {
+    remove(product.id);
+  });
+
+  side.append(price, removeBtn);
+  item.append(imageWrapper, details, side);
+  return item;
+}
+
+/**
+ * Create the mini cart drawer
+ * @param {Object} options - Options
+ * @param {HTMLElement} options.trigger - Cart icon (gets the focus back
+ *   when the drawer closes)
+ * @returns {Object} { element, open, close, render }
+ */
+export default function createMiniCart({ trigger }) {
+  const element = document.createElement("div");
+  element.className = "mini-cart";
+  element.hidden = true;
+
+  const overlay = document.createElement("div");
+  overlay.className = "mini-cart-overlay";
+
+  const panel = document.createElement("aside");
+  panel.className = "mini-cart-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-modal", "true");
+  panel.setAttribute("aria-labelledby", "mini-cart-title");
+
+  const header = document.createElement("div");
+  header.className = "mini-cart-header";
+
+  const title = document.createElement("h2");
+  title.className = "mini-cart-title";
+  title.id = "mini-cart-title";
+
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "mini-cart-close";
+  closeBtn.innerHTML = "&times;";
+  closeBtn.setAttribute("aria-label", "Close cart");
+
+  header.append(title, closeBtn);
+
+  const notice = document.createElement("p");
+  notice.className = "mini-cart-notice";
+  notice.setAttribute("role", "status");
+
+  const items = document.createElement("ul");
+  items.className = "mini-cart-items";
+
+  const empty = document.createElement("p");
+  empty.className = "mini-cart-empty";
+  empty.textContent = "Your cart is empty";
+
+  const footer = document.createElement("div");
+  footer.className = "mini-cart-footer";
+
+  const subtotal = document.createElement("div");
+  subtotal.className = "mini-cart-subtotal";
+  const subtotalLabel = document.createElement("span");
+  subtotalLabel.textContent = "Subtotal";
+  const subtotalValue = document.createElement("span");
+  subtotal.append(subtotalLabel, subtotalValue);
+
+  const cartLink = document.createElement("a");
+  cartLink.className = "mini-cart-btn mini-cart-btn-secondary";
+  cartLink.href = getCommerceUrl(COMMERCE_PAGES.CART);
+  cartLink.textContent = "VIEW CART";
+
+  const checkoutLink = document.createElement("a");
+  checkoutLink.className = "mini-cart-btn";
+  checkoutLink.href = getCommerceUrl(COMMERCE_PAGES.CHECKOUT);
+  checkoutLink.textContent = "CHECKOUT";
+
+  footer.append(subtotal, cartLink, checkoutLink);
+  panel.append(header, notice, items, empty, footer);
+  element.append(overlay, panel);
+
+  const render = () => {
+    const cart = getCart();
+    const products = Object.values(cart.products);
+    const count = cart.productCount || 0;
+
+    // Keep the focus on the stepper button while the lines are rebuilt
+    const focused = items.contains(document.activeElement)
+      ? document.activeElement
+      : null;
+    const focusedId = focused?.closest(".mini-cart-item")?.dataset.productId;
+    const focusedAction = focused?.dataset.action;
+
+    title.textContent = `Your cart (${count})`;
+    items.innerHTML = "";
+    products.forEach((product) => {
+      items.appendChild(buildMiniCartItem(product));
+    });
+
+    empty.hidden = products.length > 0;
+    footer.hidden = products.length === 0;
+    subtotalValue.textContent = formatPrice(cart.subTotal || 0);
+
+    if (focused) {
+      const target = [...items.children]
+        .find((item) => item.dataset.productId === focusedId)
+        ?.querySelector(`[data-action="${focusedAction}"]`);
+      (target && !target.disabled ? target : closeBtn).focus();
+    }
+  };
+
+  /**
+   * Keep the focus inside the drawer while it is open (aria-modal)
+   * @param {KeyboardEvent} event - Tab keydown
+   */
+  const trapFocus = (event) => {
+    const focusable = [
+      ...panel.querySelectorAll("a[href], button:not([disabled])"),
+    ].filter((el) => !el.closest("[hidden]"));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!panel.contains(document.activeElement)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  const onKeydown = (event) => {
+    // eslint-disable-next-line no-use-before-define
+    if (event.key === "Escape") close();
+    if (event.key === "Tab") trapFocus(event);
+  };
+
+  const open = (message = "") => {
+    notice.textContent = message;
+    notice.hidden = !message;
+    render();
+    element.hidden = false;
+    document.body.classList.add("mini-cart-open");
+    document.addEventListener("keydown", onKeydown);
+    closeBtn.focus();
+  };
+
+  const close = () => {
+    if (element.hidden) return;
+    element.hidden = true;
+    document.body.classList.remove("mini-cart-open");
+    document.removeEventListener("keydown", onKeydown);
+    if (trigger) trigger.focus();
+  };
+
+  overlay.addEventListener("click", close);
+  closeBtn.addEventListener("click", close);
+
+  // Prices follow the currency of the page language
+  loadCurrency().then(render);
+
+  // Stay in sync with the cart, also when it changes in another tab
+  window.subscribeDataLayer("cart", ({ newValue: cart }) => {
+    if (cart) render();
+  });
+
+  // Confirm products added anywhere on the page
+  document.addEventListener(CART_EVENTS.ITEM_ADDED, (event) => {
+    if (isCartPage()) return;
+    const { product, quantity, limited } = event.detail || {};
+    const name = product?.name || "The product";
+    open(
+      limited
+        ? `Only ${quantity} more of ${name} could be added (limited stock)`
+        : `${name} was added to your cart`
+    );
+  });
+
+  return { element, open, close, render };
+}
@@ -1,121 +1,33 @@
-import { readBlockConfig, createOptimizedPicture } from "../../scripts/aem.js";
+import { readBlockConfig } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
-
-function buildCard(item, isAuthor) {
-  const { id, sku, name, image = {}, category = [] } = item || {};
-  let imgUrl = isAuthor ? image?._authorUrl : image?._publishUrl;
-  const productId = sku || id || "";
-
-  const card = document.createElement("article");
-  card.className = "na-card";
-
-  // Make card clickable and redirect to product page
-  if (productId) {
-    card.style.cursor = "pointer";
-    card.addEventListener("click", () => {
-      const currentPath = window.location.pathname;
-
-      // Smart path construction: ensure we navigate to the correct product page
-      // Look for language code pattern (e.g., /en/, /fr/, /de/)
-      let basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-
-      // If the current page doesn't have a language segment, try to add it
-      // Check if basePath ends with a language code pattern
-      const langPattern = /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)$/;
-      if (!langPattern.test(basePath) && !basePath.includes("/en/")) {
-        // Check if there's a language code in the path we can use
-        const pathMatch = currentPath.match(
-          /\/(en|fr|de|es|it|ja|zh|pt|nl|sv|da|no|fi)\//
-        );
-        if (pathMatch) {
-          // Language code found in path, use it
-          const langCode = pathMatch[1];
-          const langIndex = currentPath.indexOf(`/${langCode}/`);
-          basePath = currentPath.substring(0, langIndex + langCode.length + 1);
-        } else {
-          // Default to /en/ if no language code found
-          basePath = `${basePath}/en`;
-        }
-      }
-
-      // On author add .html extension, on publish don't
-      const productPath = isAuthor
-        ? `${basePath}/product.html`
-        : `${basePath}/product`;
-      window.location.href = `${productPath}?productId=${encodeURIComponent(
-        productId
-      )}`;
-    });
-  }
-
-  // Handle image display for author vs publish
-  let picture = null;
-  if (imgUrl) {
-    if (!isAuthor && imgUrl.startsWith("http")) {
-      // For publish with full URL, use it directly in an img tag
-      picture = document.createElement("picture");
-      const img = document.createElement("img");
-      img.src = imgUrl;
-      img.alt = name || "Product image";
-      img.loading = "lazy";
-      picture.appendChild(img);
-    } else {
-      // For author or relative paths, use createOptimizedPicture
-      picture = createOptimizedPicture(imgUrl, name || "Product image", false, [
-        { media: "(min-width: 900px)", width: "600" },
-        { media: "(min-width: 600px)", width: "400" },
-        { width: "320" },
-      ]);
-    }
-  }
-
-  const imgWrap = document.createElement("div");
-  imgWrap.className = "na-card-media";
-  if (picture) imgWrap.append(picture);
-
-  const meta = document.createElement("div");
-  meta.className = "na-card-meta";
-  const categoryText = category && category.length ? category.join(", ") : "";
-  const cat = document.createElement("p");
-  cat.className = "na-card-category";
-  // Format category: remove "luma:" or "Lumaproducts:", replace commas with slashes, uppercase
-  cat.textContent = categoryText
-    .replace(/^(luma:|lumaproducts:)/gi, "") // Remove luma/lumaproducts prefix (case-insensitive)
-    .replace(/\//g, " / ") // Replace slashes with /
-    .toUpperCase(); // Convert to uppercase
-  const title = document.createElement("h3");
-  title.className = "na-card-title";
-  title.textContent = name || "";
-  meta.append(cat, title);
-
-  card.append(imgWrap, meta);
-  return card;
-}
-
-async function fetchProducts(path) {
-  try {
-    if (!path) return [];
-    // For AEM parameterized queries, use semicolon syntax: ;_path=value
-    const baseUrl = isAuthorEnvironment()
-      ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-      : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?";
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items = json?.data?.productsModelList?.items || [];
-    // Filter out null/invalid products
-    return items.filter((item) => item && item.sku);
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("New Arrival: fetch error", e);
-    return [];
-  }
+import { fetchProducts } from "../../scripts/catalog.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { loadInventory } from "../../scripts/commerce/inventory.js";
+import {
+  PAGINATION_MODES,
+  buildProductCard,
+  getPaginationConfig,
+  createSkeletonCards,
+  createPager,
+  getListingKey,
+  saveListingPosition,
+  takeListingPosition,
+  restoreListingPosition,
+} from "../../scripts/commerce/listing.js";
+
+// Pages loaded at most while looking for the first selected SKU
+const MAX_SKU_SEARCH_PAGES = 10;
+
+/**
+ * Build a product card
+ * @param {Object} item - Product content fragment
+ * @param {boolean} isAuthor - Is author environment
+ * @param {Map} inventory - Inventory sheet (see loadInventory)
+ * @param {string} folder - Catalog folder of the product
+ * @returns {HTMLElement} Product card
+ */
+function buildCard(item, isAuthor, inventory, folder) {
+  return buildProductCard(item, { prefix: "na", isAuthor, inventory, folder });
 }
 
 function filterProductsBySKU(products, skuList) {
@@ -254,6 +166,12 @@ function extractSKUs(block, cfg) {
   return skuList;
 }
 
+/**
+ * Create the product carousel
+ * @param {HTMLElement} block - Block element
+ * @param {Array<HTMLElement>} cards - Product cards
+ * @returns {Object} { carousel, addCards(newCards) }
+ */
 function createCarousel(block, cards) {
   const carouselWrapper = document.createElement("div");
   carouselWrapper.className = "na-carousel-wrapper";
@@ -439,6 +357,15 @@ function createCarousel(block, cards) {
       setTimeout(() => updateCarousel(), 50);
     }
   }
+
+  // Append the cards of a newly loaded page
+  const addCards = (newCards) => {
+    cards.push(...newCards);
+    track.append(...newCards);
+    updateCarousel();
+  };
+
+  return { carousel, addCards };
 }
 
 export default async function decorate(block) {
@@ -475,6 +402,13 @@ export default async function decorate(block) {
   // Extract SKUs from multifield
   const skuList = extractSKUs(block, cfg);
 
+  // Pagination mode (block style) and the position to restore when
+  // coming back from a product page
+  const { mode, pageSize } = getPaginationConfig(block, cfg);
+  const paged = mode !== PAGINATION_MODES.ALL;
+  const listingKey = getListingKey(block);
+  const savedPosition = takeListingPosition(listingKey);
+
   // Clear author table
   block.innerHTML = "";
 
@@ -487,8 +421,48 @@ export default async function decorate(block) {
   header.append(title);
   block.append(header);
 
-  // Fetch all products
-  const allProducts = await fetchProducts(folderHref);
+  // Skeleton cards while the first page loads
+  const skeletons = document.createElement("div");
+  skeletons.className = "na-skeletons";
+  skeletons.append(...createSkeletonCards(4, "na"));
+  block.append(skeletons);
+
+  // Loads the next page of the folder, keeping only products with a SKU
+  let loadedCount = 0;
+  let hasMore = true;
+  const loadPage = async (limit) => {
+    const page = await fetchProducts(folderHref, {
+      offset: loadedCount,
+      limit,
+    });
+    loadedCount += page.items.length;
+    hasMore = paged && page.hasMore;
+    return page.items.filter((item) => item && item.sku);
+  };
+
+  // Fetch products (prices are shown in the page language's currency)
+  // The first page covers everything that was loaded before leaving
+  const [firstProducts, , inventory] = await Promise.all([
+    loadPage(paged ? Math.max(pageSize, savedPosition?.loadedCount || 0) : 0),
+    loadCurrency(),
+    loadInventory(),
+  ]);
+
+  // Keep loading until a page contains one of the selected SKUs
+  let allProducts = firstProducts;
+  let firstMatches = filterProductsBySKU(allProducts, skuList);
+  let searchedPages = 0;
+  while (
+    firstMatches.length === 0 &&
+    hasMore &&
+    searchedPages < MAX_SKU_SEARCH_PAGES
+  ) {
+    searchedPages += 1;
+    // eslint-disable-next-line no-await-in-loop
+    allProducts = allProducts.concat(await loadPage(pageSize));
+    firstMatches = filterProductsBySKU(allProducts, skuList);
+  }
+  skeletons.remove();
 
   // eslint-disable-next-line no-console
   console.log("New Arrival - All products fetched:", allProducts.length);
@@ -504,7 +478,7 @@ export default async function decorate(block) {
   }
 
   // Filter products by SKU
-  const filteredProducts = filterProductsBySKU(allProducts, skuList);
+  const filteredProducts = firstMatches;
 
   // eslint-disable-next-line no-console
   console.log(
@@ -528,8 +502,43 @@ export default async function decorate(block) {
   }
 
   // Build cards
-  const cards = filteredProducts.map((item) => buildCard(item, isAuthor));
+  const cards = filteredProducts.map((item) =>
+    buildCard(item, isAuthor, inventory, folderHref)
+  );
 
   // Create carousel
-  createCarousel(block, cards);
+  const { carousel, addCards } = createCarousel(block, cards);
+
+  // Remember the listing position before opening a product
+  carousel.addEventListener(
+    "click",
+    (e) => {
+      if (e.target.closest(".na-card")) {
+        saveListingPosition(listingKey, loadedCount);
+      }
+    },
+    true
+  );
+
+  if (hasMore) {
+    const pager = createPager({
+      mode,
+      prefix: "na",
+      onLoadMore: async () => {
+        const products = filterProductsBySKU(await loadPage(pageSize), skuList);
+        const newCards = products.map((item) =>
+          buildCard(item, isAuthor, inventory, folderHref)
+        );
+        if (newCards.length > 0) addCards(newCards);
+
+        // Infinite scroll: load the next page when the last card is shown
+        pager.observe(cards[cards.length - 1], carousel);
+        return hasMore;
+      },
+    });
+    block.append(pager.element);
+    pager.observe(cards[cards.length - 1], carousel);
+  }
+
+  restoreListingPosition(savedPosition);
 }
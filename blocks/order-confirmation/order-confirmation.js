@@ -1,25 +1,29 @@
+import { clear } from "../../scripts/commerce/cart.js";
+import { clearOrderSubmission } from "../../scripts/commerce/orders.js";
+import { clearPayment } from "../../scripts/commerce/payment.js";
+import { getHomeUrl } from "../../scripts/commerce/routes.js";
+
 /**
- * Get purchase order number from localStorage (set by order-summary)
- * Falls back to generating new one if not found
- * @returns {string} Purchase order number
+ * Get the order number returned by the order backend
+ * Read from the dataLayer (set by order-summary), or from the URL when the
+ * page is reloaded after the commerce data was reset
+ * @returns {string} Order number, or "" if unknown
  */
 function getPurchaseOrderNumber() {
-  const stored = localStorage.getItem("luma_purchase_order_number");
-  if (stored) {
-    return stored;
-  }
-  // Fallback: generate new order number if not found
-  const prefix = "fb";
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 7);
-  return `${prefix}${timestamp}${random}`.substring(0, 12);
+  const fromDataLayer = window.getDataLayerProperty
+    ? window.getDataLayerProperty("commerce.order.purchaseOrderNumber")
+    : "";
+  if (fromDataLayer) return fromDataLayer;
+
+  const params = new URLSearchParams(window.location.search);
+  return params.get("order") || "";
 }
 
 /**
  * Navigate to home page
  */
 function navigateToHome() {
-  window.location.href = "/";
+  window.location.href = getHomeUrl();
 }
 
 /**
@@ -28,33 +32,32 @@ function navigateToHome() {
  * User's personal information is preserved for future orders
  */
 function resetCart() {
-  const defaultCart = {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
+  clear();
 
   if (window.updateDataLayer) {
-    // Clear both cart and commerce objects
-    window.updateDataLayer({ 
-      cart: defaultCart, 
-      product: {},
-      commerce: {} 
-    }, false);
+    // Clear commerce and product objects
+    window.updateDataLayer(
+      {
+        product: {},
+        commerce: {},
+      },
+      false
+    );
     console.log("Cart and commerce data reset in dataLayer");
   }
-  
-  // Clean up stored purchase order number
-  localStorage.removeItem("luma_purchase_order_number");
+
+  // The next order gets a new idempotency key and payment
+  clearOrderSubmission();
+  clearPayment();
 }
 
 /**
  * Build order confirmation content
- * @param {string} orderNumber - Generated order number
+ * @param {string} orderNumber - Order number returned by the order backend
+ * @param {Object} shipping - Shipping data of the order (commerce.shipping)
  * @returns {HTMLElement} Confirmation content
  */
-function buildConfirmationContent(orderNumber) {
+function buildConfirmationContent(orderNumber, shipping) {
   const content = document.createElement("div");
   content.className = "order-confirmation-content";
 
@@ -71,7 +74,13 @@ function buildConfirmationContent(orderNumber) {
 
   const orderInfo = document.createElement("p");
   orderInfo.className = "order-confirmation-number";
-  orderInfo.innerHTML = `Order No. <strong>${orderNumber}</strong>`;
+  if (orderNumber) {
+    const number = document.createElement("strong");
+    number.textContent = orderNumber;
+    orderInfo.append("Order No. ", number);
+  } else {
+    orderInfo.hidden = true;
+  }
 
   const details = document.createElement("p");
   details.className = "order-confirmation-details";
@@ -80,8 +89,9 @@ function buildConfirmationContent(orderNumber) {
 
   const shippingInfo = document.createElement("p");
   shippingInfo.className = "order-confirmation-details";
-  shippingInfo.textContent =
-    "Please check your inbox for further details on shipping and contacts.";
+  shippingInfo.textContent = shipping?.shippingLabel
+    ? `Your order will be sent with ${shipping.shippingLabel} shipping. Please check your inbox for further details on shipping and contacts.`
+    : "Please check your inbox for further details on shipping and contacts.";
 
   const support = document.createElement("p");
   support.className = "order-confirmation-support";
@@ -109,19 +119,24 @@ function buildConfirmationContent(orderNumber) {
 export default function decorate(block) {
   block.textContent = "";
 
-  // Get purchase order number from localStorage (set by order-summary)
+  // Order number returned by the order backend
   const orderNumber = getPurchaseOrderNumber();
 
   const container = document.createElement("div");
   container.className = "order-confirmation-container";
 
-  const content = buildConfirmationContent(orderNumber);
+  // Read the order's shipping before the commerce data is reset below
+  const shipping = window.getDataLayerProperty
+    ? window.getDataLayerProperty("commerce.shipping")
+    : null;
+
+  const content = buildConfirmationContent(orderNumber, shipping);
 
   // Reset cart and commerce data after a small delay
   setTimeout(() => {
     resetCart();
   }, 1000); // Small delay to ensure dataLayer is updated and cart badge is cleared
-  
+
   container.appendChild(content);
   block.appendChild(container);
 }
@@ -0,0 +1,451 @@
+import {
+  formatPrice,
+  formatDiscount,
+  formatShipping,
+  formatTax,
+} from "../../scripts/commerce/cart.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { formatVariantOptions } from "../../scripts/commerce/variants.js";
+import { formatPaymentDetails } from "../../scripts/commerce/payment.js";
+import {
+  pickAddress,
+  getBillingAddress,
+  formatAddress,
+  getSignedInUser,
+} from "../../scripts/commerce/addresses.js";
+import {
+  getOrderHistory,
+  getOrder,
+  getOrderStatusLabel,
+  isOrderHistoryEnabled,
+  reorder,
+} from "../../scripts/commerce/order-history.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getHomeUrl,
+} from "../../scripts/commerce/routes.js";
+
+/**
+ * Format the date an order was placed
+ * @param {string} isoDate - ISO date
+ * @returns {string} Localized date
+ */
+function formatOrderDate(isoDate) {
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(document.documentElement.lang || "en", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * URL of the detail view of an order
+ * @param {string} orderNumber - Order number
+ * @returns {string} URL of this page with ?order=
+ */
+function getOrderUrl(orderNumber) {
+  return `${window.location.pathname}?order=${encodeURIComponent(orderNumber)}`;
+}
+
+/**
+ * Build a status badge
+ * @param {string} status - Order status
+ * @returns {HTMLElement} Badge
+ */
+function buildStatusBadge(status) {
+  const badge = document.createElement("span");
+  badge.className = `order-history-status order-history-status-${status}`;
+  badge.textContent = getOrderStatusLabel(status);
+  return badge;
+}
+
+/**
+ * Build the empty / signed-out state
+ * @param {string} message - Headline
+ * @param {string} text - Explanation
+ * @param {Object} action - { label, href }
+ * @returns {HTMLElement} Empty state
+ */
+function buildEmptyState(message, text, action) {
+  const empty = document.createElement("div");
+  empty.className = "order-history-empty";
+
+  const messageEl = document.createElement("h2");
+  messageEl.className = "order-history-empty-message";
+  messageEl.textContent = message;
+
+  const textEl = document.createElement("p");
+  textEl.className = "order-history-empty-text";
+  textEl.textContent = text;
+
+  const button = document.createElement("a");
+  button.className = "order-history-empty-button button primary";
+  button.href = action.href;
+  button.textContent = action.label;
+
+  empty.append(messageEl, textEl, button);
+  return empty;
+}
+
+/**
+ * Build a row of the order list
+ * @param {Object} order - Stored order
+ * @returns {HTMLElement} Order row
+ */
+function buildOrderRow(order) {
+  const row = document.createElement("a");
+  row.className = "order-history-row";
+  row.href = getOrderUrl(order.orderNumber);
+
+  const number = document.createElement("span");
+  number.className = "order-history-number";
+  number.textContent = order.orderNumber;
+
+  const date = document.createElement("span");
+  date.className = "order-history-date";
+  date.textContent = formatOrderDate(order.placedAt);
+
+  const count = document.createElement("span");
+  count.className = "order-history-count";
+  const itemCount = order.productCount || order.items?.length || 0;
+  count.textContent = `${itemCount} ${itemCount === 1 ? "item" : "items"}`;
+
+  const total = document.createElement("span");
+  total.className = "order-history-total";
+  total.textContent = formatPrice(order.total || 0);
+
+  row.append(number, date, buildStatusBadge(order.status), count, total);
+  return row;
+}
+
+/**
+ * Build the list of past orders
+ * @param {Array<Object>} orders - Stored orders
+ * @returns {HTMLElement} Order list
+ */
+function buildOrderList(orders) {
+  const list = document.createElement("div");
+  list.className = "order-history-list";
+
+  const header = document.createElement("div");
+  header.className = "order-history-row order-history-row-header";
+  header.setAttribute("aria-hidden", "true");
+  ["Order", "Date", "Status", "Items", "Total"].forEach((label) => {
+    const cell = document.createElement("span");
+    cell.textContent = label;
+    header.appendChild(cell);
+  });
+
+  list.appendChild(header);
+  orders.forEach((order) => list.appendChild(buildOrderRow(order)));
+  return list;
+}
+
+/**
+ * Build a line item of the order detail
+ * @param {Object} item - Order item
+ * @returns {HTMLElement} Line item
+ */
+function buildOrderItem(item) {
+  const row = document.createElement("div");
+  row.className = "order-history-item";
+
+  const imageWrapper = document.createElement("div");
+  imageWrapper.className = "order-history-item-image";
+  if (item.image) {
+    const img = document.createElement("img");
+    img.src = item.image;
+    img.alt = item.name || "Product image";
+    img.loading = "lazy";
+    imageWrapper.appendChild(img);
+  }
+
+  const details = document.createElement("div");
+  details.className = "order-history-item-details";
+
+  const name = document.createElement("h3");
+  name.className = "order-history-item-name";
+  name.textContent = item.name || "";
+  details.appendChild(name);
+
+  const options = formatVariantOptions(item);
+  if (options.length > 0) {
+    const attributes = document.createElement("p");
+    attributes.className = "order-history-item-attributes";
+    attributes.textContent = options.join(", ");
+    details.appendChild(attributes);
+  }
+
+  const quantity = document.createElement("p");
+  quantity.className = "order-history-item-qty";
+  quantity.textContent = `Qty: ${item.quantity || 1}`;
+  details.appendChild(quantity);
+
+  const price = document.createElement("div");
+  price.className = "order-history-item-price";
+  price.textContent = formatPrice((item.price || 0) * (item.quantity || 1));
+
+  row.append(imageWrapper, details, price);
+  return row;
+}
+
+/**
+ * Build a section of the order detail sidebar
+ * @param {string} title - Section title
+ * @param {Array<string>} lines - Lines of text
+ * @returns {HTMLElement} Section
+ */
+function buildDetailSection(title, lines) {
+  const section = document.createElement("div");
+  section.className = "order-history-section";
+
+  const titleEl = document.createElement("h2");
+  titleEl.className = "order-history-section-title";
+  titleEl.textContent = title;
+  section.appendChild(titleEl);
+
+  (lines.length > 0 ? lines : ["---"]).forEach((line) => {
+    const p = document.createElement("p");
+    p.textContent = line;
+    section.appendChild(p);
+  });
+  return section;
+}
+
+/**
+ * Build the totals of an order
+ * @param {Object} order - Stored order
+ * @returns {HTMLElement} Totals
+ */
+function buildTotals(order) {
+  const totals = document.createElement("div");
+  totals.className = "order-history-totals";
+
+  const rows = [
+    ["Subtotal", formatPrice(order.subTotal || 0)],
+    ["Shipping", formatShipping({ amount: order.shipping?.shippingAmount })],
+    [
+      "Discount",
+      formatDiscount({
+        amount: order.discountAmount,
+        code: order.discountCode,
+      }),
+    ],
+    [
+      "Tax",
+      formatTax({ amount: order.taxAmount, inclusive: order.taxInclusive }),
+    ],
+    ["Total", formatPrice(order.total || 0)],
+  ];
+
+  rows.forEach(([label, value], index) => {
+    const row = document.createElement("div");
+    row.className = "order-history-totals-row";
+    if (index === rows.length - 1) {
+      row.classList.add("order-history-totals-total");
+    }
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    const valueEl = document.createElement("span");
+    valueEl.textContent = value;
+    row.append(labelEl, valueEl);
+    totals.appendChild(row);
+  });
+  return totals;
+}
+
+/**
+ * Build the reorder action
+ * @param {Object} order - Stored order
+ * @returns {HTMLElement} Reorder button and status message
+ */
+function buildReorder(order) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "order-history-reorder";
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "order-history-reorder-btn";
+  button.textContent = "REORDER";
+
+  const message = document.createElement("p");
+  message.className = "order-history-reorder-message";
+  message.setAttribute("role", "status");
+
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    message.textContent = "";
+    const { added: count, unavailable } = await reorder(order);
+    button.disabled = false;
+    if (count === 0) {
+      message.textContent = "The items of this order are no longer available.";
+      return;
+    }
+
+    const cartLink = document.createElement("a");
+    cartLink.href = getCommerceUrl(COMMERCE_PAGES.CART);
+    cartLink.textContent = "View cart";
+    message.append(
+      `${count} ${
+        count === 1 ? "item was" : "items were"
+      } added to your cart at today's prices. `,
+      cartLink
+    );
+    if (unavailable > 0) {
+      message.append(
+        ` ${unavailable} ${
+          unavailable === 1 ? "item is" : "items are"
+        } no longer available.`
+      );
+    }
+  });
+
+  wrapper.append(button, message);
+  return wrapper;
+}
+
+/**
+ * Build the detail view of an order
+ * @param {Object} order - Stored order
+ * @returns {HTMLElement} Order detail
+ */
+function buildOrderDetail(order) {
+  const detail = document.createElement("div");
+  detail.className = "order-history-detail";
+
+  const back = document.createElement("a");
+  back.className = "order-history-back";
+  back.href = window.location.pathname;
+  back.textContent = "← All orders";
+
+  const header = document.createElement("div");
+  header.className = "order-history-detail-header";
+
+  const number = document.createElement("h2");
+  number.className = "order-history-detail-number";
+  number.textContent = `Order No. ${order.orderNumber}`;
+
+  const date = document.createElement("p");
+  date.className = "order-history-date";
+  date.textContent = `Placed on ${formatOrderDate(order.placedAt)}`;
+
+  header.append(number, date, buildStatusBadge(order.status));
+
+  const content = document.createElement("div");
+  content.className = "order-history-detail-content";
+
+  const items = document.createElement("div");
+  items.className = "order-history-items";
+  (order.items || []).forEach((item) => {
+    items.appendChild(buildOrderItem(item));
+  });
+
+  const sidebar = document.createElement("div");
+  sidebar.className = "order-history-sidebar";
+  sidebar.append(
+    buildDetailSection(
+      "Shipping address",
+      formatAddress(pickAddress(order.customer))
+    ),
+    buildDetailSection(
+      "Billing address",
+      formatAddress(getBillingAddress(order.customer))
+    ),
+    buildDetailSection(
+      "Shipping",
+      [order.shipping?.shippingLabel].filter(Boolean)
+    ),
+    buildDetailSection(
+      "Payment",
+      [formatPaymentDetails(order.payment)].filter(Boolean)
+    ),
+    buildTotals(order),
+    buildReorder(order)
+  );
+
+  content.append(items, sidebar);
+  detail.append(back, header, content);
+  return detail;
+}
+
+/**
+ * Render the order list, or the order given in ?order=
+ * @param {HTMLElement} container - Block container
+ */
+function renderOrderHistory(container) {
+  const title = container.querySelector(".order-history-title");
+  container.innerHTML = "";
+  container.appendChild(title);
+
+  if (!getSignedInUser()) {
+    container.appendChild(
+      buildEmptyState(
+        "Sign in to see your orders",
+        "Your order history is available once you are signed in",
+        { label: "Sign In", href: getCommerceUrl(COMMERCE_PAGES.SIGN_IN) }
+      )
+    );
+    return;
+  }
+
+  if (!isOrderHistoryEnabled()) {
+    container.appendChild(
+      buildEmptyState(
+        "Your orders are not kept on this device",
+        "Allow preferences in the privacy settings to see the orders you place from now on",
+        { label: "Continue Shopping", href: getHomeUrl() }
+      )
+    );
+    return;
+  }
+
+  const orderNumber = new URLSearchParams(window.location.search).get("order");
+  if (orderNumber) {
+    const order = getOrder(orderNumber);
+    if (order) {
+      container.appendChild(buildOrderDetail(order));
+      return;
+    }
+    console.warn(`⚠ Order ${orderNumber} not found in the order history`);
+  }
+
+  const orders = getOrderHistory();
+  if (orders.length === 0) {
+    container.appendChild(
+      buildEmptyState(
+        "You have not placed any orders yet",
+        "Orders placed with your email address will appear here",
+        { label: "Continue Shopping", href: getHomeUrl() }
+      )
+    );
+    return;
+  }
+
+  container.appendChild(buildOrderList(orders));
+}
+
+/**
+ * Decorate the order history block
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  block.textContent = "";
+
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
+  const container = document.createElement("div");
+  container.className = "order-history-container";
+
+  const title = document.createElement("h1");
+  title.className = "order-history-title";
+  title.textContent = "MY ORDERS";
+
+  container.appendChild(title);
+  block.appendChild(container);
+
+  renderOrderHistory(container);
+}
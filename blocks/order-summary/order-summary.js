@@ -1,52 +1,41 @@
-/**
- * Generate random purchase order number
- * @returns {string} Random purchase order number
- */
-function generatePurchaseOrderNumber() {
-  const prefix = "fb";
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 7);
-  return `${prefix}${timestamp}${random}`.substring(0, 12);
-}
+import {
+  getCart,
+  refreshCartPricing,
+  formatPrice,
+  formatDiscount,
+  formatShipping,
+  formatTax,
+} from "../../scripts/commerce/cart.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import {
+  ORDER_STATUS,
+  createOrderPayload,
+  submitOrder,
+} from "../../scripts/commerce/orders.js";
+import { saveOrderToHistory } from "../../scripts/commerce/order-history.js";
+import { COMMERCE_PAGES, navigateTo } from "../../scripts/commerce/routes.js";
+import {
+  loadPayment,
+  formatPaymentDetails,
+  toDataLayerPayment,
+} from "../../scripts/commerce/payment.js";
+import {
+  pickAddress,
+  getBillingAddress,
+  formatAddress,
+} from "../../scripts/commerce/addresses.js";
+
+// Submission state of the order, kept across re-renders of the summary
+const submission = { status: "", error: "" };
 
 /**
- * Load checkout data from localStorage
+ * Load the checkout form data
+ * Delegates to global loadCheckoutData() from datalayer.js, shared with
+ * the checkout step
  * @returns {Object|null} Saved checkout data
  */
 function loadCheckoutData() {
-  const saved = localStorage.getItem("luma_checkout_data");
-  return saved ? JSON.parse(saved) : null;
-}
-
-/**
- * Get cart data from dataLayer
- * @returns {Object} Cart data
- */
-function getCartData() {
-  const cartData = window.getDataLayerProperty
-    ? window.getDataLayerProperty("cart")
-    : null;
-
-  return cartData || { productCount: 0, products: {}, subTotal: 0, total: 0 };
-}
-
-/**
- * Format price as currency
- * @param {number} amount - Amount to format
- * @returns {string} Formatted price
- */
-function formatPrice(amount) {
-  return `$${amount.toFixed(2)}`;
-}
-
-/**
- * Navigate to a page
- * @param {string} page - Page to navigate to
- */
-function navigateToPage(page) {
-  const currentPath = window.location.pathname;
-  const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
-  window.location.href = `${basePath}/${page}`;
+  return window.loadCheckoutData();
 }
 
 /**
@@ -124,7 +113,7 @@ function buildCartItem(product) {
 
   const price = document.createElement("div");
   price.className = "order-summary-item-price";
-  price.textContent = formatPrice(product.price * (product.quantity || 1));
+  price.textContent = formatPrice(product.subTotal);
 
   priceQty.append(qtyDisplay, price);
   details.appendChild(priceQty);
@@ -133,6 +122,42 @@ function buildCartItem(product) {
   return item;
 }
 
+/**
+ * Build an address section
+ * @param {string} title - Section title
+ * @param {Object|null} address - Address
+ * @param {string} emptyText - Text shown without an address
+ * @returns {HTMLElement} Section
+ */
+function buildAddressSection(title, address, emptyText) {
+  const section = document.createElement("div");
+  section.className = "order-summary-section";
+
+  const titleEl = document.createElement("h2");
+  titleEl.className = "order-summary-section-title";
+  titleEl.textContent = title;
+
+  const content = document.createElement("div");
+  content.className = "order-summary-address";
+
+  const lines = formatAddress(address);
+  if (lines.length > 0) {
+    lines.forEach((line, index) => {
+      const p = document.createElement("p");
+      if (index === 0) p.className = "order-summary-name";
+      p.textContent = line;
+      content.append(p);
+    });
+  } else {
+    const p = document.createElement("p");
+    p.textContent = emptyText;
+    content.append(p);
+  }
+
+  section.append(titleEl, content);
+  return section;
+}
+
 /**
  * Build order summary
  * @param {Object} checkoutData - Checkout data from localStorage
@@ -175,28 +200,17 @@ function buildOrderSummary(checkoutData, cartData) {
   const rightColumn = document.createElement("div");
   rightColumn.className = "order-summary-sidebar";
 
-  // Billing Address
-  const billingSection = document.createElement("div");
-  billingSection.className = "order-summary-section";
-
-  const billingTitle = document.createElement("h2");
-  billingTitle.className = "order-summary-section-title";
-  billingTitle.textContent = "Billing address";
-
-  const billingContent = document.createElement("div");
-  billingContent.className = "order-summary-address";
-
-  if (checkoutData) {
-    billingContent.innerHTML = `
-      <p class="order-summary-name">${checkoutData.firstName} ${checkoutData.lastName}</p>
-      <p>${checkoutData.streetAddress}</p>
-      <p>${checkoutData.city} ${checkoutData.postalCode} ${checkoutData.country}</p>
-    `;
-  } else {
-    billingContent.innerHTML = "<p>No billing address found</p>";
-  }
-
-  billingSection.append(billingTitle, billingContent);
+  // Addresses
+  const shippingAddressSection = buildAddressSection(
+    "Shipping address",
+    checkoutData && pickAddress(checkoutData),
+    "No shipping address found"
+  );
+  const billingSection = buildAddressSection(
+    "Billing address",
+    getBillingAddress(checkoutData),
+    "No billing address found"
+  );
 
   // Shipping
   const shippingSection = document.createElement("div");
@@ -208,10 +222,53 @@ function buildOrderSummary(checkoutData, cartData) {
 
   const shippingContent = document.createElement("div");
   shippingContent.className = "order-summary-shipping";
-  shippingContent.textContent = "---";
+
+  if (cartData.shipping) {
+    const { label, description } = cartData.shipping;
+    [label, description, formatShipping(cartData.shipping)].forEach(
+      (text, index) => {
+        const p = document.createElement("p");
+        if (index === 0) p.className = "order-summary-name";
+        p.textContent = text || "";
+        shippingContent.append(p);
+      }
+    );
+  } else {
+    shippingContent.textContent = "---";
+  }
 
   shippingSection.append(shippingTitle, shippingContent);
 
+  // Payment (masked details from the checkout's payment step)
+  const paymentSection = document.createElement("div");
+  paymentSection.className = "order-summary-section";
+
+  const paymentTitle = document.createElement("h2");
+  paymentTitle.className = "order-summary-section-title";
+  paymentTitle.textContent = "Payment";
+
+  const paymentContent = document.createElement("div");
+  paymentContent.className = "order-summary-payment";
+
+  const payment = loadPayment();
+  if (payment) {
+    const method = document.createElement("p");
+    method.className = "order-summary-name";
+    method.textContent = payment.label;
+    paymentContent.appendChild(method);
+
+    const details = formatPaymentDetails(payment);
+    if (details !== payment.label) {
+      const detailsEl = document.createElement("p");
+      detailsEl.textContent = details;
+      paymentContent.appendChild(detailsEl);
+    }
+  } else {
+    paymentContent.textContent = "---";
+  }
+
+  paymentSection.append(paymentTitle, paymentContent);
+
   // Price Summary
   const priceSection = document.createElement("div");
   priceSection.className = "order-summary-pricing";
@@ -223,11 +280,15 @@ function buildOrderSummary(checkoutData, cartData) {
     </div>
     <div class="order-summary-price-row">
       <span>Shipping</span>
-      <span>---</span>
+      <span>${formatShipping(cartData.shipping)}</span>
     </div>
     <div class="order-summary-price-row">
       <span>Discount</span>
-      <span>----</span>
+      <span>${formatDiscount(cartData.discount)}</span>
+    </div>
+    <div class="order-summary-price-row">
+      <span>Tax</span>
+      <span>${formatTax(cartData.tax)}</span>
     </div>
     <div class="order-summary-price-row order-summary-price-total">
       <span>Total</span>
@@ -235,17 +296,49 @@ function buildOrderSummary(checkoutData, cartData) {
     </div>
   `;
 
-  rightColumn.append(billingSection, shippingSection, priceSection);
+  rightColumn.append(
+    shippingAddressSection,
+    billingSection,
+    shippingSection,
+    paymentSection,
+    priceSection
+  );
 
   container.append(leftColumn, rightColumn);
   return container;
 }
 
+/**
+ * Build the submission status message (pending / failed)
+ * @returns {HTMLElement} Status element
+ */
+function buildStatusMessage() {
+  const status = document.createElement("p");
+  status.className = "order-summary-status";
+  status.setAttribute("role", "status");
+
+  if (submission.status === ORDER_STATUS.PENDING) {
+    status.textContent = "Placing your order, please wait...";
+  } else if (submission.status === ORDER_STATUS.FAILED) {
+    status.classList.add("order-summary-status-error");
+    status.setAttribute("role", "alert");
+    status.textContent = `We could not place your order. ${submission.error} Please try again.`;
+  } else {
+    status.hidden = true;
+  }
+  return status;
+}
+
 /**
  * Build action buttons
+ * @param {HTMLElement} block - The block element
  * @returns {HTMLElement} Buttons container
  */
-function buildButtons() {
+function buildButtons(block) {
+  const busy =
+    submission.status === ORDER_STATUS.PENDING ||
+    submission.status === ORDER_STATUS.PLACED;
+
   const buttonGroup = document.createElement("div");
   buttonGroup.className = "order-summary-buttons";
 
@@ -253,16 +346,25 @@ function buildButtons() {
   backBtn.type = "button";
   backBtn.className = "order-summary-btn order-summary-btn-back";
   backBtn.textContent = "BACK";
+  backBtn.disabled = busy;
   backBtn.addEventListener("click", () => {
-    navigateToPage("checkout");
+    navigateTo(COMMERCE_PAGES.CHECKOUT);
   });
 
   const confirmBtn = document.createElement("button");
   confirmBtn.type = "button";
   confirmBtn.className = "order-summary-btn order-summary-btn-confirm";
-  confirmBtn.textContent = "CONFIRM ORDER";
+  confirmBtn.disabled = busy;
+  if (busy) {
+    confirmBtn.textContent = "PLACING ORDER...";
+    confirmBtn.setAttribute("aria-busy", "true");
+  } else if (submission.status === ORDER_STATUS.FAILED) {
+    confirmBtn.textContent = "TRY AGAIN";
+  } else {
+    confirmBtn.textContent = "CONFIRM ORDER";
+  }
   confirmBtn.addEventListener("click", () => {
-    handleConfirmOrder();
+    handleConfirmOrder(block);
   });
 
   buttonGroup.append(backBtn, confirmBtn);
@@ -270,43 +372,86 @@ function buildButtons() {
 }
 
 /**
- * Handle confirm order - Update dataLayer with commerce object
+ * Update the submission state and re-render the summary
+ * @param {HTMLElement} block - The block element
+ * @param {string} status - ORDER_STATUS value
+ * @param {string} error - Error message (failed state)
  */
-function handleConfirmOrder() {
-  const cartData = getCartData();
-  const checkoutData = loadCheckoutData();
-  
-  // Generate purchase order number
-  const purchaseOrderNumber = generatePurchaseOrderNumber();
-  
-  // Store purchase order number for order-confirmation page
-  localStorage.setItem("luma_purchase_order_number", purchaseOrderNumber);
-  
-  // Prepare order items for commerce object
-  const products = Object.values(cartData.products || {});
-  const orderItems = products.map(product => ({
-    id: product.id,
-    name: product.name,
-    price: product.price,
-    quantity: product.quantity || 1,
-    category: product.category || "",
-  }));
-  
+function setSubmissionState(block, status, error = "") {
+  submission.status = status;
+  submission.error = error;
+  // eslint-disable-next-line no-use-before-define
+  renderOrderSummary(block);
+}
+
+/**
+ * Handle confirm order - Submit the order to the order endpoint and
+ * update the dataLayer commerce object with the backend's order number
+ * @param {HTMLElement} block - The block element
+ */
+async function handleConfirmOrder(block) {
+  if (submission.status === ORDER_STATUS.PENDING) return;
+
+  const payment = loadPayment();
+  if (!payment) {
+    setSubmissionState(
+      block,
+      ORDER_STATUS.FAILED,
+      "No payment method was selected at checkout."
+    );
+    return;
+  }
+
+  setSubmissionState(block, ORDER_STATUS.PENDING);
+
+  // The order is priced with the sheets as currently authored; a
+  // changed total is shown to the shopper before it is placed
+  const shownTotal = getCart().total;
+  const cart = await refreshCartPricing();
+  if (cart.total !== shownTotal) {
+    setSubmissionState(
+      block,
+      ORDER_STATUS.FAILED,
+      "The prices of your order have changed. Please check the new total."
+    );
+    return;
+  }
+
+  const order = createOrderPayload(cart, loadCheckoutData(), payment);
+
+  let orderNumber;
+  try {
+    ({ orderNumber } = await submitOrder(order));
+  } catch (error) {
+    // Network errors have no message worth showing to the shopper
+    const message =
+      error instanceof TypeError
+        ? "The order service could not be reached."
+        : error.message;
+    setSubmissionState(block, ORDER_STATUS.FAILED, message);
+    return;
+  }
+
+  // Keep the order for the shopper's order history
+  saveOrderToHistory(order, orderNumber);
+
   // Create commerce object
   const commerceData = {
     order: {
-      purchaseOrderNumber: purchaseOrderNumber,
-      productCount: cartData.productCount || 0,
-      subTotal: cartData.subTotal || 0,
-      total: cartData.total || 0,
-      items: orderItems,
-    },
-    shipping: {
-      shippingAmount: 5,
-      shippingMethod: "standardShipping",
+      purchaseOrderNumber: orderNumber,
+      productCount: order.productCount,
+      subTotal: order.subTotal,
+      discountAmount: order.discountAmount,
+      discountCode: order.discountCode,
+      taxAmount: order.taxAmount,
+      taxInclusive: order.taxInclusive,
+      total: order.total,
+      items: order.items,
     },
+    shipping: order.shipping,
+    payment: toDataLayerPayment(payment),
   };
-  
+
   // Update dataLayer with commerce object
   if (window.updateDataLayer) {
     window.updateDataLayer({ commerce: commerceData }, true);
@@ -314,10 +459,13 @@ function handleConfirmOrder() {
   } else {
     console.warn("⚠️ updateDataLayer not available");
   }
-  
-  // Navigate to order confirmation
+
+  setSubmissionState(block, ORDER_STATUS.PLACED);
+
+  // Navigate to order confirmation (the order number is passed along for
+  // reloads, when the commerce data has already been reset)
   setTimeout(() => {
-    navigateToPage("order-confirmation");
+    navigateTo(COMMERCE_PAGES.ORDER_CONFIRMATION, { order: orderNumber });
   }, 100);
 }
 
@@ -327,7 +475,7 @@ function handleConfirmOrder() {
  */
 function renderOrderSummary(block) {
   const checkoutData = loadCheckoutData();
-  const cartData = getCartData();
+  const cartData = getCart();
 
   const container = block.querySelector(".order-summary-container");
   if (!container) return;
@@ -345,19 +493,19 @@ function renderOrderSummary(block) {
   }
 
   const summary = buildOrderSummary(checkoutData, cartData);
-  const buttons = buildButtons();
+  const status = buildStatusMessage();
+  const buttons = buildButtons(block);
 
-  container.append(summary, buttons);
+  container.append(summary, status, buttons);
 }
 
 /**
- * Setup dataLayer listener for cart updates
+ * Refresh the order summary when dataLayer.cart changes
  * @param {HTMLElement} block - The block element
  */
 function setupDataLayerListener(block) {
-  document.addEventListener("dataLayerUpdated", (event) => {
-    const { dataLayer } = event.detail;
-    if (dataLayer && dataLayer.cart) {
+  window.subscribeDataLayer("cart", ({ newValue: cart }) => {
+    if (cart) {
       renderOrderSummary(block);
     }
   });
@@ -367,9 +515,12 @@ function setupDataLayerListener(block) {
  * Decorate the order summary block
  * @param {HTMLElement} block - The block element
  */
-export default function decorate(block) {
+export default async function decorate(block) {
   block.textContent = "";
 
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
   const container = document.createElement("div");
   container.className = "order-summary-container";
   block.appendChild(container);
@@ -0,0 +1,339 @@
+import { readBlockConfig } from "../../scripts/aem.js";
+import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { fetchProduct } from "../../scripts/catalog.js";
+import { loadCurrency, formatPrice } from "../../scripts/commerce/currency.js";
+import {
+  VARIANT_OPTIONS,
+  getProductVariants,
+  getVariantOptions,
+} from "../../scripts/commerce/variants.js";
+import {
+  COMPARE_EVENTS,
+  MAX_COMPARE_ITEMS,
+  getCompareList,
+  remove,
+  clear,
+} from "../../scripts/commerce/compare.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getHomeUrl,
+} from "../../scripts/commerce/routes.js";
+
+/**
+ * Format the categories of a product
+ * @param {Array|string} category - Category tags (e.g. ["luma:men/tops"])
+ * @returns {string} e.g. "men / tops"
+ */
+function formatCategory(category) {
+  const list = Array.isArray(category)
+    ? category
+    : `${category || ""}`.split(",");
+  return list
+    .map((cat) =>
+      `${cat}`
+        .trim()
+        .replace(/^(luma:|lumaproducts:)/i, "")
+        .replace(/\//g, " / ")
+    )
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Combine a compared product with its catalog data
+ * Falls back to what was stored when the product was picked
+ * @param {Object} saved - Compared product (see getCompareList)
+ * @param {Object|null} fragment - Product content fragment
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {Object} Product to show in the table
+ */
+function toComparedProduct(saved, fragment, isAuthor) {
+  const options = {};
+  if (fragment) {
+    getVariantOptions(getProductVariants(fragment)).forEach((option) => {
+      options[option.name] = option.values.map(({ value }) => value);
+    });
+  }
+
+  const image = isAuthor
+    ? fragment?.image?._authorUrl
+    : fragment?.image?._publishUrl;
+  const description = fragment?.description;
+
+  return {
+    id: saved.id,
+    sku: fragment?.sku || saved.sku,
+    name: fragment?.name || saved.name,
+    image: image || saved.image,
+    price: fragment?.price ?? saved.price,
+    category: formatCategory(fragment?.category || saved.category),
+    description: description?.html || "",
+    options,
+  };
+}
+
+/**
+ * Load the catalog data of the compared products
+ * @param {Array<Object>} products - Compared products
+ * @param {string} folder - Catalog folder of the block (optional; each
+ *   product otherwise uses the folder it was picked from)
+ * @returns {Promise<Array<Object>>} Products to show in the table
+ */
+async function loadComparedProducts(products, folder) {
+  const isAuthor = isAuthorEnvironment();
+  return Promise.all(
+    products.map(async (saved) => {
+      const source = folder || saved.folder;
+      let fragment = null;
+      if (source) {
+        try {
+          fragment = await fetchProduct(source, saved.sku);
+        } catch (error) {
+          console.warn(`⚠ Could not load ${saved.sku} for compare:`, error);
+        }
+      }
+      return toComparedProduct(saved, fragment, isAuthor);
+    })
+  );
+}
+
+/**
+ * Rows of the comparison table
+ * @param {Array<Object>} products - Products to show
+ * @returns {Array<Object>} Rows { label, value(product), html }
+ */
+function getCompareRows(products) {
+  const rows = [
+    {
+      label: "Price",
+      value: (product) => (product.price ? formatPrice(product.price) : ""),
+    },
+    { label: "SKU", value: (product) => product.sku },
+    { label: "Category", value: (product) => product.category },
+    {
+      label: "Description",
+      value: (product) => product.description,
+      html: true,
+    },
+  ];
+
+  // Variant options offered by at least one of the products
+  VARIANT_OPTIONS.forEach(({ name, label }) => {
+    if (!products.some((product) => product.options[name]?.length)) return;
+    rows.push({
+      label,
+      value: (product) => (product.options[name] || []).join(", "),
+    });
+  });
+  return rows;
+}
+
+/**
+ * Build the column header of a product
+ * @param {Object} product - Product to show
+ * @returns {HTMLElement} Table header cell
+ */
+function buildProductHeader(product) {
+  const cell = document.createElement("th");
+  cell.scope = "col";
+  cell.className = "product-compare-product";
+
+  const url = getCommerceUrl(COMMERCE_PAGES.PRODUCT, {
+    productId: product.sku,
+  });
+
+  const imageLink = document.createElement("a");
+  imageLink.className = "product-compare-image";
+  imageLink.href = url;
+  imageLink.tabIndex = -1;
+  if (product.image) {
+    const img = document.createElement("img");
+    img.src = product.image;
+    img.alt = "";
+    img.loading = "lazy";
+    imageLink.appendChild(img);
+  }
+
+  const name = document.createElement("a");
+  name.className = "product-compare-name";
+  name.href = url;
+  name.textContent = product.name || product.sku;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "product-compare-remove";
+  removeBtn.textContent = "Remove";
+  removeBtn.setAttribute("aria-label", `Remove ${product.name} from compare`);
+  removeBtn.addEventListener("click", () => {
+    remove(product.id);
+  });
+
+  cell.append(imageLink, name, removeBtn);
+  return cell;
+}
+
+/**
+ * Build the comparison table
+ * @param {Array<Object>} products - Products to show
+ * @returns {HTMLElement} Scrollable table wrapper
+ */
+function buildCompareTable(products) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "product-compare-table-wrapper";
+  wrapper.tabIndex = 0;
+  wrapper.setAttribute("role", "region");
+  wrapper.setAttribute("aria-label", "Product comparison");
+
+  const table = document.createElement("table");
+  table.className = "product-compare-table";
+
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  const corner = document.createElement("td");
+  corner.className = "product-compare-corner";
+  headRow.appendChild(corner);
+  products.forEach((product) => {
+    headRow.appendChild(buildProductHeader(product));
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  getCompareRows(products).forEach(({ label, value, html }) => {
+    const row = document.createElement("tr");
+
+    const labelCell = document.createElement("th");
+    labelCell.scope = "row";
+    labelCell.className = "product-compare-label";
+    labelCell.textContent = label;
+    row.appendChild(labelCell);
+
+    products.forEach((product) => {
+      const cell = document.createElement("td");
+      const content = value(product);
+      if (!content) {
+        cell.textContent = "—";
+      } else if (html) {
+        // Same content fragment HTML as on the product page
+        cell.innerHTML = content;
+      } else {
+        cell.textContent = content;
+      }
+      row.appendChild(cell);
+    });
+
+    body.appendChild(row);
+  });
+
+  table.append(head, body);
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+/**
+ * Build the empty state
+ * @returns {HTMLElement} Empty state
+ */
+function buildEmptyState() {
+  const empty = document.createElement("div");
+  empty.className = "product-compare-empty";
+
+  const message = document.createElement("h2");
+  message.className = "product-compare-empty-message";
+  message.textContent = "No products to compare";
+
+  const text = document.createElement("p");
+  text.className = "product-compare-empty-text";
+  text.textContent = `Tick "Compare" on up to ${MAX_COMPARE_ITEMS} products to see them side by side`;
+
+  const button = document.createElement("a");
+  button.className = "product-compare-empty-button button primary";
+  button.href = getHomeUrl();
+  button.textContent = "Continue Shopping";
+
+  empty.append(message, text, button);
+  return empty;
+}
+
+/**
+ * Decorate the product compare block
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  // Optional catalog folder (products otherwise load from the folder
+  // they were picked from)
+  let folder = "";
+  const link = block.querySelector("a[href]");
+  if (link) {
+    folder = link.getAttribute("href");
+  } else {
+    folder = readBlockConfig(block).folder || "";
+  }
+  folder = folder.replace(/\.html$/, "");
+
+  block.textContent = "";
+
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
+  const container = document.createElement("div");
+  container.className = "product-compare-container";
+
+  const header = document.createElement("div");
+  header.className = "product-compare-header";
+
+  const title = document.createElement("h1");
+  title.className = "product-compare-title";
+  title.textContent = "COMPARE PRODUCTS";
+
+  const clearBtn = document.createElement("button");
+  clearBtn.type = "button";
+  clearBtn.className = "product-compare-clear";
+  clearBtn.textContent = "Clear all";
+  clearBtn.addEventListener("click", () => {
+    clear();
+  });
+
+  header.append(title, clearBtn);
+
+  const content = document.createElement("div");
+  content.className = "product-compare-content";
+  content.setAttribute("aria-live", "polite");
+
+  container.append(header, content);
+  block.appendChild(container);
+
+  // Only the latest render fills the table (products may change while
+  // the catalog is loading)
+  let renderId = 0;
+  const render = async () => {
+    renderId += 1;
+    const currentRender = renderId;
+    const saved = getCompareList();
+    clearBtn.hidden = saved.length === 0;
+
+    if (saved.length === 0) {
+      content.replaceChildren(buildEmptyState());
+      return;
+    }
+
+    content.setAttribute("aria-busy", "true");
+    const products = await loadComparedProducts(saved, folder);
+    if (currentRender !== renderId) return;
+    content.removeAttribute("aria-busy");
+
+    const nodes = [buildCompareTable(products)];
+    if (products.length < 2) {
+      const hint = document.createElement("p");
+      hint.className = "product-compare-hint";
+      hint.textContent = "Add at least one more product to compare.";
+      nodes.unshift(hint);
+    }
+    content.replaceChildren(...nodes);
+  };
+
+  await render();
+
+  // Follow products removed here, in the tray or in another tab
+  document.addEventListener(COMPARE_EVENTS.UPDATED, render);
+}
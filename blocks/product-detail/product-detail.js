@@ -1,5 +1,30 @@
 import { createOptimizedPicture, readBlockConfig } from "../../scripts/aem.js";
 import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { fetchProduct, fetchAllProducts } from "../../scripts/catalog.js";
+import { loadCurrency, formatPrice } from "../../scripts/commerce/currency.js";
+import {
+  WISHLIST_EVENTS,
+  hasItem as hasWishlistItem,
+  toggle as toggleWishlistItem,
+} from "../../scripts/commerce/wishlist.js";
+import {
+  getProductVariants,
+  getVariantOptions,
+  getMissingOptions,
+  findVariant,
+  isOptionAvailable,
+  getVariantImage,
+  getSelectionImage,
+} from "../../scripts/commerce/variants.js";
+import {
+  STOCK_STATUS,
+  loadInventory,
+  getStockInfo,
+  getStockStatus,
+} from "../../scripts/commerce/inventory.js";
+import { getCart, getLineKey } from "../../scripts/commerce/cart.js";
+import { createCompareCheckbox } from "../../scripts/commerce/compare.js";
+import { addRecentlyViewed } from "../../scripts/commerce/recently-viewed.js";
 
 /**
  * Get query parameter from URL
@@ -11,75 +36,6 @@ function getQueryParam(param) {
   return urlParams.get(param);
 }
 
-/**
- * Fetch product details from GraphQL
- * @param {string} path - Content fragment folder path
- * @param {string} sku - Product SKU
- * @param {boolean} isAuthor - Is author environment
- * @returns {Promise<Object|null>} - Product data
- */
-async function fetchProductDetail(path, sku, isAuthor) {
-  try {
-    if (!path || !sku) {
-      // eslint-disable-next-line no-console
-      console.error("Product Detail: Missing path or SKU");
-      return null;
-    }
-   const skuItem = isAuthor ? `;sku=${sku}` : `&sku=${sku}`;
-    const baseUrl = isAuthor
-      ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/getProductsByPathAndSKU;"
-      : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGrapghQlByPathAndSku?";
-    const url = `${baseUrl}_path=${path}${skuItem}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items = json?.data?.productsModelList?.items || [];
-    return items.length > 0 ? items[0] : null;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Product Detail: fetch error", e);
-    return null;
-  }
-}
-
-/**
- * Fetch all products from a folder
- * @param {string} path - Content fragment folder path
- * @param {boolean} isAuthor - Is author environment
- * @returns {Promise<Array>} - Array of products
- */
-async function fetchAllProducts(path, isAuthor) {
-  try {
-    if (!path) {
-      return [];
-    }
-        const baseUrl = isAuthor
-      ? "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister;"
-      : "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl?";
-    const url = `${baseUrl}_path=${path}`;
-    const resp = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-      },
-    });
-    const json = await resp.json();
-    const items = json?.data?.productsModelList?.items || [];
-    const filtered = items.filter((item) => item && item.sku);
-    return filtered;
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.error("Product Detail: fetch all products error", e);
-    return [];
-  }
-}
-
 /**
  * Build a recommendation card (similar to new-arrival.js)
  * @param {Object} item - Product data
@@ -170,13 +126,93 @@ function buildRecommendationCard(item, isAuthor) {
   return card;
 }
 
+/**
+ * Build the main product picture
+ * @param {string} imgUrl - Image URL
+ * @param {string} name - Product name (alt text)
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {HTMLElement|null} - Picture element
+ */
+function buildProductPicture(imgUrl, name, isAuthor) {
+  if (!imgUrl) return null;
+
+  if (!isAuthor && imgUrl.startsWith("http")) {
+    // For publish with full URL, use it directly
+    const picture = document.createElement("picture");
+    const img = document.createElement("img");
+    img.src = imgUrl;
+    img.alt = name || "Product image";
+    img.loading = "eager";
+    picture.appendChild(img);
+    return picture;
+  }
+
+  // For author or relative paths, use createOptimizedPicture
+  return createOptimizedPicture(imgUrl, name || "Product image", true, [
+    { media: "(min-width: 900px)", width: "800" },
+    { media: "(min-width: 600px)", width: "600" },
+    { width: "400" },
+  ]);
+}
+
+/**
+ * Build the picker of one variant option (color swatches, size buttons)
+ * @param {Object} option - Variant option (see getVariantOptions)
+ * @param {Function} onSelect - Called with (optionName, value)
+ * @returns {HTMLElement} - Option fieldset
+ */
+function buildVariantPicker(option, onSelect) {
+  const fieldset = document.createElement("fieldset");
+  fieldset.className = `pd-option pd-option-${option.name}`;
+  fieldset.dataset.option = option.name;
+
+  const legend = document.createElement("legend");
+  legend.className = "pd-option-label";
+  legend.textContent = option.label;
+
+  const selectedEl = document.createElement("span");
+  selectedEl.className = "pd-option-selected";
+  legend.appendChild(selectedEl);
+
+  const valuesEl = document.createElement("div");
+  valuesEl.className = "pd-option-values";
+
+  option.values.forEach(({ value, swatch }) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "pd-option-value";
+    btn.dataset.value = value;
+    btn.setAttribute("aria-pressed", "false");
+
+    // Colors render as swatches when the value is a usable CSS color
+    const swatchColor =
+      swatch || (option.swatch && CSS.supports("color", value) ? value : "");
+    if (swatchColor) {
+      btn.classList.add("pd-option-swatch");
+      btn.style.setProperty("--pd-swatch-color", swatchColor);
+      btn.title = value;
+      btn.setAttribute("aria-label", `${option.label}: ${value}`);
+    } else {
+      btn.textContent = value;
+    }
+
+    btn.addEventListener("click", () => onSelect(option.name, value));
+    valuesEl.appendChild(btn);
+  });
+
+  fieldset.append(legend, valuesEl);
+  return fieldset;
+}
+
 /**
  * Build product detail view
  * @param {Object} product - Product data
  * @param {boolean} isAuthor - Is author environment
+ * @param {Map} inventory - Inventory sheet (see loadInventory)
+ * @param {string} folder - Catalog folder of the product
  * @returns {HTMLElement} - Product detail container
  */
-function buildProductDetail(product, isAuthor) {
+function buildProductDetail(product, isAuthor, inventory, folder) {
   const {
     name,
     price,
@@ -185,6 +221,7 @@ function buildProductDetail(product, isAuthor) {
     image = {},
     sku,
     id,
+    weight,
   } = product;
 
   // Update dataLayer with product information
@@ -224,26 +261,8 @@ function buildProductDetail(product, isAuthor) {
   imageSection.className = "pd-image";
 
   const imgUrl = isAuthor ? image?._authorUrl : image?._publishUrl;
-  if (imgUrl) {
-    let picture = null;
-    if (!isAuthor && imgUrl.startsWith("http")) {
-      // For publish with full URL, use it directly
-      picture = document.createElement("picture");
-      const img = document.createElement("img");
-      img.src = imgUrl;
-      img.alt = name || "Product image";
-      img.loading = "eager";
-      picture.appendChild(img);
-    } else {
-      // For author or relative paths, use createOptimizedPicture
-      picture = createOptimizedPicture(imgUrl, name || "Product image", true, [
-        { media: "(min-width: 900px)", width: "800" },
-        { media: "(min-width: 600px)", width: "600" },
-        { width: "400" },
-      ]);
-    }
-    if (picture) imageSection.appendChild(picture);
-  }
+  const picture = buildProductPicture(imgUrl, name, isAuthor);
+  if (picture) imageSection.appendChild(picture);
 
   // Content section
   const contentSection = document.createElement("div");
@@ -272,13 +291,32 @@ function buildProductDetail(product, isAuthor) {
   nameEl.textContent = name || "";
   contentSection.appendChild(nameEl);
 
-  // Price
-  if (price) {
-    const priceEl = document.createElement("p");
-    priceEl.className = "pd-price";
-    priceEl.textContent = `$${price}`;
-    contentSection.appendChild(priceEl);
-  }
+  // SKU (updated per selected variant)
+  const skuEl = document.createElement("p");
+  skuEl.className = "pd-sku";
+  skuEl.hidden = !sku;
+  skuEl.textContent = sku ? `SKU: ${sku}` : "";
+  contentSection.appendChild(skuEl);
+
+  // Price (updated per selected variant)
+  const priceEl = document.createElement("p");
+  priceEl.className = "pd-price";
+  priceEl.hidden = !price;
+  priceEl.textContent = price ? formatPrice(price) : "";
+  contentSection.appendChild(priceEl);
+
+  // Stock badge (updated per selected variant)
+  const stockEl = document.createElement("p");
+  stockEl.className = "pd-stock";
+  stockEl.hidden = true;
+  contentSection.appendChild(stockEl);
+
+  // Size/color variants
+  const variants = getProductVariants(product);
+  const options = getVariantOptions(variants);
+  const selection = {};
+  let selectedVariant = null;
+  let shownImage = imgUrl || "";
 
   // Description (using HTML format)
   if (description?.html) {
@@ -288,16 +326,8 @@ function buildProductDetail(product, isAuthor) {
     contentSection.appendChild(descEl);
   }
 
-  // Action buttons
-  const actionsEl = document.createElement("div");
-  actionsEl.className = "pd-actions";
-
-  const addToCartBtn = document.createElement("button");
-  addToCartBtn.className = "pd-btn pd-btn-primary";
-  addToCartBtn.textContent = "Add to Cart";
-  addToCartBtn.setAttribute("aria-label", `Add ${name} to cart`);
-  addToCartBtn.addEventListener("click", () => {
-    const imageUrl = isAuthor ? image?._authorUrl : image?._publishUrl;
+  // Product data shared by the cart and the wishlist
+  const getBaseProductData = () => {
     const formattedCategory =
       category.length > 0
         ? category
@@ -305,8 +335,7 @@ function buildProductDetail(product, isAuthor) {
             .join(", ")
         : "";
 
-    // Use the global addToCart function (handles queuing automatically)
-    window.addToCart({
+    return {
       id: id || sku || "",
       name: name || "",
       image: imageUrl || "",
@@ -314,27 +343,232 @@ function buildProductDetail(product, isAuthor) {
       category: formattedCategory,
       description: description?.html || description?.markdown || "",
       price: price || 0,
-      quantity: 1,
-    });
+      weight,
+    };
+  };
+
+  // Product data of the selected variant for the cart
+  const getCartProductData = () => {
+    const data = { ...getBaseProductData(), sku: sku || id || "", folder };
+    if (!selectedVariant) return data;
+
+    const variantImage = getVariantImage(selectedVariant.image, isAuthor);
+    return {
+      ...data,
+      ...selectedVariant.options,
+      sku: selectedVariant.sku,
+      price: selectedVariant.price || data.price,
+      image: variantImage || data.image,
+      thumbnail: variantImage || data.thumbnail,
+    };
+  };
+
+  // Action buttons
+  const actionsEl = document.createElement("div");
+  actionsEl.className = "pd-actions";
+
+  const addToCartBtn = document.createElement("button");
+  addToCartBtn.className = "pd-btn pd-btn-primary";
+  addToCartBtn.textContent = "Add to Cart";
+  addToCartBtn.setAttribute("aria-label", `Add ${name} to cart`);
+  // Stock of the selected variant (or the product)
+  const getCurrentStock = () => {
+    if (!selectedVariant) return getStockInfo(inventory, product);
+    return getStockInfo(inventory, selectedVariant, product);
+  };
+
+  // Show the stock badge and block the cart button when sold out
+  // or while required options are missing
+  const updateAvailability = () => {
+    const stockStatus = getStockStatus(getCurrentStock());
+    stockEl.hidden = !stockStatus;
+    stockEl.className = stockStatus
+      ? `pd-stock pd-stock-${stockStatus.status}`
+      : "pd-stock";
+    stockEl.textContent = stockStatus ? stockStatus.label : "";
+
+    const soldOut = stockStatus?.status === STOCK_STATUS.OUT_OF_STOCK;
+    addToCartBtn.disabled =
+      soldOut || getMissingOptions(options, selection).length > 0;
+    addToCartBtn.textContent = soldOut ? "Sold Out" : "Add to Cart";
+  };
+
+  addToCartBtn.addEventListener("click", () => {
+    // Required options must be chosen first (the button is disabled until then)
+    if (getMissingOptions(options, selection).length > 0) return;
+
+    const cartProductData = getCartProductData();
+    const stock = getCurrentStock()?.stock;
+    const inCart =
+      getCart().products[getLineKey(cartProductData)]?.quantity || 0;
+
+    if (Number.isFinite(stock) && inCart >= stock) {
+      addToCartBtn.textContent = `Only ${stock} available`;
+    } else {
+      // Use the global addToCart function (handles queuing automatically)
+      window.addToCart({ ...cartProductData, stock, quantity: 1 });
+      addToCartBtn.textContent = "Added to Cart ✓";
+    }
 
     // Show visual feedback
-    addToCartBtn.textContent = "Added to Cart ✓";
-    setTimeout(() => {
-      addToCartBtn.textContent = "Add to Cart";
-    }, 2000);
+    setTimeout(updateAvailability, 2000);
   });
 
   const addToWishlistBtn = document.createElement("button");
   addToWishlistBtn.className = "pd-btn pd-btn-secondary";
-  addToWishlistBtn.textContent = "Add to Wishlist";
-  addToWishlistBtn.setAttribute("aria-label", `Add ${name} to wishlist`);
+
+  const updateWishlistBtn = () => {
+    const saved = hasWishlistItem(id || sku || "");
+    addToWishlistBtn.textContent = saved ? "In Wishlist ✓" : "Add to Wishlist";
+    addToWishlistBtn.setAttribute("aria-pressed", saved ? "true" : "false");
+    addToWishlistBtn.setAttribute(
+      "aria-label",
+      saved ? `Remove ${name} from wishlist` : `Add ${name} to wishlist`
+    );
+  };
+
   addToWishlistBtn.addEventListener("click", () => {
-    // TODO: Implement wishlist functionality
+    // The wishlist saves the product; options are chosen when it is added to cart
+    toggleWishlistItem({
+      ...getBaseProductData(),
+      url: window.location.pathname + window.location.search,
+      hasVariants: variants.length > 0,
+    });
   });
 
+  // Keep the button in sync with changes made elsewhere (e.g. wishlist page)
+  updateWishlistBtn();
+  document.addEventListener(WISHLIST_EVENTS.UPDATED, updateWishlistBtn);
+
   actionsEl.append(addToCartBtn, addToWishlistBtn);
+
+  if (options.length > 0) {
+    const optionsEl = document.createElement("div");
+    optionsEl.className = "pd-options";
+
+    const optionsMessage = document.createElement("p");
+    optionsMessage.className = "pd-options-message";
+    optionsMessage.setAttribute("aria-live", "polite");
+
+    // Reflect the selection on the pickers, price, SKU, image and cart button
+    const updateSelection = () => {
+      optionsEl.querySelectorAll(".pd-option").forEach((fieldset) => {
+        const optionName = fieldset.dataset.option;
+        const selectedValue = selection[optionName];
+        const others = { ...selection, [optionName]: "" };
+        fieldset.querySelector(".pd-option-selected").textContent =
+          selectedValue ? `: ${selectedValue}` : "";
+
+        fieldset.querySelectorAll(".pd-option-value").forEach((btn) => {
+          const active = selectedValue === btn.dataset.value;
+          btn.classList.toggle("pd-option-active", active);
+          btn.setAttribute("aria-pressed", active ? "true" : "false");
+          btn.disabled = !isOptionAvailable(
+            variants,
+            others,
+            optionName,
+            btn.dataset.value
+          );
+        });
+      });
+
+      selectedVariant = findVariant(variants, options, selection);
+      const missing = getMissingOptions(options, selection);
+      updateAvailability();
+      optionsMessage.textContent =
+        missing.length > 0
+          ? `Please select ${missing
+              .map((option) => option.label.toLowerCase())
+              .join(" and ")}`
+          : "";
+
+      const currentPrice = selectedVariant?.price || price;
+      priceEl.hidden = !currentPrice;
+      priceEl.textContent = currentPrice ? formatPrice(currentPrice) : "";
+
+      const currentSku = selectedVariant?.sku || sku;
+      skuEl.hidden = !currentSku;
+      skuEl.textContent = currentSku ? `SKU: ${currentSku}` : "";
+
+      const currentImage =
+        getSelectionImage(variants, selection, isAuthor) || imgUrl || "";
+      if (currentImage !== shownImage) {
+        shownImage = currentImage;
+        const variantPicture = buildProductPicture(
+          currentImage,
+          name,
+          isAuthor
+        );
+        imageSection.textContent = "";
+        if (variantPicture) imageSection.appendChild(variantPicture);
+      }
+
+      if (typeof window.updateDataLayer === "function") {
+        const selectedOptions = {};
+        options.forEach((option) => {
+          selectedOptions[option.name] = selection[option.name] || "";
+        });
+        window.updateDataLayer({
+          product: {
+            ...selectedOptions,
+            sku: currentSku || "",
+            price: currentPrice || 0,
+          },
+        });
+      }
+    };
+
+    const selectOption = (optionName, value) => {
+      selection[optionName] = selection[optionName] === value ? "" : value;
+
+      // Drop choices that no longer exist in combination with the new one
+      options.forEach((option) => {
+        const current = selection[option.name];
+        if (
+          option.name !== optionName &&
+          current &&
+          !isOptionAvailable(variants, selection, option.name, current)
+        ) {
+          selection[option.name] = "";
+        }
+      });
+
+      updateSelection();
+    };
+
+    options.forEach((option) => {
+      optionsEl.appendChild(buildVariantPicker(option, selectOption));
+    });
+    optionsEl.appendChild(optionsMessage);
+    contentSection.appendChild(optionsEl);
+
+    // Pre-select options that only have one value
+    options.forEach((option) => {
+      if (option.values.length === 1) {
+        selection[option.name] = option.values[0].value;
+      }
+    });
+    updateSelection();
+  } else {
+    updateAvailability();
+  }
+
   contentSection.appendChild(actionsEl);
 
+  // Compare with other products
+  const baseProductData = getBaseProductData();
+  contentSection.appendChild(
+    createCompareCheckbox(
+      {
+        ...baseProductData,
+        id: sku || id || "",
+        sku: sku || id || "",
+        folder,
+      },
+      "pd"
+    )
+  );
+
   container.append(imageSection, contentSection);
   return container;
 }
@@ -442,9 +676,12 @@ export default async function decorate(block) {
   block.appendChild(loader);
 
   // Fetch product and all products in parallel
-  const [product, allProducts] = await Promise.all([
-    fetchProductDetail(folderHref, sku, isAuthor),
-    fetchAllProducts(folderHref, isAuthor),
+  // (prices are shown in the currency of the page language)
+  const [product, folderProducts, , inventory] = await Promise.all([
+    fetchProduct(folderHref, sku),
+    fetchAllProducts(folderHref),
+    loadCurrency(),
+    loadInventory(),
   ]);
 
   block.textContent = "";
@@ -458,10 +695,19 @@ export default async function decorate(block) {
   }
 
   // Display product detail
-  const productDetail = buildProductDetail(product, isAuthor);
+  const productDetail = buildProductDetail(
+    product,
+    isAuthor,
+    inventory,
+    folderHref
+  );
   block.appendChild(productDetail);
 
+  // Remember the visit for the recently-viewed block
+  addRecentlyViewed(product, folderHref);
+
   // Display recommendations
+  const allProducts = folderProducts.filter((item) => item.sku);
   const recommendations = buildRecommendations(product, allProducts, isAuthor);
   if (recommendations) {
     block.appendChild(recommendations);
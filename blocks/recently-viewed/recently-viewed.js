@@ -0,0 +1,90 @@
+import { readBlockConfig } from "../../scripts/aem.js";
+import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { loadCurrency } from "../../scripts/commerce/currency.js";
+import { loadInventory } from "../../scripts/commerce/inventory.js";
+import { CART_EVENTS, getCart } from "../../scripts/commerce/cart.js";
+import { buildProductCard } from "../../scripts/commerce/listing.js";
+import {
+  MAX_RECENTLY_VIEWED,
+  getRecentlyViewed,
+} from "../../scripts/commerce/recently-viewed.js";
+
+const DEFAULT_TITLE = "Recently Viewed";
+const DEFAULT_MAX_ITEMS = 4;
+
+/**
+ * Get the recently viewed products to show
+ * Leaves out the product of the current page and products in the cart
+ * @param {number} maxItems - Maximum number of products
+ * @returns {Array<Object>} Products, most recent first
+ */
+function getProductsToShow(maxItems) {
+  const currentSku = new URLSearchParams(window.location.search).get(
+    "productId"
+  );
+
+  // Cart lines carry the product ID and the (variant) SKU
+  const inCart = new Set();
+  Object.values(getCart().products).forEach((line) => {
+    inCart.add(line.id);
+    inCart.add(line.sku);
+  });
+
+  return getRecentlyViewed()
+    .filter((product) => product.sku !== currentSku)
+    .filter((product) => !inCart.has(product.id) && !inCart.has(product.sku))
+    .slice(0, maxItems);
+}
+
+/**
+ * Decorate the recently viewed block
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  const isAuthor = isAuthorEnvironment();
+  const cfg = readBlockConfig(block);
+  const titleText = `${cfg?.title || ""}`.trim() || DEFAULT_TITLE;
+  const maxItems = Math.min(
+    parseInt(block.dataset?.maxItems || cfg["max-items"], 10) ||
+      DEFAULT_MAX_ITEMS,
+    MAX_RECENTLY_VIEWED
+  );
+
+  block.textContent = "";
+
+  const title = document.createElement("h2");
+  title.className = "rv-title";
+  title.textContent = titleText;
+
+  const grid = document.createElement("div");
+  grid.className = "rv-grid";
+
+  block.append(title, grid);
+
+  // Prices are shown in the currency of the page language
+  const [, inventory] = await Promise.all([loadCurrency(), loadInventory()]);
+
+  const render = () => {
+    const products = getProductsToShow(maxItems);
+    grid.textContent = "";
+    grid.append(
+      ...products.map((product) =>
+        buildProductCard(product, {
+          prefix: "rv",
+          isAuthor,
+          inventory,
+          folder: product.folder,
+          productPage: product.productPage,
+        })
+      )
+    );
+
+    // Nothing to show yet (e.g. the first product page of a visit)
+    block.hidden = products.length === 0;
+  };
+
+  render();
+
+  // Products added to or removed from the cart
+  document.addEventListener(CART_EVENTS.UPDATED, render);
+}
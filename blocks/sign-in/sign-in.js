@@ -1,4 +1,9 @@
-import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { restoreUserCart } from "../../scripts/commerce/user-cart.js";
+import {
+  COMMERCE_PAGES,
+  getCommerceUrl,
+  getHomeUrl,
+} from "../../scripts/commerce/routes.js";
 
 // Adobe Profile API Configuration
 const PROFILE_API_CONFIG = {
@@ -8,8 +13,6 @@ const PROFILE_API_CONFIG = {
 };
 
 export default async function decorate(block) {
-  const isAuthor = isAuthorEnvironment();
-
   // Build Adaptive Form definition for Sign In
   const formDef = {
     id: "sign-in",
@@ -75,7 +78,7 @@ export default async function decorate(block) {
   // Wait for form to be rendered before attaching handlers
   setTimeout(() => {
     attachSignInHandler(block);
-    addCreateAccountLink(block, isAuthor);
+    addCreateAccountLink(block);
   }, 100);
 }
 
@@ -296,6 +299,14 @@ function attachSignInHandler(block) {
       // Set authentication flag in localStorage
       localStorage.setItem("luma_user_logged_in", "true");
 
+      // Bring back the cart saved at the last sign-out (merged with the
+      // guest cart) - a failure must not block the sign-in
+      try {
+        await restoreUserCart();
+      } catch (cartError) {
+        console.warn("⚠ Could not restore saved cart:", cartError.message);
+      }
+
       // Dispatch sign-in event
       const signInEvent = new CustomEvent("login", {
         detail: {
@@ -311,7 +322,7 @@ function attachSignInHandler(block) {
 
       // Redirect to home page with language prefix
       setTimeout(() => {
-        window.location.href = "/";
+        window.location.href = getHomeUrl();
       }, 1500);
     } catch (error) {
       console.error("Sign-in error:", error);
@@ -390,7 +401,7 @@ function showErrorMessage(form, message) {
   }, 5000);
 }
 
-function addCreateAccountLink(block, isAuthor) {
+function addCreateAccountLink(block) {
   const formElement = block.querySelector("form");
   if (!formElement) return;
 
@@ -408,25 +419,8 @@ function addCreateAccountLink(block, isAuthor) {
   createAccountLink.className = "create-account-link";
   createAccountLink.textContent = "Create an account";
 
-  // Smart path construction
-  const currentPath = window.location.pathname;
-  let registrationPath;
-
-  if (isAuthor) {
-    // For author, replace 'sign-in.html' with 'registration.html'
-    registrationPath = currentPath.replace(
-      "/sign-in.html",
-      "/registration.html"
-    );
-  } else {
-    // For EDS publish, replace '/sign-in' with '/registration'
-    registrationPath = currentPath.replace(
-      /\/sign-in(\.html)?$/,
-      "/registration"
-    );
-  }
-
-  createAccountLink.href = registrationPath;
+  // Registration page of the current language (EDS and author paths)
+  createAccountLink.href = getCommerceUrl(COMMERCE_PAGES.REGISTRATION);
 
   linkSection.append(divider, createAccountLink);
   formElement.parentElement.append(linkSection);
@@ -1,3 +1,5 @@
+import { COMMERCE_PAGES, navigateTo } from "../../scripts/commerce/routes.js";
+
 export default async function decorate(block) {
   // Build Adaptive Form definition for User Registration
   const formDef = {
@@ -314,7 +316,7 @@ function attachFormSubmitHandler(block) {
 
       // Redirect to sign-in page after a short delay
       setTimeout(() => {
-        window.location.href = "/en/sign-in";
+        navigateTo(COMMERCE_PAGES.SIGN_IN);
       }, 1500);
     } catch (error) {
       console.error("Registration error:", error);
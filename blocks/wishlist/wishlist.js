@@ -0,0 +1,164 @@
+import { createOptimizedPicture } from "../../scripts/aem.js";
+import { isAuthorEnvironment } from "../../scripts/scripts.js";
+import { loadCurrency, formatPrice } from "../../scripts/commerce/currency.js";
+import {
+  WISHLIST_EVENTS,
+  getWishlist,
+  remove,
+  moveToCart,
+} from "../../scripts/commerce/wishlist.js";
+
+/**
+ * Build a wishlist item row
+ * @param {Object} product - Product data from the wishlist
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {HTMLElement} Wishlist item
+ */
+function buildWishlistItem(product, isAuthor) {
+  const { id, name, image, price, url, hasVariants } = product;
+
+  const row = document.createElement("div");
+  row.className = "wishlist-item";
+  row.setAttribute("data-product-id", id);
+
+  const imageWrap = document.createElement(url ? "a" : "div");
+  imageWrap.className = "wishlist-item-image";
+  if (url) imageWrap.href = url;
+
+  if (image) {
+    let picture = null;
+    if (!isAuthor && image.startsWith("http")) {
+      picture = document.createElement("picture");
+      const img = document.createElement("img");
+      img.src = image;
+      img.alt = name || "Product image";
+      img.loading = "lazy";
+      picture.appendChild(img);
+    } else {
+      picture = createOptimizedPicture(image, name || "Product image", false, [
+        { width: "200" },
+      ]);
+    }
+    if (picture) imageWrap.appendChild(picture);
+  }
+
+  const info = document.createElement("div");
+  info.className = "wishlist-item-info";
+
+  const nameEl = document.createElement(url ? "a" : "div");
+  nameEl.className = "wishlist-item-name";
+  nameEl.textContent = name || "";
+  if (url) nameEl.href = url;
+
+  const priceEl = document.createElement("div");
+  priceEl.className = "wishlist-item-price";
+  priceEl.textContent = formatPrice(price);
+
+  info.append(nameEl, priceEl);
+
+  const actions = document.createElement("div");
+  actions.className = "wishlist-item-actions";
+
+  const moveBtn = document.createElement("button");
+  moveBtn.type = "button";
+  moveBtn.className = "wishlist-move-btn";
+
+  if (hasVariants && url) {
+    // Size/color must be chosen on the product page before adding to cart
+    moveBtn.textContent = "CHOOSE OPTIONS";
+    moveBtn.setAttribute("aria-label", `Choose options for ${name}`);
+    moveBtn.addEventListener("click", () => {
+      window.location.href = url;
+    });
+  } else {
+    moveBtn.textContent = "MOVE TO CART";
+    moveBtn.setAttribute("aria-label", `Move ${name} to cart`);
+    moveBtn.addEventListener("click", () => {
+      moveToCart(id);
+    });
+  }
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "wishlist-remove-btn";
+  removeBtn.innerHTML = "&times;";
+  removeBtn.setAttribute("aria-label", `Remove ${name} from wishlist`);
+  removeBtn.addEventListener("click", () => {
+    remove(id);
+  });
+
+  actions.append(moveBtn, removeBtn);
+  row.append(imageWrap, info, actions);
+  return row;
+}
+
+/**
+ * Render the wishlist items (or the empty state)
+ * @param {HTMLElement} itemsContainer - Items container
+ */
+function renderWishlist(itemsContainer) {
+  const isAuthor = isAuthorEnvironment();
+  const products = Object.values(getWishlist().products);
+
+  itemsContainer.innerHTML = "";
+
+  if (products.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "wishlist-empty";
+
+    const emptyMsg = document.createElement("h2");
+    emptyMsg.className = "wishlist-empty-message";
+    emptyMsg.textContent = "Your wishlist is empty";
+
+    const emptyText = document.createElement("p");
+    emptyText.className = "wishlist-empty-text";
+    emptyText.textContent = "Save products you love to find them later";
+
+    const shopButton = document.createElement("a");
+    shopButton.className = "wishlist-empty-button button primary";
+    shopButton.href = "/";
+    shopButton.textContent = "Continue Shopping";
+
+    empty.append(emptyMsg, emptyText, shopButton);
+    itemsContainer.appendChild(empty);
+    return;
+  }
+
+  // Most recently saved first
+  products
+    .sort((a, b) => `${b.addedAt || ""}`.localeCompare(`${a.addedAt || ""}`))
+    .forEach((product) => {
+      itemsContainer.appendChild(buildWishlistItem(product, isAuthor));
+    });
+}
+
+/**
+ * Decorate the wishlist block
+ * @param {HTMLElement} block - The block element
+ */
+export default async function decorate(block) {
+  block.textContent = "";
+
+  // Prices are shown in the currency of the page language
+  await loadCurrency();
+
+  const container = document.createElement("div");
+  container.className = "wishlist-container";
+
+  const title = document.createElement("h1");
+  title.className = "wishlist-title";
+  title.textContent = "WISHLIST";
+
+  const itemsContainer = document.createElement("div");
+  itemsContainer.className = "wishlist-items";
+
+  container.append(title, itemsContainer);
+  block.appendChild(container);
+
+  renderWishlist(itemsContainer);
+
+  // Re-render when items are moved, removed or saved in another block
+  document.addEventListener(WISHLIST_EVENTS.UPDATED, () => {
+    renderWishlist(itemsContainer);
+  });
+}
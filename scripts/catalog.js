@@ -0,0 +1,500 @@
+// ==========================================
+// Product Catalog Client
+// Single entry point for loading product content fragments. Blocks ask for
+// the products of a folder (optionally one page or one SKU); the client
+// de-duplicates concurrent requests, caches results in memory and in
+// sessionStorage (keyed by folder path), retries failed requests with
+// exponential backoff and delegates the actual loading to a backend.
+//
+// Backends:
+//   graphql: AEM persisted queries on author, Adobe I/O Runtime actions
+//            on publish (default)
+//   json:    a local JSON file standing in for the catalog (offline
+//            development and tests), e.g. /catalog.json
+// Other backends can be added with registerCatalogBackend().
+//
+// Configuration (first match wins):
+//   1. configureCatalog({ ... }) at runtime
+//   2. page metadata:  catalog-backend, catalog-json-url, ...
+//   3. placeholders:   catalog-backend, catalog-json-url, ...
+//   4. defaults below
+// ==========================================
+
+import { getMetadata, fetchPlaceholders } from "./aem.js";
+import { isAuthorEnvironment } from "./scripts.js";
+
+const DEFAULT_CONFIG = {
+  backend: "graphql",
+  authorListUrl:
+    "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/menproductspagelister",
+  authorDetailUrl:
+    "https://author-p165802-e1765367.adobeaemcloud.com/graphql/execute.json/luma3/getProductsByPathAndSKU",
+  publishListUrl:
+    "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGraphQl",
+  publishDetailUrl:
+    "https://275323-918sangriatortoise.adobeioruntime.net/api/v1/web/dx-excshell-1/lumaProductsGrapghQlByPathAndSku",
+  jsonUrl: "/catalog.json",
+  cacheTtl: 10 * 60, // seconds
+  retries: 2,
+  retryDelay: 300, // ms, doubled on every retry
+};
+
+const CACHE_STORAGE_KEY = "luma_catalog";
+
+const backends = new Map();
+const memoryCache = new Map(); // folder path -> Map(query key -> entry)
+const pendingRequests = new Map(); // request key -> Promise
+
+let configOverrides = {};
+let configPromise = null;
+
+// ==========================================
+// Configuration
+// ==========================================
+
+/**
+ * Convert a config key to its metadata/placeholder name
+ * @param {string} key - Config key (e.g. "jsonUrl")
+ * @returns {string} e.g. "catalog-json-url"
+ */
+function toMetadataName(key) {
+  return `catalog-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Convert a config key to its placeholder key (placeholders are camel-cased)
+ * @param {string} key - Config key (e.g. "jsonUrl")
+ * @returns {string} e.g. "catalogJsonUrl"
+ */
+function toPlaceholderName(key) {
+  return `catalog${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+/**
+ * Coerce a configured value to the type of its default
+ * @param {*} value - Configured value (strings from metadata/placeholders)
+ * @param {*} fallback - Default value
+ * @returns {*} Coerced value
+ */
+function coerce(value, fallback) {
+  if (typeof fallback !== "number") return `${value}`.trim();
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Resolve the catalog configuration
+ * @returns {Promise<Object>} Configuration
+ */
+export function getCatalogConfig() {
+  if (!configPromise) {
+    configPromise = (async () => {
+      let placeholders = {};
+      try {
+        placeholders = (await fetchPlaceholders()) || {};
+      } catch (error) {
+        /* ignore - placeholders are optional */
+      }
+
+      const config = {};
+      Object.entries(DEFAULT_CONFIG).forEach(([key, fallback]) => {
+        const value =
+          configOverrides[key] ??
+          (getMetadata(toMetadataName(key)) ||
+            placeholders[toPlaceholderName(key)]);
+        config[key] =
+          value === undefined || value === null || value === ""
+            ? fallback
+            : coerce(value, fallback);
+      });
+      return config;
+    })();
+  }
+  return configPromise;
+}
+
+// ==========================================
+// Cache
+// ==========================================
+
+/**
+ * Read the sessionStorage cache
+ * @returns {Object} Entries by folder path, then by query key
+ */
+function readStoredCache() {
+  try {
+    return JSON.parse(sessionStorage.getItem(CACHE_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Get a cached result
+ * @param {string} path - Folder path
+ * @param {string} queryKey - Query key within the folder
+ * @param {number} ttl - Max age in ms (Infinity to ignore age)
+ * @returns {Object|null} Cached result
+ */
+function readCache(path, queryKey, ttl) {
+  let entry = memoryCache.get(path)?.get(queryKey);
+  if (!entry) {
+    entry = readStoredCache()[path]?.[queryKey];
+    if (entry) {
+      if (!memoryCache.has(path)) memoryCache.set(path, new Map());
+      memoryCache.get(path).set(queryKey, entry);
+    }
+  }
+  if (!entry || Date.now() - entry.timestamp > ttl) return null;
+  return entry.result;
+}
+
+/**
+ * Cache a result in memory and in sessionStorage
+ * @param {string} path - Folder path
+ * @param {string} queryKey - Query key within the folder
+ * @param {Object} result - Result to cache
+ */
+function writeCache(path, queryKey, result) {
+  const entry = { result, timestamp: Date.now() };
+  if (!memoryCache.has(path)) memoryCache.set(path, new Map());
+  memoryCache.get(path).set(queryKey, entry);
+
+  try {
+    const stored = readStoredCache();
+    stored[path] = { ...stored[path], [queryKey]: entry };
+    sessionStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    // Quota exceeded: the memory cache still serves this page
+    console.warn("⚠ Catalog: could not cache products:", error.message);
+  }
+}
+
+/**
+ * Clear the catalog cache (all folders, or a single folder)
+ * @param {string} path - Folder path (optional)
+ */
+export function clearCatalogCache(path = "") {
+  if (path) {
+    memoryCache.delete(path);
+  } else {
+    memoryCache.clear();
+  }
+
+  try {
+    if (!path) {
+      sessionStorage.removeItem(CACHE_STORAGE_KEY);
+      return;
+    }
+    const stored = readStoredCache();
+    delete stored[path];
+    sessionStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    /* ignore */
+  }
+}
+
+/**
+ * Override the catalog configuration at runtime (e.g. to point tests or
+ * local development at the JSON backend). Clears the cache.
+ * @param {Object} overrides - Config values (see DEFAULT_CONFIG)
+ */
+export function configureCatalog(overrides = {}) {
+  configOverrides = { ...configOverrides, ...overrides };
+  configPromise = null;
+  clearCatalogCache();
+}
+
+// ==========================================
+// Requests
+// ==========================================
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors, rate limiting and server errors are retried;
+ * other HTTP errors (e.g. 404) are not
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryable(error) {
+  if (!error.status) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetch JSON with retries and exponential backoff
+ * @param {string} url - URL
+ * @param {Object} config - Catalog configuration (retries, retryDelay)
+ * @returns {Promise<Object>} Response JSON
+ */
+async function fetchJson(url, config) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await fetch(url, {
+        method: "GET",
+        headers: {
+          "Cache-Control": "no-cache, no-store, must-revalidate",
+          Pragma: "no-cache",
+        },
+      });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      return await response.json();
+    } catch (error) {
+      if (attempt >= config.retries || !isRetryable(error)) throw error;
+      const delay = config.retryDelay * 2 ** attempt;
+      attempt += 1;
+      console.warn(
+        `⚠ Catalog: ${error.message}, retrying in ${delay}ms (${attempt}/${config.retries})`
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await wait(delay);
+    }
+  }
+}
+
+// ==========================================
+// Backends
+// ==========================================
+
+/**
+ * Register a catalog backend
+ * A backend is a function loading the raw product items of a query:
+ *   async ({ path, sku, offset, limit }, { config, fetchJson }) => items
+ * It may ignore offset/limit and return the whole folder; the client then
+ * cuts the page itself. fetchJson(url) fetches with the client's retries.
+ * @param {string} name - Backend name (used as the `backend` config value)
+ * @param {Function} backend - Backend function
+ */
+export function registerCatalogBackend(name, backend) {
+  backends.set(name, backend);
+}
+
+/**
+ * Append query variables to a catalog URL
+ * AEM persisted queries take ;name=value, other endpoints a query string
+ * @param {string} url - Base URL
+ * @param {Object} variables - Variables (empty values are skipped)
+ * @returns {string} URL
+ */
+function buildQueryUrl(url, variables) {
+  const persisted = url.includes("/graphql/execute.json/");
+  const params = Object.entries(variables)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+  if (params.length === 0) return url;
+  if (persisted) return `${url};${params.join(";")}`;
+  return `${url}${url.includes("?") ? "&" : "?"}${params.join("&")}`;
+}
+
+registerCatalogBackend("graphql", async (query, context) => {
+  const { config } = context;
+  const isAuthor = isAuthorEnvironment();
+  let url;
+  if (query.sku) {
+    url = isAuthor ? config.authorDetailUrl : config.publishDetailUrl;
+  } else {
+    url = isAuthor ? config.authorListUrl : config.publishListUrl;
+  }
+
+  const json = await context.fetchJson(
+    buildQueryUrl(url, {
+      _path: query.path,
+      sku: query.sku,
+      offset: query.limit ? query.offset : "",
+      limit: query.limit || "",
+    })
+  );
+  return json?.data?.productsModelList?.items || [];
+});
+
+// The local catalog file is loaded once per page
+const jsonCatalogs = new Map();
+
+registerCatalogBackend("json", async (query, context) => {
+  const { jsonUrl } = context.config;
+  if (!jsonCatalogs.has(jsonUrl)) {
+    const promise = context.fetchJson(jsonUrl).catch((error) => {
+      jsonCatalogs.delete(jsonUrl);
+      throw error;
+    });
+    jsonCatalogs.set(jsonUrl, promise);
+  }
+  const json = await jsonCatalogs.get(jsonUrl);
+
+  // Accepts a saved GraphQL response, a product array, { items } or a sheet
+  let items = json?.data?.productsModelList?.items || json;
+  if (!Array.isArray(items)) items = items?.items || items?.data || [];
+
+  // Items with a _path must be inside the requested folder
+  const folder = `${query.path.replace(/\/$/, "")}/`;
+  items = items.filter(
+    (item) => item && (!item._path || item._path.startsWith(folder))
+  );
+
+  if (query.sku) {
+    const sku = `${query.sku}`.toUpperCase();
+    return items.filter((item) => `${item.sku || ""}`.toUpperCase() === sku);
+  }
+  return query.limit
+    ? items.slice(query.offset, query.offset + query.limit)
+    : items;
+});
+
+/**
+ * Run a query against the configured backend, with caching and
+ * de-duplication of identical in-flight requests
+ * @param {Object} query - { path, sku, offset, limit }
+ * @param {string} queryKey - Cache key of the query within its folder
+ * @returns {Promise<Array>} Raw product items
+ */
+async function runQuery(query, queryKey) {
+  const config = await getCatalogConfig();
+  const ttl = config.cacheTtl * 1000;
+  const cached = readCache(query.path, queryKey, ttl);
+  if (cached) return cached;
+
+  const requestKey = `${config.backend}|${query.path}|${queryKey}`;
+  if (pendingRequests.has(requestKey)) return pendingRequests.get(requestKey);
+
+  const backend = backends.get(config.backend);
+  if (!backend) {
+    console.error(`✗ Catalog: unknown backend "${config.backend}"`);
+    return [];
+  }
+
+  const request = (async () => {
+    try {
+      const items = await backend(query, {
+        config,
+        fetchJson: (url) => fetchJson(url, config),
+      });
+      const result = (items || []).filter(Boolean);
+      writeCache(query.path, queryKey, result);
+      return result;
+    } catch (error) {
+      // Serve an expired copy rather than nothing
+      const stale = readCache(query.path, queryKey, Infinity);
+      const fallback = stale ? " (using cached copy)" : "";
+      console.error(
+        `✗ Catalog: failed to load ${query.path}${fallback}`,
+        error
+      );
+      return stale || [];
+    } finally {
+      pendingRequests.delete(requestKey);
+    }
+  })();
+
+  pendingRequests.set(requestKey, request);
+  return request;
+}
+
+// ==========================================
+// Public API
+// ==========================================
+
+/**
+ * Get a key identifying a raw product item
+ * @param {Object} item - Raw product item
+ * @returns {string} Its path, SKU or contents
+ */
+function getItemKey(item) {
+  return item._path || item.sku || JSON.stringify(item);
+}
+
+/**
+ * Check whether a backend ignored the offset of a page query
+ * Such a backend returns the folder from its start for every offset, so
+ * the page starts with the first product of the folder.
+ * @param {string} path - Content fragment folder path
+ * @param {number} offset - Requested offset
+ * @param {number} limit - Requested page size
+ * @param {Array} items - Returned items
+ * @returns {Promise<boolean>} True if the items start at the folder start
+ */
+async function isOffsetIgnored(path, offset, limit, items) {
+  if (offset === 0 || items.length === 0) return false;
+
+  const firstPage = await runQuery(
+    { path, offset: 0, limit },
+    `page:0:${limit}`
+  );
+  return (
+    firstPage.length > 0 && getItemKey(firstPage[0]) === getItemKey(items[0])
+  );
+}
+
+/**
+ * Fetch the products of a content fragment folder, optionally one page
+ * If the backend ignores paging (returns the whole folder, or the folder
+ * from its start whatever the offset), the page is cut client-side.
+ * @param {string} path - Content fragment folder path
+ * @param {Object} options - Options
+ * @param {number} options.offset - Index of the first product
+ * @param {number} options.limit - Page size (0 for the whole folder)
+ * @returns {Promise<Object>} { items, hasMore }
+ */
+export async function fetchProducts(path, { offset = 0, limit = 0 } = {}) {
+  if (!path) return { items: [], hasMore: false };
+
+  const items = await runQuery(
+    { path, offset, limit },
+    limit ? `page:${offset}:${limit}` : "all"
+  );
+
+  if (!limit) return { items, hasMore: false };
+  if (
+    items.length > limit ||
+    (await isOffsetIgnored(path, offset, limit, items))
+  ) {
+    return {
+      items: items.slice(offset, offset + limit),
+      hasMore: items.length > offset + limit,
+    };
+  }
+  return { items, hasMore: items.length === limit };
+}
+
+/**
+ * Fetch all products of a content fragment folder
+ * @param {string} path - Content fragment folder path
+ * @returns {Promise<Array>} Products
+ */
+export async function fetchAllProducts(path) {
+  const { items } = await fetchProducts(path);
+  return items;
+}
+
+/**
+ * Fetch a single product by SKU
+ * @param {string} path - Content fragment folder path
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Object|null>} Product, or null if not found
+ */
+export async function fetchProduct(path, sku) {
+  if (!path || !sku) {
+    console.error("✗ Catalog: missing folder path or SKU");
+    return null;
+  }
+
+  const items = await runQuery({ path, sku }, `sku:${sku}`);
+  return items[0] || null;
+}
@@ -0,0 +1,273 @@
+// ==========================================
+// Addresses
+// Validation and formatting of checkout addresses, and the address book
+// of signed-in shoppers.
+//
+// An address is { firstName, lastName, streetAddress, city, region,
+// postalCode, country }. The address book is kept per shopper (by email)
+// in localStorage, with the visitor's consent to preferences storage only
+// (consent.js removes it when the consent is withdrawn):
+//   luma_address_book: { [email]: { defaultId, addresses: [...] } }
+// ==========================================
+
+import { getAddressFormat, isValidPostalCode } from "./countries.js";
+import { CONSENT_CATEGORIES, hasConsent } from "../consent.js";
+
+const ADDRESS_BOOK_STORAGE_KEY = "luma_address_book";
+
+export const ADDRESS_FIELDS = [
+  "firstName",
+  "lastName",
+  "streetAddress",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+];
+
+/**
+ * Name of an address field in a prefixed form group
+ * @param {string} prefix - Field prefix (e.g. "billing"), "" for none
+ * @param {string} field - Address field (e.g. "postalCode")
+ * @returns {string} e.g. "billingPostalCode"
+ */
+export function getAddressFieldName(prefix, field) {
+  if (!prefix) return field;
+  return `${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+}
+
+/**
+ * Pick the address fields of an object (missing fields become "")
+ * @param {Object} source - Object with address fields
+ * @param {string} prefix - Field prefix of the source, "" for none
+ * @returns {Object} Address
+ */
+export function pickAddress(source, prefix = "") {
+  const address = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    address[field] = `${source?.[getAddressFieldName(prefix, field)] || ""}`;
+  });
+  return address;
+}
+
+/**
+ * Validate an address against the format of its country
+ * @param {Object} address - Address
+ * @param {string} prefix - Field prefix of the form group (for error keys)
+ * @returns {Object} Errors by (prefixed) field name
+ */
+export function validateAddress(address, prefix = "") {
+  const errors = {};
+  const name = (field) => getAddressFieldName(prefix, field);
+  const format = getAddressFormat(address.country);
+
+  if (!address.firstName?.trim()) {
+    errors[name("firstName")] = "First name is required";
+  }
+  if (!address.lastName?.trim()) {
+    errors[name("lastName")] = "Last name is required";
+  }
+  if (!address.streetAddress?.trim()) {
+    errors[name("streetAddress")] = "Street address is required";
+  }
+  if (!address.city?.trim()) {
+    errors[name("city")] = "City is required";
+  }
+  if (format.regionRequired && !address.region?.trim()) {
+    errors[name("region")] = `${format.regionLabel} is required`;
+  }
+  if (!address.postalCode?.trim()) {
+    errors[name("postalCode")] = `${format.postalLabel} is required`;
+  } else if (!isValidPostalCode(address.postalCode, address.country)) {
+    errors[name("postalCode")] = format.postalExample
+      ? `Please enter a valid ${format.postalLabel} (e.g. ${format.postalExample})`
+      : `Please enter a valid ${format.postalLabel}`;
+  }
+  if (!address.country?.trim()) {
+    errors[name("country")] = "Country is required";
+  }
+  return errors;
+}
+
+/**
+ * Get the billing address of checkout data
+ * @param {Object} checkoutData - Checkout form data
+ * @returns {Object|null} The separate billing address, or the shipping
+ *   address when billing is the same as shipping
+ */
+export function getBillingAddress(checkoutData) {
+  if (!checkoutData) return null;
+  if (checkoutData.billingSameAsShipping === false && checkoutData.billing) {
+    return pickAddress(checkoutData.billing);
+  }
+  return pickAddress(checkoutData);
+}
+
+/**
+ * Format an address for display
+ * @param {Object} address - Address
+ * @returns {Array<string>} Address lines
+ */
+export function formatAddress(address) {
+  if (!address) return [];
+  const name = [address.firstName, address.lastName].filter(Boolean).join(" ");
+  const place = [address.city, address.region].filter(Boolean).join(", ");
+  const locality = [place, address.postalCode].filter(Boolean).join(" ");
+  return [name, address.streetAddress, locality, address.country].filter(
+    Boolean
+  );
+}
+
+// ==========================================
+// Address book
+// ==========================================
+
+/**
+ * Get the signed-in shopper
+ * @returns {Object|null} Registered user data, or null if signed out
+ */
+export function getSignedInUser() {
+  try {
+    if (localStorage.getItem("luma_user_logged_in") !== "true") return null;
+    const user = JSON.parse(localStorage.getItem("luma_registered_user"));
+    return user?.email ? user : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether addresses can be saved on this device
+ * @returns {boolean} True with the visitor's consent to preferences storage
+ */
+export function isAddressBookEnabled() {
+  return hasConsent(CONSENT_CATEGORIES.PREFERENCES);
+}
+
+/**
+ * Read all stored address books
+ * @returns {Object} Address books by email
+ */
+function readAddressBooks() {
+  if (!isAddressBookEnabled()) return {};
+  try {
+    return JSON.parse(localStorage.getItem(ADDRESS_BOOK_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Key of a shopper's address book
+ * @param {Object} user - Signed-in user
+ * @returns {string} Lower-case email
+ */
+function getBookKey(user) {
+  return user.email.trim().toLowerCase();
+}
+
+/**
+ * Check whether two addresses are the same
+ * @param {Object} a - Address
+ * @param {Object} b - Address
+ * @returns {boolean} True if all fields match (ignoring case and spaces)
+ */
+function isSameAddress(a, b) {
+  const normalize = (value) => `${value || ""}`.trim().toLowerCase();
+  return ADDRESS_FIELDS.every(
+    (field) => normalize(a[field]) === normalize(b[field])
+  );
+}
+
+/**
+ * Get the address book of the signed-in shopper
+ * The address given at registration is added as the first (default) entry
+ * @returns {Object} { defaultId, addresses: [{ id, ...address }] }
+ */
+export function getAddressBook() {
+  const user = getSignedInUser();
+  if (!user) return { defaultId: "", addresses: [] };
+
+  const book = readAddressBooks()[getBookKey(user)];
+  if (book?.addresses?.length) return book;
+
+  // Seed the book with the address from the registration form
+  const registered = pickAddress({
+    ...user,
+    streetAddress: user.streetAddress || user.address,
+    postalCode: user.postalCode || user.zip,
+  });
+  if (!registered.streetAddress || !registered.city) {
+    return { defaultId: "", addresses: [] };
+  }
+  const address = { id: "registered", ...registered };
+  return { defaultId: address.id, addresses: [address] };
+}
+
+/**
+ * Get the default address of the signed-in shopper
+ * @returns {Object|null} Address
+ */
+export function getDefaultAddress() {
+  const { defaultId, addresses } = getAddressBook();
+  return (
+    addresses.find((address) => address.id === defaultId) ||
+    addresses[0] ||
+    null
+  );
+}
+
+/**
+ * Store the address book of the signed-in shopper
+ * @param {Object} book - Address book
+ */
+function writeAddressBook(book) {
+  const user = getSignedInUser();
+  if (!user || !isAddressBookEnabled()) return;
+  try {
+    const books = readAddressBooks();
+    books[getBookKey(user)] = book;
+    localStorage.setItem(ADDRESS_BOOK_STORAGE_KEY, JSON.stringify(books));
+  } catch (error) {
+    console.warn("⚠ Could not save address book:", error.message);
+  }
+}
+
+/**
+ * Save an address to the signed-in shopper's address book
+ * An address that is already in the book is not added twice. The first
+ * address becomes the default.
+ * @param {Object} address - Address
+ * @param {Object} options - Options
+ * @param {boolean} options.makeDefault - Make it the default address
+ * @returns {Object|null} Saved address (with id), or null if signed out
+ *   or without the consent to keep it
+ */
+export function saveAddress(address, { makeDefault = false } = {}) {
+  if (!getSignedInUser() || !isAddressBookEnabled()) return null;
+
+  const book = getAddressBook();
+  let saved = book.addresses.find((entry) => isSameAddress(entry, address));
+  if (!saved) {
+    saved = {
+      id: `addr_${Date.now().toString(36)}`,
+      ...pickAddress(address),
+    };
+    book.addresses = [...book.addresses, saved];
+  }
+  if (makeDefault || !book.defaultId) book.defaultId = saved.id;
+
+  writeAddressBook(book);
+  return saved;
+}
+
+/**
+ * Remove an address from the signed-in shopper's address book
+ * @param {string} id - Address id
+ */
+export function removeAddress(id) {
+  const book = getAddressBook();
+  book.addresses = book.addresses.filter((address) => address.id !== id);
+  if (book.defaultId === id) book.defaultId = book.addresses[0]?.id || "";
+  writeAddressBook(book);
+}
@@ -0,0 +1,424 @@
+// ==========================================
+// Cart Service
+// Single owner of cart state and pricing. Every commerce block reads and
+// writes the cart through this module so totals never drift between blocks.
+// The cart itself lives in dataLayer.cart (see datalayer.js).
+// ==========================================
+
+import {
+  loadPromotions,
+  findPromotion,
+  attachPromotion,
+  applyPromotionToCart,
+} from "./promotions.js";
+import {
+  loadShippingMethods,
+  applyShippingToCart,
+  createShippingSelection,
+} from "./shipping.js";
+import { loadTaxTable, applyTaxToCart, createTaxSelection } from "./tax.js";
+import { roundAmount, formatPrice } from "./currency.js";
+import { VARIANT_OPTIONS } from "./variants.js";
+import { loadInventory, getStockInfo, capQuantity } from "./inventory.js";
+
+// Blocks format their prices through the cart service
+export { formatPrice };
+
+/**
+ * Typed cart events dispatched on document after every cart change.
+ * event.detail always contains the updated `cart`.
+ */
+export const CART_EVENTS = {
+  ITEM_ADDED: "cart:item-added",
+  ITEM_REMOVED: "cart:item-removed",
+  QUANTITY_CHANGED: "cart:quantity-changed",
+  CLEARED: "cart:cleared",
+  COUPON_APPLIED: "cart:coupon-applied",
+  COUPON_REJECTED: "cart:coupon-rejected",
+  SHIPPING_CHANGED: "cart:shipping-changed",
+  TAX_CHANGED: "cart:tax-changed",
+  STOCK_ADJUSTED: "cart:stock-adjusted",
+  RESTORED: "cart:restored",
+  UPDATED: "cart:updated",
+};
+
+/**
+ * Create an empty cart
+ * @returns {Object} Empty cart
+ */
+export function createEmptyCart() {
+  return {
+    productCount: 0,
+    products: {},
+    subTotal: 0,
+    total: 0,
+  };
+}
+
+/**
+ * Format the selected shipping for totals sections
+ * @param {Object} shipping - Shipping data from the cart
+ * @returns {string} Formatted shipping
+ */
+export function formatShipping(shipping) {
+  if (!shipping) return "---";
+  return shipping.amount ? formatPrice(shipping.amount) : "Free";
+}
+
+/**
+ * Format the cart tax for totals sections
+ * @param {Object} tax - Tax data from the cart
+ * @returns {string} Formatted tax ("Incl." when prices include tax)
+ */
+export function formatTax(tax) {
+  if (!tax) return "---";
+  return tax.inclusive
+    ? `Incl. ${formatPrice(tax.amount)}`
+    : formatPrice(tax.amount);
+}
+
+/**
+ * Format the applied discount for totals sections
+ * @param {Object} discount - Discount data from the cart
+ * @returns {string} Formatted discount
+ */
+export function formatDiscount(discount) {
+  if (!discount || !discount.amount) return "----";
+  return `-${formatPrice(discount.amount)} (${discount.code})`;
+}
+
+/**
+ * Recalculate line totals, counts, discount, shipping, tax and total of a cart
+ * @param {Object} cart - Cart data (mutated)
+ * @returns {Object} The recalculated cart
+ */
+export function recompute(cart) {
+  if (!cart.products) cart.products = {};
+
+  const productValues = Object.values(cart.products);
+  productValues.forEach((product) => {
+    product.subTotal = roundAmount(product.price * product.quantity);
+    product.total = product.subTotal;
+  });
+
+  cart.productCount = productValues.reduce((sum, p) => sum + p.quantity, 0);
+  cart.subTotal = roundAmount(
+    productValues.reduce((sum, p) => sum + p.subTotal, 0)
+  );
+
+  // Re-evaluate any applied promotion, shipping selection and tax
+  applyPromotionToCart(cart);
+  applyShippingToCart(cart);
+  applyTaxToCart(cart);
+
+  const discountAmount = cart.discount?.amount || 0;
+  const shippingAmount = cart.shipping?.amount || 0;
+  // Tax-inclusive prices already contain the tax
+  const taxAmount = cart.tax && !cart.tax.inclusive ? cart.tax.amount : 0;
+  cart.total = roundAmount(
+    Math.max(cart.subTotal - discountAmount, 0) + shippingAmount + taxAmount
+  );
+  return cart;
+}
+
+/**
+ * Get the current cart from the dataLayer
+ * @returns {Object} Cart data (a copy - use the mutators below to change it)
+ */
+export function getCart() {
+  const cart = window.getDataLayerProperty
+    ? window.getDataLayerProperty("cart")
+    : null;
+
+  if (!cart || !cart.products) return createEmptyCart();
+  return cart;
+}
+
+/**
+ * Dispatch a typed cart event
+ * @param {string} type - One of CART_EVENTS
+ * @param {Object} detail - Event detail
+ */
+function dispatchCartEvent(type, detail) {
+  document.dispatchEvent(
+    new CustomEvent(type, {
+      bubbles: true,
+      detail,
+    })
+  );
+}
+
+/**
+ * Recalculate and store a cart, then notify listeners
+ * @param {Object} cart - Cart data
+ * @param {string} type - One of CART_EVENTS
+ * @param {Object} detail - Additional event detail
+ * @returns {Object} The saved cart
+ */
+function saveCart(cart, type, detail = {}) {
+  recompute(cart);
+
+  // Replace the entire cart (merge=false) so removed products and
+  // discounts are not merged back from the previous state
+  if (window.updateDataLayer) {
+    window.updateDataLayer({ cart }, false);
+  } else {
+    console.error("updateDataLayer not available");
+  }
+
+  dispatchCartEvent(type, { ...detail, cart });
+  if (type !== CART_EVENTS.UPDATED) {
+    dispatchCartEvent(CART_EVENTS.UPDATED, { action: type, cart });
+  }
+  return cart;
+}
+
+/**
+ * Get the cart line key of a product
+ * Each variant (e.g. color/size) of a product gets its own cart line
+ * @param {Object} productData - Product information (see window.addToCart)
+ * @returns {string} Line key, the product ID for products without variants
+ */
+export function getLineKey(productData) {
+  const productId = productData.productId || productData.id;
+  const options = VARIANT_OPTIONS.map(({ name }) => productData[name]).filter(
+    Boolean
+  );
+  return options.length > 0 ? [productId, ...options].join("|") : productId;
+}
+
+/**
+ * Add a product to the cart, or increase its quantity if already present
+ * @param {Object} productData - Product information (see window.addToCart)
+ * @returns {Object} The updated cart
+ */
+export function add(productData) {
+  const cart = getCart();
+  const productKey = getLineKey(productData);
+  const line = cart.products[productKey];
+  const requested = productData.quantity || 1;
+
+  // Never add more than the available stock
+  const stock = Number.isFinite(productData.stock)
+    ? productData.stock
+    : line?.stock;
+  const inCart = line?.quantity || 0;
+  const quantity = capQuantity(inCart + requested, stock) - inCart;
+  if (quantity <= 0) {
+    console.warn(`⚠ ${productData.name || productKey} is out of stock`);
+    return cart;
+  }
+
+  if (line) {
+    line.quantity += quantity;
+    if (Number.isFinite(stock)) line.stock = stock;
+  } else {
+    const options = {};
+    VARIANT_OPTIONS.forEach(({ name }) => {
+      if (productData[name]) options[name] = productData[name];
+    });
+
+    cart.products[productKey] = {
+      id: productKey,
+      productId: productData.productId || productData.id,
+      sku: productData.sku || productData.id,
+      name: productData.name,
+      image: productData.image,
+      thumbnail: productData.thumbnail,
+      category: productData.category,
+      description: productData.description,
+      weight: productData.weight,
+      ...(productData.folder && { folder: productData.folder }),
+      ...options,
+      ...(Number.isFinite(stock) && { stock }),
+      quantity,
+      price: productData.price,
+    };
+  }
+
+  return saveCart(cart, CART_EVENTS.ITEM_ADDED, {
+    product: cart.products[productKey],
+    quantity,
+    limited: quantity < requested,
+  });
+}
+
+/**
+ * Remove a product from the cart
+ * @param {string} productId - Cart line key (product ID) to remove
+ * @returns {Object} The updated cart
+ */
+export function remove(productId) {
+  const cart = getCart();
+  const product = cart.products[productId];
+  if (!product) return cart;
+
+  delete cart.products[productId];
+  return saveCart(cart, CART_EVENTS.ITEM_REMOVED, { product });
+}
+
+/**
+ * Set the quantity of a product in the cart (removes it below 1)
+ * @param {string} productId - Cart line key (product ID)
+ * @param {number} quantity - New quantity
+ * @returns {Object} The updated cart
+ */
+export function setQuantity(productId, quantity) {
+  const newQuantity = parseInt(quantity, 10);
+  if (Number.isNaN(newQuantity) || newQuantity < 1) {
+    return remove(productId);
+  }
+
+  const cart = getCart();
+  const product = cart.products[productId];
+  if (!product) return cart;
+
+  const previousQuantity = product.quantity;
+  product.quantity = Math.max(capQuantity(newQuantity, product.stock), 1);
+  return saveCart(cart, CART_EVENTS.QUANTITY_CHANGED, {
+    product,
+    previousQuantity,
+    quantity: product.quantity,
+    limited: product.quantity < newQuantity,
+  });
+}
+
+/**
+ * Empty the cart
+ * @returns {Object} The empty cart
+ */
+export function clear() {
+  return saveCart(createEmptyCart(), CART_EVENTS.CLEARED);
+}
+
+/**
+ * Replace the cart with a restored one (a signed-in shopper's saved cart,
+ * merged with the guest cart - see user-cart.js)
+ * @param {Object} restored - Cart with products (and discount, shipping, tax)
+ * @param {Object} detail - Additional event detail
+ * @returns {Object} The saved cart
+ */
+export function restore(restored, detail = {}) {
+  return saveCart(
+    { ...createEmptyCart(), ...restored },
+    CART_EVENTS.RESTORED,
+    detail
+  );
+}
+
+/**
+ * Apply a promotion code to the cart
+ * @param {string} code - Promotion code
+ * @returns {Promise<Object>} { valid, message, cart }
+ */
+export async function applyCoupon(code) {
+  const rule = await findPromotion(code);
+  const cart = getCart();
+  const result = attachPromotion(cart, rule);
+
+  if (!result.valid) {
+    dispatchCartEvent(CART_EVENTS.COUPON_REJECTED, {
+      code,
+      message: result.message,
+      cart,
+    });
+    return result;
+  }
+
+  saveCart(cart, CART_EVENTS.COUPON_APPLIED, { code: rule.code });
+  return result;
+}
+
+/**
+ * Re-price the cart with the authored sheets
+ * The cart only stores the promotion code, the shipping method id and
+ * the tax destination; the rules behind them are read from the current
+ * sheets, so edited or deleted rows also reach carts persisted before
+ * the change. Called on page load and before an order is placed.
+ * @returns {Promise<Object>} The re-priced cart
+ */
+export async function refreshCartPricing() {
+  const current = getCart();
+  await Promise.all([
+    current.discount && loadPromotions(),
+    current.shipping && loadShippingMethods(),
+    current.tax && loadTaxTable(),
+  ]);
+
+  // The cart may have changed while the sheets were loading
+  const cart = getCart();
+  const before = JSON.stringify(cart);
+  recompute(cart);
+  if (JSON.stringify(cart) === before) return cart;
+  return saveCart(cart, CART_EVENTS.UPDATED, { action: "repriced" });
+}
+
+/**
+ * Select the shipping method and destination for the cart
+ * @param {Object} method - Shipping method (see shipping.js)
+ * @param {string} country - Destination country
+ * @returns {Object} The updated cart
+ */
+export function setShipping(method, country) {
+  const cart = getCart();
+  cart.shipping = createShippingSelection(method, recompute(cart), country);
+  return saveCart(cart, CART_EVENTS.SHIPPING_CHANGED, {
+    shipping: cart.shipping,
+  });
+}
+
+/**
+ * Set the tax destination of the cart
+ * @param {string} country - Destination country (empty to remove tax)
+ * @param {string} postalCode - Destination postal code
+ * @returns {Promise<Object>} The updated cart
+ */
+export async function setTaxDestination(country, postalCode) {
+  const table = country ? await loadTaxTable() : null;
+  const cart = getCart();
+
+  if (table) {
+    cart.tax = createTaxSelection(table, country, postalCode);
+  } else {
+    delete cart.tax;
+  }
+
+  return saveCart(cart, CART_EVENTS.TAX_CHANGED, { tax: cart.tax });
+}
+
+/**
+ * Re-validate the cart against the current stock levels
+ * Lowers quantities above the available stock and removes sold-out lines
+ * @returns {Promise<Object>} { changes: [{ product, previousQuantity, quantity }], cart }
+ */
+export async function validateStock() {
+  const inventory = await loadInventory();
+  const cart = getCart();
+  const changes = [];
+
+  Object.values(cart.products).forEach((product) => {
+    // Fresh sheet data wins over the stock stored when the line was added
+    const { stock: storedStock, ...line } = product;
+    const stockInfo = getStockInfo(inventory, line);
+    const stock = stockInfo ? stockInfo.stock : storedStock;
+    if (!Number.isFinite(stock)) return;
+
+    product.stock = stock;
+    if (product.quantity <= stock) return;
+
+    changes.push({
+      product,
+      previousQuantity: product.quantity,
+      quantity: stock,
+    });
+    if (stock > 0) {
+      product.quantity = stock;
+    } else {
+      delete cart.products[product.id];
+    }
+  });
+
+  if (changes.length === 0) return { changes, cart };
+  saveCart(cart, CART_EVENTS.STOCK_ADJUSTED, { changes });
+  return { changes, cart };
+}
@@ -0,0 +1,35 @@
+// ==========================================
+// Product Categories
+// Cart products store their categories as a display string
+// ("Women / Tops, Gear"), authored sheets use tag paths
+// ("luma:women/tops"). These helpers compare the two.
+// ==========================================
+
+/**
+ * Normalize a category for comparison
+ * Strips the "luma:"/"lumaproducts:" tag prefix, spaces and case so
+ * "luma:men/tops" matches the cart's "men / tops" format
+ * @param {string} category - Category string
+ * @returns {string} Normalized category
+ */
+export function normalizeCategory(category) {
+  return `${category || ""}`
+    .trim()
+    .replace(/^(luma:|lumaproducts:)/i, "")
+    .replace(/\s*\/\s*/g, "/")
+    .toLowerCase();
+}
+
+/**
+ * Check whether a product belongs to a category (or one of its children)
+ * @param {Object} product - Cart product
+ * @param {string} category - Normalized category
+ * @returns {boolean} True if the product is in the category
+ */
+export function isProductInCategory(product, category) {
+  if (!category) return true;
+  return `${product?.category || ""}`
+    .split(",")
+    .map(normalizeCategory)
+    .some((productCategory) => productCategory.startsWith(category));
+}
@@ -0,0 +1,209 @@
+// ==========================================
+// Product Compare
+// The products a shopper picked for a side-by-side comparison (at most
+// MAX_COMPARE_ITEMS). Lister cards and the product page add products with
+// a "Compare" checkbox, the compare tray in the header shows the
+// selection on every page, and the product-compare block renders the
+// comparison table.
+//
+//   luma_compare: [{ id, sku, name, image, price, category, folder, ... }]
+//
+// The list is kept in localStorage, so it survives page loads and is
+// shared by all tabs (changes in another tab are announced with
+// COMPARE_EVENTS.UPDATED as well). `folder` is the catalog folder the
+// product was listed from; the compare block loads the product from it.
+// ==========================================
+
+const COMPARE_STORAGE_KEY = "luma_compare";
+
+export const MAX_COMPARE_ITEMS = 4;
+
+/**
+ * Typed compare events dispatched on document after every change.
+ * event.detail always contains the updated `products`.
+ */
+export const COMPARE_EVENTS = {
+  ITEM_ADDED: "compare:item-added",
+  ITEM_REMOVED: "compare:item-removed",
+  LIMIT_REACHED: "compare:limit-reached",
+  UPDATED: "compare:updated",
+};
+
+/**
+ * Get the products picked for comparison
+ * @returns {Array<Object>} Products, in the order they were added
+ */
+export function getCompareList() {
+  try {
+    const products = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+    return Array.isArray(products) ? products : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Check whether a product is picked for comparison
+ * @param {string} productId - Product ID
+ * @returns {boolean} True if the product is in the compare list
+ */
+export function isCompared(productId) {
+  return getCompareList().some((product) => product.id === productId);
+}
+
+/**
+ * Dispatch a typed compare event
+ * @param {string} type - One of COMPARE_EVENTS
+ * @param {Object} detail - Event detail
+ */
+function dispatchCompareEvent(type, detail) {
+  document.dispatchEvent(
+    new CustomEvent(type, {
+      bubbles: true,
+      detail,
+    })
+  );
+}
+
+/**
+ * Store the compare list, then notify listeners
+ * @param {Array<Object>} products - Products
+ * @param {string} type - One of COMPARE_EVENTS
+ * @param {Object} detail - Additional event detail
+ * @returns {Array<Object>} The saved products
+ */
+function saveCompareList(products, type, detail = {}) {
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(products));
+  } catch (error) {
+    console.warn("⚠ Could not save compare list:", error.message);
+  }
+
+  dispatchCompareEvent(type, { ...detail, products });
+  dispatchCompareEvent(COMPARE_EVENTS.UPDATED, { action: type, products });
+  return products;
+}
+
+/**
+ * Add a product to the compare list
+ * No-op if it is already there; refused once MAX_COMPARE_ITEMS products
+ * are picked (COMPARE_EVENTS.LIMIT_REACHED is dispatched)
+ * @param {Object} productData - Product information
+ * @param {string} productData.id - Product ID (SKU)
+ * @param {string} productData.folder - Catalog folder of the product
+ * @returns {boolean} True if the product is in the compare list
+ */
+export function add(productData) {
+  const products = getCompareList();
+  if (!productData?.id) return false;
+  if (products.some((product) => product.id === productData.id)) return true;
+
+  if (products.length >= MAX_COMPARE_ITEMS) {
+    dispatchCompareEvent(COMPARE_EVENTS.LIMIT_REACHED, {
+      product: productData,
+      products,
+    });
+    return false;
+  }
+
+  const product = {
+    id: productData.id,
+    sku: productData.sku || productData.id,
+    name: productData.name || "",
+    image: productData.image || "",
+    price: productData.price || 0,
+    category: productData.category || "",
+    folder: productData.folder || "",
+    addedAt: new Date().toISOString(),
+  };
+  saveCompareList([...products, product], COMPARE_EVENTS.ITEM_ADDED, {
+    product,
+  });
+  return true;
+}
+
+/**
+ * Remove a product from the compare list
+ * @param {string} productId - Product ID
+ * @returns {Array<Object>} The updated products
+ */
+export function remove(productId) {
+  const products = getCompareList();
+  const product = products.find((p) => p.id === productId);
+  if (!product) return products;
+
+  return saveCompareList(
+    products.filter((p) => p.id !== productId),
+    COMPARE_EVENTS.ITEM_REMOVED,
+    { product }
+  );
+}
+
+/**
+ * Empty the compare list
+ * @returns {Array<Object>} The (empty) products
+ */
+export function clear() {
+  if (getCompareList().length === 0) return [];
+  return saveCompareList([], COMPARE_EVENTS.ITEM_REMOVED, { cleared: true });
+}
+
+/**
+ * Add or remove a product depending on whether it is in the compare list
+ * @param {Object} productData - Product information (see add)
+ * @returns {boolean} True if the product is now in the compare list
+ */
+export function toggle(productData) {
+  if (isCompared(productData.id)) {
+    remove(productData.id);
+    return false;
+  }
+  return add(productData);
+}
+
+/**
+ * Create the "Compare" checkbox of a product card
+ * The checkbox follows the compare list (tray, other cards, other tabs)
+ * and does not open the product when clicked
+ * @param {Object} productData - Product information (see add)
+ * @param {string} prefix - Class prefix of the block (e.g. "cpl")
+ * @returns {HTMLElement} Checkbox label
+ */
+export function createCompareCheckbox(productData, prefix) {
+  const label = document.createElement("label");
+  label.className = `${prefix}-compare`;
+  label.addEventListener("click", (event) => event.stopPropagation());
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = `${prefix}-compare-checkbox`;
+  checkbox.setAttribute("aria-label", `Compare ${productData.name || ""}`);
+
+  const text = document.createElement("span");
+  text.textContent = "Compare";
+
+  const update = () => {
+    checkbox.checked = isCompared(productData.id);
+  };
+
+  checkbox.addEventListener("change", () => {
+    toggle(productData);
+    // The list may be full; show what was actually stored
+    update();
+  });
+
+  update();
+  document.addEventListener(COMPARE_EVENTS.UPDATED, update);
+
+  label.append(checkbox, text);
+  return label;
+}
+
+// Changes made in another tab
+window.addEventListener("storage", (event) => {
+  if (event.key !== COMPARE_STORAGE_KEY) return;
+  dispatchCompareEvent(COMPARE_EVENTS.UPDATED, {
+    action: "synced",
+    products: getCompareList(),
+  });
+});
@@ -0,0 +1,135 @@
+// ==========================================
+// Countries
+// Countries offered at checkout. The checkout form stores the country
+// name, authored sheets may use either the name or the ISO code.
+//
+// Each country describes its address format: the labels of the region
+// and postal code fields, whether a region is required and the pattern
+// postal codes must match (with an example for error messages).
+// ==========================================
+
+export const COUNTRIES = [
+  {
+    code: "US",
+    name: "United States",
+    address: {
+      regionLabel: "State",
+      regionRequired: true,
+      postalLabel: "ZIP code",
+      postalPattern: /^\d{5}(-\d{4})?$/,
+      postalExample: "94103",
+    },
+  },
+  {
+    code: "CA",
+    name: "Canada",
+    address: {
+      regionLabel: "Province",
+      regionRequired: true,
+      postalLabel: "Postal code",
+      postalPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,
+      postalExample: "K1A 0B1",
+    },
+  },
+  {
+    code: "GB",
+    name: "United Kingdom",
+    address: {
+      regionLabel: "County",
+      regionRequired: false,
+      postalLabel: "Postcode",
+      postalPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+      postalExample: "SW1A 1AA",
+    },
+  },
+  {
+    code: "AU",
+    name: "Australia",
+    address: {
+      regionLabel: "State / territory",
+      regionRequired: true,
+      postalLabel: "Postcode",
+      postalPattern: /^\d{4}$/,
+      postalExample: "2000",
+    },
+  },
+  {
+    code: "IN",
+    name: "India",
+    address: {
+      regionLabel: "State",
+      regionRequired: true,
+      postalLabel: "PIN code",
+      postalPattern: /^\d{3} ?\d{3}$/,
+      postalExample: "110001",
+    },
+  },
+  { code: "OTHER", name: "Other" },
+];
+
+// Address format of countries without their own
+const DEFAULT_ADDRESS_FORMAT = {
+  regionLabel: "State / province / region",
+  regionRequired: false,
+  postalLabel: "Postal code",
+  postalPattern: null,
+  postalExample: "",
+};
+
+/**
+ * Resolve a country name or ISO code to its ISO code
+ * @param {string} country - Country name or code
+ * @returns {string} Upper-case country code, or "" if unknown/empty
+ */
+export function getCountryCode(country) {
+  const value = `${country || ""}`.trim().toLowerCase();
+  if (!value) return "";
+
+  const match = COUNTRIES.find(
+    (c) => c.code.toLowerCase() === value || c.name.toLowerCase() === value
+  );
+  return match ? match.code : value.toUpperCase();
+}
+
+/**
+ * Check whether a country matches an authored country list
+ * @param {string} country - Country name or code
+ * @param {string} list - Comma-separated names/codes, "*" or empty for all
+ * @returns {boolean} True if the country is in the list
+ */
+export function matchesCountryList(country, list) {
+  const entries = `${list || ""}`
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0 || entries.includes("*")) return true;
+
+  const code = getCountryCode(country);
+  return entries.some((entry) => getCountryCode(entry) === code);
+}
+
+/**
+ * Get the address format of a country
+ * @param {string} country - Country name or code
+ * @returns {Object} { regionLabel, regionRequired, postalLabel,
+ *   postalPattern, postalExample }
+ */
+export function getAddressFormat(country) {
+  const code = getCountryCode(country);
+  const match = COUNTRIES.find((c) => c.code === code);
+  return { ...DEFAULT_ADDRESS_FORMAT, ...match?.address };
+}
+
+/**
+ * Check a postal code against the format of its country
+ * Countries without a pattern accept any non-empty postal code
+ * @param {string} postalCode - Postal code
+ * @param {string} country - Country name or code
+ * @returns {boolean} True if the postal code is valid
+ */
+export function isValidPostalCode(postalCode, country) {
+  const value = `${postalCode || ""}`.trim();
+  if (!value) return false;
+  const { postalPattern } = getAddressFormat(country);
+  return postalPattern ? postalPattern.test(value) : true;
+}
@@ -0,0 +1,159 @@
+// ==========================================
+// Currency
+// Formats catalog prices for the page language with Intl.NumberFormat and
+// converts them when an exchange rate is authored for the language.
+// Cart and order amounts always stay in BASE_CURRENCY; only the display
+// is converted.
+//
+// /currencies.json: locale | currency | rate
+// "locale" is a page language (en, fr, de, ...) and "rate" the amount of
+// "currency" for one BASE_CURRENCY (the same idea as the forex block).
+// Languages without a row or a usable rate show BASE_CURRENCY prices,
+// formatted for the language.
+// ==========================================
+
+import { getLanguage } from "../utils.js";
+import { fetchSheet, getSheetRows } from "./sheets.js";
+
+export const BASE_CURRENCY = "USD";
+
+const CURRENCIES_URL = "/currencies.json";
+const CURRENCIES_STORAGE_KEY = "luma_currenciesSheet";
+
+// Intl locale for each supported page language
+const LANGUAGE_LOCALES = {
+  en: "en-US",
+  fr: "fr-FR",
+  de: "de-DE",
+  es: "es-ES",
+  it: "it-IT",
+  pt: "pt-PT",
+  nl: "nl-NL",
+  sv: "sv-SE",
+  da: "da-DK",
+  ru: "ru-RU",
+  ja: "ja-JP",
+  zh: "zh-CN",
+  zh_TW: "zh-TW",
+  ko: "ko-KR",
+  ar: "ar-AE",
+  he: "he-IL",
+};
+
+let currencySettings = null;
+let currencyPromise = null;
+const formatters = new Map();
+
+/**
+ * Round an amount to 2 decimals
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export function roundAmount(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Get the Intl locale of a page language
+ * @param {string} language - Page language (defaults to getLanguage())
+ * @returns {string} Intl locale, e.g. "fr-FR"
+ */
+export function getLocale(language = getLanguage()) {
+  return LANGUAGE_LOCALES[language] || language || "en-US";
+}
+
+/**
+ * Get the currency settings of the current page
+ * Base currency until loadCurrency() has resolved an exchange rate
+ * @returns {Object} { language, locale, currency, rate }
+ */
+export function getCurrencySettings() {
+  if (!currencySettings) {
+    const language = getLanguage();
+    currencySettings = {
+      language,
+      locale: getLocale(language),
+      currency: BASE_CURRENCY,
+      rate: 1,
+    };
+  }
+  return currencySettings;
+}
+
+/**
+ * Get a cached Intl.NumberFormat for a locale and currency
+ * @param {string} locale - Intl locale
+ * @param {string} currency - ISO currency code
+ * @returns {Intl.NumberFormat} Formatter
+ */
+function getFormatter(locale, currency) {
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(locale, { style: "currency", currency })
+    );
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Load the currency and exchange rate for the page language
+ * Blocks that show prices await this before rendering
+ * @returns {Promise<Object>} Currency settings (see getCurrencySettings)
+ */
+export function loadCurrency() {
+  if (currencyPromise) return currencyPromise;
+
+  currencyPromise = (async () => {
+    const settings = getCurrencySettings();
+    const json = await fetchSheet(CURRENCIES_URL, {
+      storageKey: CURRENCIES_STORAGE_KEY,
+    });
+
+    const row = getSheetRows(json).find(
+      (r) => `${r.locale || ""}`.trim() === settings.language
+    );
+    if (!row) return settings;
+
+    const currency = `${row.currency || ""}`.trim().toUpperCase();
+    const rate = currency === BASE_CURRENCY ? 1 : parseFloat(row.rate);
+    if (!currency || !(rate > 0)) {
+      console.warn(
+        `⚠ No exchange rate for "${settings.language}", showing ${BASE_CURRENCY} prices`
+      );
+      return settings;
+    }
+
+    try {
+      getFormatter(settings.locale, currency);
+    } catch (error) {
+      console.warn(`⚠ Unsupported currency "${currency}":`, error.message);
+      return settings;
+    }
+
+    currencySettings = { ...settings, currency, rate };
+    return currencySettings;
+  })();
+
+  return currencyPromise;
+}
+
+/**
+ * Convert a BASE_CURRENCY amount to the page currency
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @returns {number} Amount in the page currency
+ */
+export function convertPrice(amount) {
+  return (amount || 0) * getCurrencySettings().rate;
+}
+
+/**
+ * Format a BASE_CURRENCY amount in the page currency
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @returns {string} Formatted price
+ */
+export function formatPrice(amount) {
+  const { locale, currency } = getCurrencySettings();
+  return getFormatter(locale, currency).format(convertPrice(amount));
+}
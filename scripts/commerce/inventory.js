@@ -0,0 +1,128 @@
+// ==========================================
+// Inventory
+// Resolves the stock level of products and variants and maps it to the
+// "in stock / low stock / out of stock" status shown on PDP and listers
+//
+// Stock comes from the product data (`stock` on the content fragment or
+// on a variant entry) or from the authored inventory sheet:
+//   /inventory.json: sku | stock | lowStock
+// Products without any stock information are not tracked (never capped).
+// ==========================================
+
+import { fetchSheet, getSheetRows } from "./sheets.js";
+
+const INVENTORY_URL = "/inventory.json";
+const INVENTORY_STORAGE_KEY = "luma_inventorySheet";
+
+// Stock changes often, so the sheet is cached for a short time only
+const INVENTORY_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// Stock level at or below which a product is shown as "low stock"
+export const DEFAULT_LOW_STOCK = 5;
+
+export const STOCK_STATUS = {
+  IN_STOCK: "in-stock",
+  LOW_STOCK: "low-stock",
+  OUT_OF_STOCK: "out-of-stock",
+};
+
+/**
+ * Normalize a SKU for lookups
+ * @param {string} sku - SKU
+ * @returns {string} Trimmed, upper-case SKU
+ */
+function normalizeSku(sku) {
+  return `${sku || ""}`.trim().toUpperCase();
+}
+
+/**
+ * Parse a stock value
+ * @param {*} value - Stock value from product data or a sheet
+ * @returns {number|null} Stock level, or null if not tracked
+ */
+function parseStock(value) {
+  if (value === undefined || value === null || `${value}`.trim() === "") {
+    return null;
+  }
+  const stock = parseInt(value, 10);
+  return Number.isNaN(stock) ? null : Math.max(stock, 0);
+}
+
+/**
+ * Load the authored inventory sheet
+ * @returns {Promise<Map>} Stock entries { stock, lowStock } by normalized SKU
+ */
+export async function loadInventory() {
+  const json = await fetchSheet(INVENTORY_URL, {
+    storageKey: INVENTORY_STORAGE_KEY,
+    ttl: INVENTORY_TTL,
+  });
+
+  const inventory = new Map();
+  getSheetRows(json).forEach((row) => {
+    const stock = parseStock(row.stock);
+    if (!row.sku || stock === null) return;
+    inventory.set(normalizeSku(row.sku), {
+      stock,
+      lowStock: parseStock(row.lowStock) ?? DEFAULT_LOW_STOCK,
+    });
+  });
+  return inventory;
+}
+
+/**
+ * Resolve the stock of a product, variant or cart line
+ * Lookup order: the item's own `stock`, the sheet entry of its SKU, then
+ * the sheet entry of its parent product (for variants and cart lines)
+ * @param {Map} inventory - Inventory sheet (see loadInventory)
+ * @param {Object} item - Product data, variant or cart line
+ * @param {Object} parent - Parent product of a variant (optional)
+ * @returns {Object|null} { stock, lowStock }, or null if not tracked
+ */
+export function getStockInfo(inventory, item, parent = null) {
+  const ownStock = parseStock(item?.stock);
+  if (ownStock !== null) {
+    return {
+      stock: ownStock,
+      lowStock: parseStock(item.lowStock) ?? DEFAULT_LOW_STOCK,
+    };
+  }
+
+  const skus = [item?.sku, item?.productId, item?.id, parent?.sku, parent?.id];
+  const entry = skus
+    .filter(Boolean)
+    .map((sku) => inventory?.get(normalizeSku(sku)))
+    .find(Boolean);
+  if (entry) return entry;
+
+  return parent ? getStockInfo(inventory, parent) : null;
+}
+
+/**
+ * Map a stock level to a display status
+ * @param {Object|null} stockInfo - Stock info (see getStockInfo)
+ * @returns {Object|null} { status, label }, or null if not tracked
+ */
+export function getStockStatus(stockInfo) {
+  if (!stockInfo) return null;
+
+  const { stock, lowStock } = stockInfo;
+  if (stock <= 0) {
+    return { status: STOCK_STATUS.OUT_OF_STOCK, label: "Out of stock" };
+  }
+  if (stock <= lowStock) {
+    return { status: STOCK_STATUS.LOW_STOCK, label: `Only ${stock} left` };
+  }
+  return { status: STOCK_STATUS.IN_STOCK, label: "In stock" };
+}
+
+/**
+ * Cap a quantity at the available stock
+ * @param {number} quantity - Requested quantity
+ * @param {number|null} stock - Available stock (null if not tracked)
+ * @returns {number} Allowed quantity
+ */
+export function capQuantity(quantity, stock) {
+  if (stock === null || stock === undefined) return quantity;
+  return Math.min(quantity, Math.max(stock, 0));
+}
@@ -0,0 +1,366 @@
+// ==========================================
+// Product Listings
+// Product cards, "load more" / infinite-scroll pagination, skeleton
+// placeholders and scroll-position restore shared by the product listers
+// (category-products-lister, new-arrival, recently-viewed). Pages are
+// fetched with fetchProducts() from scripts/catalog.js.
+//
+// The pagination mode is chosen per block instance through the block
+// style (class): "load-more" or "infinite-scroll". Blocks without one
+// load the whole folder at once, as before.
+// ==========================================
+
+import { createOptimizedPicture } from "../aem.js";
+import { formatPrice } from "./currency.js";
+import { STOCK_STATUS, getStockInfo, getStockStatus } from "./inventory.js";
+import { createCompareCheckbox } from "./compare.js";
+import { COMMERCE_PAGES } from "./routes.js";
+
+export const PAGINATION_MODES = {
+  ALL: "all",
+  LOAD_MORE: "load-more",
+  INFINITE: "infinite-scroll",
+};
+
+export const DEFAULT_PAGE_SIZE = 12;
+
+const SCROLL_STORAGE_KEY = "luma_listingPosition";
+const SCROLL_TTL = 30 * 60 * 1000; // 30 minutes in milliseconds
+
+/**
+ * Read the pagination settings of a lister block
+ * @param {HTMLElement} block - Block element
+ * @param {Object} cfg - Block config (readBlockConfig)
+ * @returns {Object} { mode, pageSize }
+ */
+export function getPaginationConfig(block, cfg = {}) {
+  let mode = PAGINATION_MODES.ALL;
+  if (block.classList.contains(PAGINATION_MODES.LOAD_MORE)) {
+    mode = PAGINATION_MODES.LOAD_MORE;
+  } else if (block.classList.contains(PAGINATION_MODES.INFINITE)) {
+    mode = PAGINATION_MODES.INFINITE;
+  }
+
+  const pageSize = parseInt(
+    block.dataset?.pageSize || cfg["page-size"] || cfg.pagesize,
+    10
+  );
+  return {
+    mode,
+    pageSize: pageSize > 0 ? pageSize : DEFAULT_PAGE_SIZE,
+  };
+}
+
+/**
+ * Get the path of the product page next to the current page
+ * Each section has its own product page: /en/men/men-products links to
+ * /en/men/product
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Product page path
+ */
+function getSiblingProductPage(isAuthor) {
+  const currentPath = window.location.pathname;
+  const basePath = currentPath.substring(0, currentPath.lastIndexOf("/"));
+  // On author add .html extension, on publish don't
+  return `${basePath}/${COMMERCE_PAGES.PRODUCT}${isAuthor ? ".html" : ""}`;
+}
+
+/**
+ * Build the card of a product
+ * Classes are prefixed with the block's prefix (e.g. "cpl-card"); the
+ * card opens the product page next to the current page, unless another
+ * one is given
+ * @param {Object} item - Product content fragment
+ * @param {Object} options - Options
+ * @param {string} options.prefix - Class prefix of the block (e.g. "cpl")
+ * @param {boolean} options.isAuthor - Is author environment
+ * @param {Map} options.inventory - Inventory sheet (see loadInventory)
+ * @param {string} options.folder - Catalog folder of the product (for the
+ *   compare page)
+ * @param {string} options.productPage - Product page path (optional)
+ * @returns {HTMLElement} Product card
+ */
+export function buildProductCard(
+  item,
+  { prefix, isAuthor, inventory, folder, productPage }
+) {
+  const { id, sku, name, price, image = {}, category = [] } = item || {};
+  const imgUrl = isAuthor ? image?._authorUrl : image?._publishUrl;
+  const productId = sku || id || "";
+
+  const card = document.createElement("article");
+  card.className = `${prefix}-card`;
+
+  // Make card clickable and redirect to product page
+  if (productId) {
+    card.style.cursor = "pointer";
+    card.addEventListener("click", () => {
+      const path = productPage || getSiblingProductPage(isAuthor);
+      window.location.href = `${path}?productId=${encodeURIComponent(
+        productId
+      )}`;
+    });
+  }
+
+  // On publish, if imgUrl is a full URL, createOptimizedPicture needs just the path
+  // But we need the full publish URL, so create the picture element manually for publish
+  let picture = null;
+  if (imgUrl) {
+    if (!isAuthor && imgUrl.startsWith("http")) {
+      // For publish with full URL, use it directly in an img tag
+      picture = document.createElement("picture");
+      const img = document.createElement("img");
+      img.src = imgUrl;
+      img.alt = name || "Product image";
+      img.loading = "lazy";
+      picture.appendChild(img);
+    } else {
+      // For author or relative paths, use createOptimizedPicture
+      picture = createOptimizedPicture(imgUrl, name || "Product image", false, [
+        { media: "(min-width: 900px)", width: "600" },
+        { media: "(min-width: 600px)", width: "400" },
+        { width: "320" },
+      ]);
+    }
+  }
+
+  const imgWrap = document.createElement("div");
+  imgWrap.className = `${prefix}-card-media`;
+  if (picture) imgWrap.append(picture);
+
+  const meta = document.createElement("div");
+  meta.className = `${prefix}-card-meta`;
+  const categoryText = category && category.length ? category.join(", ") : "";
+  const cat = document.createElement("p");
+  cat.className = `${prefix}-card-category`;
+  // Format category: remove "luma:" or "Lumaproducts:", replace commas with slashes, uppercase
+  cat.textContent = categoryText
+    .replace(/^(luma:|lumaproducts:)/gi, "") // Remove luma/lumaproducts prefix (case-insensitive)
+    .replace(/\//g, " / ") // Replace commas with slashes
+    .toUpperCase(); // Convert to uppercase
+  const title = document.createElement("h3");
+  title.className = `${prefix}-card-title`;
+  title.textContent = name || "";
+  meta.append(cat, title);
+
+  if (price) {
+    const priceEl = document.createElement("p");
+    priceEl.className = `${prefix}-card-price`;
+    priceEl.textContent = formatPrice(price);
+    meta.append(priceEl);
+  }
+
+  // Stock badge (only for products with tracked stock)
+  const stockStatus = getStockStatus(getStockInfo(inventory, item));
+  if (stockStatus) {
+    const stockEl = document.createElement("p");
+    stockEl.className = `${prefix}-card-stock ${prefix}-card-stock-${stockStatus.status}`;
+    stockEl.textContent = stockStatus.label;
+    meta.append(stockEl);
+    card.classList.toggle(
+      `${prefix}-card-sold-out`,
+      stockStatus.status === STOCK_STATUS.OUT_OF_STOCK
+    );
+  }
+
+  // Compare checkbox (the compare page loads the product from the folder)
+  if (productId) {
+    meta.append(
+      createCompareCheckbox(
+        {
+          id: productId,
+          sku: productId,
+          name,
+          image: imgUrl || "",
+          price,
+          category: categoryText,
+          folder,
+        },
+        prefix
+      )
+    );
+  }
+
+  card.append(imgWrap, meta);
+  return card;
+}
+
+/**
+ * Create skeleton cards shown while a page is loading
+ * @param {number} count - Number of cards
+ * @param {string} prefix - Class prefix of the block (e.g. "cpl")
+ * @returns {Array<HTMLElement>} Skeleton cards
+ */
+export function createSkeletonCards(count, prefix) {
+  return Array.from({ length: count }, () => {
+    const card = document.createElement("article");
+    card.className = `${prefix}-card ${prefix}-card-skeleton`;
+    card.setAttribute("aria-hidden", "true");
+
+    const media = document.createElement("div");
+    media.className = `${prefix}-card-media ${prefix}-skeleton-block`;
+
+    const meta = document.createElement("div");
+    meta.className = `${prefix}-card-meta`;
+    ["short", "long", "short"].forEach((size) => {
+      const line = document.createElement("span");
+      line.className = `${prefix}-skeleton-line ${prefix}-skeleton-line-${size}`;
+      meta.append(line);
+    });
+
+    card.append(media, meta);
+    return card;
+  });
+}
+
+/**
+ * Create the pager of a listing: a "Load more" button, or an invisible
+ * trigger that loads the next page when it scrolls into view
+ * @param {Object} options - Options
+ * @param {string} options.mode - PAGINATION_MODES.LOAD_MORE or INFINITE
+ * @param {string} options.prefix - Class prefix of the block (e.g. "cpl")
+ * @param {Function} options.onLoadMore - Loads the next page; resolves to
+ *   true while more pages remain
+ * @returns {Object} { element, loadMore, observe(target, root) }
+ */
+export function createPager({ mode, prefix, onLoadMore }) {
+  const element = document.createElement("div");
+  element.className = `${prefix}-pager`;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `${prefix}-load-more`;
+  button.textContent = "Load more";
+  element.append(button);
+
+  let loading = false;
+  let done = false;
+  let observer = null;
+  let observed = null;
+
+  const loadMore = async () => {
+    if (loading || done) return;
+    loading = true;
+    button.disabled = true;
+    button.textContent = "Loading...";
+    element.setAttribute("aria-busy", "true");
+
+    const hasMore = await onLoadMore();
+
+    loading = false;
+    button.disabled = false;
+    button.textContent = "Load more";
+    element.removeAttribute("aria-busy");
+
+    if (!hasMore) {
+      done = true;
+      element.hidden = true;
+      if (observer) observer.disconnect();
+      return;
+    }
+
+    // Re-observing fires again if the trigger is still in view
+    // (e.g. the new page was filtered out and added no height)
+    if (observer && observed) {
+      observer.unobserve(observed);
+      observer.observe(observed);
+    }
+  };
+
+  button.addEventListener("click", loadMore);
+
+  /**
+   * Load the next page when a target becomes visible (infinite scroll)
+   * @param {HTMLElement} target - Element to watch (defaults to the pager)
+   * @param {HTMLElement} root - Scroll container (defaults to the viewport)
+   */
+  const observe = (target = element, root = null) => {
+    if (mode !== PAGINATION_MODES.INFINITE || done) return;
+    if (!("IntersectionObserver" in window)) return; // keep the button
+
+    element.classList.add(`${prefix}-pager-infinite`);
+    if (observer && observed) observer.unobserve(observed);
+    observer =
+      observer ||
+      new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) loadMore();
+        },
+        { root, rootMargin: "200px" }
+      );
+    observed = target;
+    observer.observe(target);
+  };
+
+  return { element, loadMore, observe };
+}
+
+/**
+ * Key identifying a lister on the current page
+ * The query string is left out: facets and sorting rewrite it after the
+ * key was taken (see category-products-lister/facets.js)
+ * @param {HTMLElement} block - Block element
+ * @returns {string} Listing key
+ */
+export function getListingKey(block) {
+  const blockName = block.dataset.blockName || block.classList[0];
+  const index = [...document.querySelectorAll(`.${blockName}`)].indexOf(block);
+  return `${window.location.pathname}#${blockName}-${index}`;
+}
+
+/**
+ * Remember how far a listing was loaded and scrolled before leaving it
+ * for a product page
+ * @param {string} key - Listing key (see getListingKey)
+ * @param {number} loadedCount - Number of products loaded
+ */
+export function saveListingPosition(key, loadedCount) {
+  try {
+    sessionStorage.setItem(
+      SCROLL_STORAGE_KEY,
+      JSON.stringify({
+        key,
+        loadedCount,
+        scrollY: window.scrollY,
+        timestamp: Date.now(),
+      })
+    );
+  } catch (e) {
+    /* ignore - position restore is best effort */
+  }
+}
+
+/**
+ * Get the saved position of a listing when returning to it with the
+ * browser's back/forward navigation (the saved position is consumed)
+ * @param {string} key - Listing key (see getListingKey)
+ * @returns {Object|null} { loadedCount, scrollY }
+ */
+export function takeListingPosition(key) {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY));
+    if (!saved || saved.key !== key) return null;
+    sessionStorage.removeItem(SCROLL_STORAGE_KEY);
+
+    const [navigation] = performance.getEntriesByType("navigation");
+    if (navigation?.type !== "back_forward") return null;
+    if (Date.now() - saved.timestamp > SCROLL_TTL) return null;
+
+    return { loadedCount: saved.loadedCount, scrollY: saved.scrollY };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Scroll back to a saved listing position once the products are rendered
+ * @param {Object} position - Saved position (see takeListingPosition)
+ */
+export function restoreListingPosition(position) {
+  if (!position) return;
+  // The browser's own restore runs before the products are loaded
+  if ("scrollRestoration" in window.history) {
+    window.history.scrollRestoration = "manual";
+  }
+  requestAnimationFrame(() => window.scrollTo(0, position.scrollY));
+}
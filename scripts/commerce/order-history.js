@@ -0,0 +1,222 @@
+// ==========================================
+// Order History
+// Placed orders, kept per shopper (by the order's email address) so they
+// outlive the reset of the commerce data after the confirmation page.
+// A guest's orders show up once they sign in with the same email.
+//
+//   luma_order_history: { [email]: [order, ...] }   (most recent first)
+//
+// An order is the payload sent to the order endpoint (see orders.js)
+// plus { orderNumber, status, placedAt }. Its payment is reduced to
+// { method, reference, brand, last4 } (see toDataLayerPayment): the
+// cardholder and expiry are not kept.
+//
+// Orders carry the shopper's contact details and addresses, so they are
+// only kept with the visitor's consent to preferences storage (consent.js
+// removes them when the consent is withdrawn).
+// ==========================================
+
+import { ORDER_STATUS } from "./orders.js";
+import { getSignedInUser } from "./addresses.js";
+import { loadInventory, getStockInfo } from "./inventory.js";
+import { getProductVariants, getVariantSelection } from "./variants.js";
+import { fetchProduct } from "../catalog.js";
+import { CONSENT_CATEGORIES, hasConsent } from "../consent.js";
+import { toDataLayerPayment } from "./payment.js";
+
+const ORDER_HISTORY_STORAGE_KEY = "luma_order_history";
+const ORDER_HISTORY_LIMIT = 50; // orders kept per shopper
+
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING]: "Pending",
+  [ORDER_STATUS.PLACED]: "Placed",
+  processing: "Processing",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+};
+
+/**
+ * Check whether orders are kept on this device
+ * @returns {boolean} True with the visitor's consent to preferences storage
+ */
+export function isOrderHistoryEnabled() {
+  return hasConsent(CONSENT_CATEGORIES.PREFERENCES);
+}
+
+/**
+ * Read all stored order histories
+ * @returns {Object} Orders by email
+ */
+function readHistories() {
+  if (!isOrderHistoryEnabled()) return {};
+  try {
+    return JSON.parse(localStorage.getItem(ORDER_HISTORY_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Get the stored form of an order
+ * @param {Object} order - Order (with the payment as authorized)
+ * @returns {Object} Order with the payment details that may be kept
+ */
+function toStoredOrder(order) {
+  return {
+    ...order,
+    payment: order.payment ? toDataLayerPayment(order.payment) : null,
+  };
+}
+
+/**
+ * Key of a shopper's order history
+ * @param {string} email - Email address
+ * @returns {string} Lower-case email
+ */
+function getHistoryKey(email) {
+  return `${email || ""}`.trim().toLowerCase();
+}
+
+/**
+ * Add a placed order to the history of its shopper
+ * Saving the same order number again replaces the stored order
+ * @param {Object} order - Order payload (see createOrderPayload)
+ * @param {string} orderNumber - Order number returned by the backend
+ * @returns {Object|null} Stored order, or null without a customer email
+ *   or without the consent to keep it
+ */
+export function saveOrderToHistory(order, orderNumber) {
+  const key = getHistoryKey(order?.customer?.email);
+  if (!key || !orderNumber || !isOrderHistoryEnabled()) return null;
+
+  const stored = {
+    ...toStoredOrder(order),
+    orderNumber,
+    status: ORDER_STATUS.PLACED,
+    placedAt: new Date().toISOString(),
+  };
+
+  try {
+    const histories = readHistories();
+    // Orders stored by older releases lose their cardholder and expiry too
+    const orders = (histories[key] || [])
+      .filter((entry) => entry.orderNumber !== orderNumber)
+      .map(toStoredOrder);
+    histories[key] = [stored, ...orders].slice(0, ORDER_HISTORY_LIMIT);
+    localStorage.setItem(ORDER_HISTORY_STORAGE_KEY, JSON.stringify(histories));
+  } catch (error) {
+    console.warn("⚠ Could not save order history:", error.message);
+  }
+  return stored;
+}
+
+/**
+ * Get the orders of the signed-in shopper
+ * @returns {Array<Object>} Orders, most recent first ([] when signed out)
+ */
+export function getOrderHistory() {
+  const user = getSignedInUser();
+  if (!user) return [];
+  return (readHistories()[getHistoryKey(user.email)] || []).map(toStoredOrder);
+}
+
+/**
+ * Get an order of the signed-in shopper
+ * @param {string} orderNumber - Order number
+ * @returns {Object|null} Order
+ */
+export function getOrder(orderNumber) {
+  return (
+    getOrderHistory().find((order) => order.orderNumber === orderNumber) || null
+  );
+}
+
+/**
+ * Get the display label of an order status
+ * @param {string} status - Order status
+ * @returns {string} Label
+ */
+export function getOrderStatusLabel(status) {
+  return ORDER_STATUS_LABELS[status] || status || "";
+}
+
+/**
+ * Get the cart line of an ordered item at the current catalog price
+ * and stock
+ * @param {Object} item - Ordered item
+ * @param {Map} inventory - Inventory sheet (see loadInventory)
+ * @returns {Promise<Object|null>} Product data for window.addToCart, or
+ *   null if the product is no longer sold or out of stock
+ */
+async function getReorderLine(item, inventory) {
+  const productId = item.productId || item.id;
+  // Items ordered before the catalog folder was kept cannot be looked up
+  if (!item.folder) return null;
+
+  let product = null;
+  try {
+    product = await fetchProduct(item.folder, productId);
+  } catch (error) {
+    console.warn(`⚠ Could not load ${productId} to reorder:`, error);
+  }
+  if (!product) return null;
+
+  const selection = getVariantSelection(item);
+  const variants = getProductVariants(product);
+  const variant =
+    variants.find((entry) =>
+      Object.entries(selection).every(
+        ([name, value]) => entry.options[name] === value
+      )
+    ) || null;
+  if (variants.length > 0 && !variant) return null;
+
+  const stockInfo = variant
+    ? getStockInfo(inventory, variant, product)
+    : getStockInfo(inventory, product);
+  if (stockInfo && stockInfo.stock <= 0) return null;
+
+  return {
+    id: productId,
+    productId,
+    sku: variant?.sku || product.sku || item.sku,
+    name: product.name || item.name,
+    image: item.image,
+    thumbnail: item.image,
+    category: item.category,
+    price: variant?.price || product.price || 0,
+    quantity: item.quantity || 1,
+    folder: item.folder,
+    ...(stockInfo && { stock: stockInfo.stock }),
+    ...selection,
+  };
+}
+
+/**
+ * Add the items of a past order to the cart again
+ * Each product is loaded from the catalog first, so it is added at its
+ * current price and within the current stock; products that are no
+ * longer sold or are sold out are left out. Items go through
+ * window.addToCart, so the cart events apply as for any other add to cart.
+ * @param {Object} order - Stored order
+ * @returns {Promise<Object>} { added, unavailable } numbers of items
+ */
+export async function reorder(order) {
+  const items = order?.items || [];
+  if (!window.addToCart) {
+    console.error("✗ addToCart not available");
+    return { added: 0, unavailable: items.length };
+  }
+
+  const inventory = await loadInventory();
+  const lines = await Promise.all(
+    items.map((item) => getReorderLine(item, inventory))
+  );
+  const available = lines.filter(Boolean);
+  available.forEach((line) => window.addToCart(line));
+  return {
+    added: available.length,
+    unavailable: items.length - available.length,
+  };
+}
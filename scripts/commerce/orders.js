@@ -0,0 +1,330 @@
+// ==========================================
+// Order Service
+// Submits confirmed orders to the order endpoint. The order number shown
+// to the shopper is the one returned by the backend.
+//
+// Endpoint: page metadata "order-endpoint" or placeholder "order-endpoint".
+// The built-in mock endpoint ("mock", the default) is only used on
+// localhost and preview hosts; add ?mock-order=fail to the URL to simulate
+// a failing backend. On production hosts an order without a configured
+// endpoint fails instead of being "placed" in the browser.
+//
+// Every submission carries an Idempotency-Key header. The key is kept for
+// as long as the order (cart, checkout data and payment) is unchanged, so
+// retries and double clicks can never place the same order twice.
+// ==========================================
+
+import { getMetadata, fetchPlaceholders } from "../aem.js";
+import { BASE_CURRENCY } from "./currency.js";
+import { getVariantSelection } from "./variants.js";
+import { isDataLayerDevMode } from "../datalayer-schema.js";
+
+export const ORDER_STATUS = {
+  PENDING: "pending",
+  PLACED: "placed",
+  FAILED: "failed",
+};
+
+/**
+ * Order events dispatched on document
+ * event.detail contains the `order` payload (and `orderNumber` / `error`)
+ */
+export const ORDER_EVENTS = {
+  SUBMITTED: "order:submitted",
+  PLACED: "order:placed",
+  FAILED: "order:failed",
+};
+
+const MOCK_ENDPOINT = "mock";
+const SUBMISSION_STORAGE_KEY = "luma_order_submission";
+const MOCK_ORDERS_STORAGE_KEY = "luma_mock_orders";
+const MOCK_ORDERS_LIMIT = 20;
+const MOCK_DELAY = 800; // ms
+
+// Submission in flight (a second click joins it instead of posting again)
+let pendingSubmission = null;
+
+/**
+ * Dispatch an order event
+ * @param {string} type - Event type (ORDER_EVENTS)
+ * @param {Object} detail - Event detail
+ */
+function emit(type, detail) {
+  document.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * Resolve the order endpoint
+ * @returns {Promise<string>} Endpoint URL, or "mock" (dev hosts only)
+ * @throws {Error} On production hosts without a configured endpoint
+ */
+async function getOrderEndpoint() {
+  let endpoint = getMetadata("order-endpoint");
+  if (!endpoint) {
+    try {
+      const placeholders = await fetchPlaceholders();
+      endpoint = placeholders?.orderEndpoint || "";
+    } catch (error) {
+      endpoint = "";
+    }
+  }
+
+  if (endpoint && endpoint !== MOCK_ENDPOINT) return endpoint;
+  if (isDataLayerDevMode()) return MOCK_ENDPOINT;
+
+  console.error("✗ No order endpoint is configured for this site");
+  throw new Error("Orders cannot be placed right now.");
+}
+
+/**
+ * Build the order payload sent to the backend
+ * @param {Object} cart - Cart data (dataLayer.cart)
+ * @param {Object} checkoutData - Checkout form data (customer and address)
+ * @param {Object} payment - Masked payment details (see payment.js)
+ * @returns {Object} Order payload
+ */
+export function createOrderPayload(cart, checkoutData, payment = null) {
+  const products = Object.values(cart?.products || {});
+  return {
+    items: products.map((product) => ({
+      id: product.id,
+      productId: product.productId || product.id,
+      sku: product.sku || product.id,
+      name: product.name,
+      image: product.thumbnail || product.image || "",
+      price: product.price,
+      quantity: product.quantity || 1,
+      category: product.category || "",
+      ...(product.folder && { folder: product.folder }),
+      ...getVariantSelection(product),
+    })),
+    productCount: cart?.productCount || 0,
+    subTotal: cart?.subTotal || 0,
+    discountAmount: cart?.discount?.amount || 0,
+    discountCode: cart?.discount?.code || "",
+    taxAmount: cart?.tax?.amount || 0,
+    taxInclusive: !!cart?.tax?.inclusive,
+    total: cart?.total || 0,
+    currency: BASE_CURRENCY, // cart amounts are kept in the base currency
+    shipping: {
+      shippingAmount: cart?.shipping?.amount || 0,
+      shippingMethod: cart?.shipping?.method || "",
+      shippingLabel: cart?.shipping?.label || "",
+      country: cart?.shipping?.country || "",
+    },
+    customer: checkoutData || {},
+    payment,
+  };
+}
+
+/**
+ * Fingerprint an order, so an unchanged order reuses its idempotency key
+ * The whole payload counts: an order sent again with another address or
+ * payment is a different request and must not reuse the key
+ * @param {Object} order - Order payload
+ * @returns {string} Hash of the order contents
+ */
+function fingerprintOrder(order) {
+  const text = JSON.stringify(order);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Generate a new idempotency key
+ * @returns {string} Unique key
+ */
+function generateIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const random = Math.random().toString(36).substring(2, 10);
+  return `${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Read the stored submission state
+ * @returns {Object|null} { key, fingerprint, status, orderNumber }
+ */
+function readSubmission() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SUBMISSION_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store the submission state
+ * @param {Object} submission - Submission state
+ */
+function writeSubmission(submission) {
+  try {
+    sessionStorage.setItem(SUBMISSION_STORAGE_KEY, JSON.stringify(submission));
+  } catch (error) {
+    console.warn("⚠ Could not store order submission:", error.message);
+  }
+}
+
+/**
+ * Forget the last submission (after the confirmation page is shown),
+ * so the next order gets a new idempotency key
+ */
+export function clearOrderSubmission() {
+  try {
+    sessionStorage.removeItem(SUBMISSION_STORAGE_KEY);
+  } catch (error) {
+    /* ignore */
+  }
+}
+
+/**
+ * Mock order endpoint for local runs
+ * Behaves like a real backend: the same idempotency key always returns
+ * the same order number
+ * @param {Object} order - Order payload
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object>} { orderNumber }
+ */
+async function submitToMockEndpoint(order, key) {
+  await new Promise((resolve) => {
+    setTimeout(resolve, MOCK_DELAY);
+  });
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("mock-order") === "fail") {
+    throw new Error("The order service is not available right now.");
+  }
+  if (order.items.length === 0) {
+    throw new Error("The order does not contain any items.");
+  }
+
+  let orders = {};
+  try {
+    orders = JSON.parse(localStorage.getItem(MOCK_ORDERS_STORAGE_KEY)) || {};
+  } catch (error) {
+    /* start over */
+  }
+
+  if (!orders[key]) {
+    const random = Math.random().toString(36).substring(2, 5);
+    orders[key] = {
+      orderNumber: `LUMA-${Date.now().toString(36)}${random}`.toUpperCase(),
+    };
+
+    // Only the most recent keys need to be remembered
+    const keys = Object.keys(orders);
+    keys.slice(0, Math.max(keys.length - MOCK_ORDERS_LIMIT, 0)).forEach((k) => {
+      delete orders[k];
+    });
+
+    try {
+      localStorage.setItem(MOCK_ORDERS_STORAGE_KEY, JSON.stringify(orders));
+    } catch (error) {
+      /* ignore - the order number is still returned */
+    }
+  }
+  return orders[key];
+}
+
+/**
+ * POST an order to the configured endpoint
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} order - Order payload
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object>} { orderNumber }
+ */
+async function submitToEndpoint(endpoint, order, key) {
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": key,
+    },
+    body: JSON.stringify(order),
+  });
+
+  let json = null;
+  try {
+    json = await response.json();
+  } catch (error) {
+    /* empty or non-JSON response */
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      json?.message ||
+        (response.status === 409
+          ? "This order is already being processed."
+          : `The order could not be placed (HTTP ${response.status}).`)
+    );
+  }
+
+  const orderNumber =
+    json?.orderNumber ||
+    json?.order?.number ||
+    json?.purchaseOrderNumber ||
+    json?.id;
+  if (!orderNumber) {
+    throw new Error("The order service did not return an order number.");
+  }
+  return { orderNumber: `${orderNumber}` };
+}
+
+/**
+ * Submit an order
+ * Resolves with the backend's order number; rejects with a message that
+ * can be shown to the shopper. Resubmitting an unchanged order reuses its
+ * idempotency key (and returns the existing order once it was placed).
+ * @param {Object} order - Order payload (see createOrderPayload)
+ * @returns {Promise<Object>} { orderNumber }
+ */
+export function submitOrder(order) {
+  if (pendingSubmission) return pendingSubmission;
+
+  const fingerprint = fingerprintOrder(order);
+  const previous = readSubmission();
+  if (
+    previous?.fingerprint === fingerprint &&
+    previous.status === ORDER_STATUS.PLACED
+  ) {
+    return Promise.resolve({ orderNumber: previous.orderNumber });
+  }
+
+  const key =
+    previous?.fingerprint === fingerprint
+      ? previous.key
+      : generateIdempotencyKey();
+  writeSubmission({ key, fingerprint, status: ORDER_STATUS.PENDING });
+  emit(ORDER_EVENTS.SUBMITTED, { order });
+
+  pendingSubmission = (async () => {
+    try {
+      const endpoint = await getOrderEndpoint();
+      const result =
+        endpoint === MOCK_ENDPOINT
+          ? await submitToMockEndpoint(order, key)
+          : await submitToEndpoint(endpoint, order, key);
+
+      writeSubmission({
+        key,
+        fingerprint,
+        status: ORDER_STATUS.PLACED,
+        orderNumber: result.orderNumber,
+      });
+      emit(ORDER_EVENTS.PLACED, { order, orderNumber: result.orderNumber });
+      return result;
+    } catch (error) {
+      writeSubmission({ key, fingerprint, status: ORDER_STATUS.FAILED });
+      console.error("✗ Order submission failed:", error);
+      emit(ORDER_EVENTS.FAILED, { order, error: error.message });
+      throw error;
+    } finally {
+      pendingSubmission = null;
+    }
+  })();
+
+  return pendingSubmission;
+}
@@ -0,0 +1,411 @@
+// ==========================================
+// Payment
+// Payment providers for the checkout's payment step. A provider describes
+// its form fields, validates them and authorizes the payment:
+//
+//   {
+//     id, label, description,
+//     fields: [{ name, label, type, autocomplete, inputmode, maxlength,
+//                placeholder, options: [{ value, label }], full }],
+//     isAvailable(): boolean                       (optional)
+//     validate(values): { fieldName: message }
+//     authorize(values, { amount, challenge }): Promise<payment>
+//   }
+//
+// authorize() resolves with the masked payment details carried into the
+// order (card numbers never leave the checkout form) and rejects with a
+// message that can be shown to the shopper. `challenge({ title, message })`
+// asks the shopper to confirm a 3-D Secure style challenge and resolves to
+// true/false.
+//
+// Built-in providers: card, pay on delivery, and a test provider that
+// simulates approve / decline / 3DS challenge. The card provider is a stub
+// that calls no gateway: it validates and masks the card, and its payment
+// stays "pending" until a real provider replaces it. The test provider is
+// never offered on production hosts: it is enabled on localhost, and on
+// preview hosts with ?payment-test in the URL or page metadata
+// "payment-test-provider: true".
+// ==========================================
+
+import { getMetadata } from "../aem.js";
+import { isDataLayerDevMode } from "../datalayer-schema.js";
+
+const PAYMENT_STORAGE_KEY = "luma_checkout_payment";
+const AUTHORIZE_DELAY = 600; // ms, simulated gateway round trip
+
+const providers = new Map();
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Create a payment reference for a simulated authorization
+ * @returns {string} Reference
+ */
+function createReference() {
+  const random = Math.random().toString(36).substring(2, 8);
+  return `pay_${Date.now().toString(36)}${random}`;
+}
+
+/**
+ * Register a payment provider (replaces a provider with the same id)
+ * Providers are offered in registration order
+ * @param {Object} provider - Payment provider
+ */
+export function registerPaymentProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get the payment providers available on this page
+ * @returns {Array<Object>} Providers
+ */
+export function getPaymentProviders() {
+  return [...providers.values()].filter(
+    (provider) => !provider.isAvailable || provider.isAvailable()
+  );
+}
+
+/**
+ * Get a payment provider
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider
+ */
+export function getPaymentProvider(id) {
+  return providers.get(id) || null;
+}
+
+// ==========================================
+// Card validation
+// ==========================================
+
+/**
+ * Strip spaces and dashes from a card number
+ * @param {string} number - Card number as entered
+ * @returns {string} Digits
+ */
+function normalizeCardNumber(number) {
+  return `${number || ""}`.replace(/[\s-]/g, "");
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} number - Card number (spaces and dashes allowed)
+ * @returns {boolean} True if the number is valid
+ */
+export function isValidCardNumber(number) {
+  const digits = normalizeCardNumber(number);
+  if (!/^\d{12,19}$/.test(digits)) return false;
+
+  let sum = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    let value = parseInt(digit, 10);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse a card expiry date
+ * @param {string} value - MM/YY or MM/YYYY
+ * @returns {Object|null} { month, year }, or null if malformed
+ */
+function parseExpiry(value) {
+  const match = `${value || ""}`
+    .trim()
+    .match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+  if (!match) return null;
+
+  const month = parseInt(match[1], 10);
+  let year = parseInt(match[2], 10);
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12) return null;
+  return { month, year };
+}
+
+/**
+ * Check that a card expiry date is well-formed and not in the past
+ * (a card is valid until the end of its expiry month)
+ * @param {string} value - MM/YY or MM/YYYY
+ * @param {Date} now - Current date
+ * @returns {boolean} True if the card has not expired
+ */
+export function isValidExpiry(value, now = new Date()) {
+  const expiry = parseExpiry(value);
+  if (!expiry) return false;
+  const endOfMonth = new Date(expiry.year, expiry.month, 1);
+  return endOfMonth > now;
+}
+
+/**
+ * Detect the card brand from its number
+ * @param {string} number - Card number
+ * @returns {string} Brand name, or "Card" if unknown
+ */
+export function getCardBrand(number) {
+  const digits = normalizeCardNumber(number);
+  if (/^4/.test(digits)) return "Visa";
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return "Mastercard";
+  if (/^3[47]/.test(digits)) return "American Express";
+  if (/^6(011|5)/.test(digits)) return "Discover";
+  return "Card";
+}
+
+// ==========================================
+// Built-in providers
+// ==========================================
+
+const CARD_FIELDS = [
+  {
+    name: "cardHolder",
+    label: "Name on card",
+    type: "text",
+    autocomplete: "cc-name",
+    full: true,
+  },
+  {
+    name: "cardNumber",
+    label: "Card number",
+    type: "text",
+    autocomplete: "cc-number",
+    inputmode: "numeric",
+    maxlength: 23,
+    placeholder: "1234 5678 9012 3456",
+    full: true,
+  },
+  {
+    name: "cardExpiry",
+    label: "Expiry date",
+    type: "text",
+    autocomplete: "cc-exp",
+    inputmode: "numeric",
+    maxlength: 7,
+    placeholder: "MM/YY",
+  },
+  {
+    name: "cardCvc",
+    label: "Security code",
+    type: "password",
+    autocomplete: "cc-csc",
+    inputmode: "numeric",
+    maxlength: 4,
+    placeholder: "CVC",
+  },
+];
+
+/**
+ * Validate the card fields
+ * @param {Object} values - Field values
+ * @returns {Object} Errors by field name
+ */
+function validateCard(values) {
+  const errors = {};
+  if (!values.cardHolder?.trim()) {
+    errors.cardHolder = "Name on card is required";
+  }
+  if (!values.cardNumber?.trim()) {
+    errors.cardNumber = "Card number is required";
+  } else if (!isValidCardNumber(values.cardNumber)) {
+    errors.cardNumber = "Please enter a valid card number";
+  }
+  if (!values.cardExpiry?.trim()) {
+    errors.cardExpiry = "Expiry date is required";
+  } else if (!parseExpiry(values.cardExpiry)) {
+    errors.cardExpiry = "Please use the format MM/YY";
+  } else if (!isValidExpiry(values.cardExpiry)) {
+    errors.cardExpiry = "This card has expired";
+  }
+  if (!/^\d{3,4}$/.test(values.cardCvc?.trim() || "")) {
+    errors.cardCvc = "Please enter the 3 or 4 digit security code";
+  }
+  return errors;
+}
+
+/**
+ * Mask the card details for the order
+ * @param {Object} values - Field values
+ * @returns {Object} { brand, last4, expiry, holder }
+ */
+function maskCard(values) {
+  const digits = normalizeCardNumber(values.cardNumber);
+  const { month, year } = parseExpiry(values.cardExpiry);
+  return {
+    brand: getCardBrand(digits),
+    last4: digits.slice(-4),
+    expiry: `${String(month).padStart(2, "0")}/${String(year).slice(-2)}`,
+    holder: values.cardHolder.trim(),
+  };
+}
+
+registerPaymentProvider({
+  id: "card",
+  label: "Credit or debit card",
+  description: "Visa, Mastercard, American Express, Discover",
+  fields: CARD_FIELDS,
+  validate: validateCard,
+  // Stub: no gateway is called, so the payment is not authorized
+  async authorize(values) {
+    await wait(AUTHORIZE_DELAY);
+    return {
+      method: "card",
+      label: "Credit or debit card",
+      status: "pending",
+      ...maskCard(values),
+    };
+  },
+});
+
+registerPaymentProvider({
+  id: "cod",
+  label: "Pay on delivery",
+  description: "Pay in cash or by card when your order arrives",
+  fields: [],
+  validate: () => ({}),
+  async authorize() {
+    return {
+      method: "cod",
+      label: "Pay on delivery",
+      status: "pending",
+    };
+  },
+});
+
+registerPaymentProvider({
+  id: "test",
+  label: "Test payment",
+  description: "Simulates a payment gateway (for testing only)",
+  fields: [
+    {
+      name: "testOutcome",
+      label: "Outcome",
+      type: "select",
+      options: [
+        { value: "approve", label: "Approve" },
+        { value: "decline", label: "Decline" },
+        { value: "challenge", label: "3-D Secure challenge" },
+      ],
+      full: true,
+    },
+  ],
+  isAvailable() {
+    // Never on production hosts: its approved payments are not real
+    if (!isDataLayerDevMode()) return false;
+    return (
+      window.location.hostname === "localhost" ||
+      new URLSearchParams(window.location.search).has("payment-test") ||
+      getMetadata("payment-test-provider") === "true"
+    );
+  },
+  validate: () => ({}),
+  async authorize(values, { challenge }) {
+    await wait(AUTHORIZE_DELAY);
+    const outcome = values.testOutcome || "approve";
+
+    if (outcome === "decline") {
+      throw new Error("Your payment was declined by the card issuer.");
+    }
+
+    if (outcome === "challenge") {
+      const passed = await challenge({
+        title: "Verify your payment",
+        message:
+          "Your bank needs to confirm this payment. This is a simulated 3-D Secure check.",
+      });
+      if (!passed) {
+        throw new Error("The payment could not be verified.");
+      }
+    }
+
+    return {
+      method: "test",
+      label: "Test payment",
+      status: "authorized",
+      reference: createReference(),
+      challenged: outcome === "challenge",
+    };
+  },
+});
+
+// ==========================================
+// Selected payment
+// ==========================================
+
+/**
+ * Format the masked payment details for display
+ * @param {Object} payment - Masked payment (see authorize), or the
+ *   payment of a stored order (no expiry, see toDataLayerPayment)
+ * @returns {string} e.g. "Visa •••• 4242, expires 12/27"
+ */
+export function formatPaymentDetails(payment) {
+  if (!payment) return "";
+  if (payment.last4) {
+    const card = `${payment.brand} •••• ${payment.last4}`;
+    return payment.expiry ? `${card}, expires ${payment.expiry}` : card;
+  }
+  return payment.label || getPaymentProvider(payment.method)?.label || "";
+}
+
+/**
+ * Get the payment details shared with the dataLayer
+ * The dataLayer is persisted and read by tags: the cardholder and expiry
+ * stay in the sessionStorage record (see savePayment)
+ * @param {Object} payment - Masked payment (see authorize)
+ * @returns {Object} { method, reference, brand, last4 } - all set, so a
+ *   merge replaces the details of a previous payment
+ */
+export function toDataLayerPayment(payment) {
+  return {
+    method: payment?.method || "",
+    reference: payment?.reference || "",
+    brand: payment?.brand || "",
+    last4: payment?.last4 || "",
+  };
+}
+
+/**
+ * Store the authorized payment for the order summary
+ * Kept in sessionStorage only: payment details do not outlive the session
+ * @param {Object} payment - Masked payment
+ */
+export function savePayment(payment) {
+  try {
+    sessionStorage.setItem(PAYMENT_STORAGE_KEY, JSON.stringify(payment));
+  } catch (error) {
+    console.warn("⚠ Could not store payment:", error.message);
+  }
+}
+
+/**
+ * Get the authorized payment of the current checkout
+ * @returns {Object|null} Masked payment
+ */
+export function loadPayment() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PAYMENT_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Forget the payment of the current checkout (after the order is placed)
+ */
+export function clearPayment() {
+  try {
+    sessionStorage.removeItem(PAYMENT_STORAGE_KEY);
+  } catch (error) {
+    /* ignore */
+  }
+}
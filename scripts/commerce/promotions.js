@@ -0,0 +1,250 @@
+// ==========================================
+// Promotion Engine
+// Loads authored promotion rules (/promotions.json) and calculates
+// the discount a promotion code grants on the current cart
+// ==========================================
+
+import { fetchSheet, getSheetRows } from "./sheets.js";
+import { roundAmount, formatPrice } from "./currency.js";
+import { normalizeCategory, isProductInCategory } from "./categories.js";
+
+const PROMOTIONS_URL = "/promotions.json";
+const PROMOTIONS_STORAGE_KEY = "luma_promotionsSheet";
+const DAY = 24 * 60 * 60 * 1000; // ms
+
+export const PROMOTION_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+  BUY_X_GET_Y: "buy-x-get-y",
+};
+
+// Rules of the last loaded sheet. The cart keeps a copy of the applied
+// promotion (code, type, description, amount), but it is re-priced with
+// the rules as currently authored, looked up by code.
+let loadedPromotions = null;
+
+/**
+ * Normalize a spreadsheet row into a promotion rule
+ * @param {Object} row - Row from promotions.json
+ * @returns {Object|null} Promotion rule or null if row is unusable
+ */
+function normalizeRule(row) {
+  if (!row || !row.code || !row.type) return null;
+
+  const type = `${row.type}`.trim().toLowerCase();
+  if (!Object.values(PROMOTION_TYPES).includes(type)) {
+    console.warn(`⚠ Unknown promotion type "${row.type}" for ${row.code}`);
+    return null;
+  }
+
+  return {
+    code: `${row.code}`.trim().toUpperCase(),
+    type,
+    value: parseFloat(row.value) || 0,
+    buyQuantity: parseInt(row.buyQuantity, 10) || 0,
+    getQuantity: parseInt(row.getQuantity, 10) || 0,
+    category: row.category ? normalizeCategory(row.category) : "",
+    minSpend: parseFloat(row.minSpend) || 0,
+    expires: row.expires || "",
+    description: row.description || "",
+  };
+}
+
+/**
+ * Load promotion rules from the authored promotions sheet
+ * @returns {Promise<Array>} Promotion rules
+ */
+export async function loadPromotions() {
+  const json = await fetchSheet(PROMOTIONS_URL, {
+    storageKey: PROMOTIONS_STORAGE_KEY,
+  });
+  loadedPromotions = getSheetRows(json).map(normalizeRule).filter(Boolean);
+  return loadedPromotions;
+}
+
+/**
+ * Find a promotion rule by code (case-insensitive)
+ * @param {Array} rules - Promotion rules
+ * @param {string} code - Promotion code
+ * @returns {Object|null} Promotion rule
+ */
+function findRule(rules, code) {
+  if (!code) return null;
+  const normalizedCode = `${code}`.trim().toUpperCase();
+  return rules.find((rule) => rule.code === normalizedCode) || null;
+}
+
+/**
+ * Find a promotion rule by code (case-insensitive)
+ * @param {string} code - Promotion code entered by the user
+ * @returns {Promise<Object|null>} Promotion rule
+ */
+export async function findPromotion(code) {
+  if (!code) return null;
+  return findRule(await loadPromotions(), code);
+}
+
+/**
+ * Get cart products the promotion applies to
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @returns {Array} Eligible products
+ */
+function getEligibleProducts(rule, cart) {
+  return Object.values(cart?.products || {}).filter((product) =>
+    isProductInCategory(product, rule.category)
+  );
+}
+
+/**
+ * Parse the expiry of a promotion as a local date
+ * Date-only values (YYYY-MM-DD, or a spreadsheet date serial: days since
+ * 1899-12-30) are valid through the end of that day.
+ * @param {string|number} expires - Authored expiry
+ * @returns {number} Timestamp, or NaN if it cannot be parsed
+ */
+function parseExpiry(expires) {
+  const value = `${expires}`.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T23:59:59.999`).getTime();
+  }
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const serial = parseFloat(value);
+    const days = Math.floor(serial);
+    // A fraction is the time of day; a whole day ends at midnight
+    const time = serial > days ? (serial - days) * DAY : DAY - 1;
+    return new Date(1899, 11, 30 + days).getTime() + time;
+  }
+  return new Date(value).getTime();
+}
+
+/**
+ * Check whether a promotion can be applied to a cart
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} { valid, message }
+ */
+export function validatePromotion(rule, cart, now = Date.now()) {
+  if (!rule) {
+    return { valid: false, message: "This code is not valid" };
+  }
+
+  if (rule.expires) {
+    const expiry = parseExpiry(rule.expires);
+    if (!Number.isNaN(expiry) && expiry < now) {
+      return { valid: false, message: "This code has expired" };
+    }
+  }
+
+  if (rule.minSpend && (cart?.subTotal || 0) < rule.minSpend) {
+    return {
+      valid: false,
+      message: `Spend at least ${formatPrice(rule.minSpend)} to use this code`,
+    };
+  }
+
+  if (getEligibleProducts(rule, cart).length === 0) {
+    return {
+      valid: false,
+      message: "No items in your cart qualify for this code",
+    };
+  }
+
+  return { valid: true, message: rule.description || "Code applied" };
+}
+
+/**
+ * Calculate the discount amount for a promotion on a cart
+ * @param {Object} rule - Promotion rule
+ * @param {Object} cart - Cart data
+ * @returns {number} Discount amount (never more than the eligible subtotal)
+ */
+export function calculateDiscount(rule, cart) {
+  const eligible = getEligibleProducts(rule, cart);
+  const eligibleSubTotal = eligible.reduce(
+    (sum, p) => sum + p.price * p.quantity,
+    0
+  );
+
+  let discount = 0;
+  switch (rule.type) {
+    case PROMOTION_TYPES.PERCENTAGE:
+      discount = (eligibleSubTotal * rule.value) / 100;
+      break;
+
+    case PROMOTION_TYPES.FIXED:
+      discount = rule.value;
+      break;
+
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      // For every (buy + get) units, the cheapest "get" units are free
+      const groupSize = rule.buyQuantity + rule.getQuantity;
+      if (!rule.buyQuantity || !rule.getQuantity) break;
+
+      const unitPrices = eligible
+        .flatMap((p) => Array(p.quantity).fill(p.price))
+        .sort((a, b) => a - b);
+      const freeUnits =
+        Math.floor(unitPrices.length / groupSize) * rule.getQuantity;
+      discount = unitPrices
+        .slice(0, freeUnits)
+        .reduce((sum, price) => sum + price, 0);
+      break;
+    }
+
+    default:
+      discount = 0;
+  }
+
+  return roundAmount(Math.min(Math.max(discount, 0), eligibleSubTotal));
+}
+
+/**
+ * Recalculate the discount of a cart
+ * Re-validates the applied promotion against the loaded sheet so quantity
+ * changes, removals, expiry and edited or deleted sheet rows are
+ * reflected; drops the promotion when it no longer applies. Until the
+ * sheet is loaded the last calculated discount is kept (see
+ * refreshCartPricing in cart.js).
+ * @param {Object} cart - Cart data (mutated)
+ * @returns {Object} The cart with updated discount
+ */
+export function applyPromotionToCart(cart) {
+  if (!cart?.discount || !loadedPromotions) return cart;
+
+  const rule = findRule(loadedPromotions, cart.discount.code);
+  if (rule && validatePromotion(rule, cart).valid) {
+    cart.discount = {
+      code: rule.code,
+      type: rule.type,
+      description: rule.description,
+      amount: calculateDiscount(rule, cart),
+    };
+  } else {
+    delete cart.discount;
+  }
+
+  return cart;
+}
+
+/**
+ * Attach a promotion to a cart and calculate the discount
+ * @param {Object} cart - Cart data (mutated)
+ * @param {Object} rule - Promotion rule
+ * @returns {Object} { valid, message, cart }
+ */
+export function attachPromotion(cart, rule) {
+  const validation = validatePromotion(rule, cart);
+  if (!validation.valid) {
+    return { ...validation, cart };
+  }
+
+  cart.discount = {
+    code: rule.code,
+    type: rule.type,
+    description: rule.description,
+    amount: calculateDiscount(rule, cart),
+  };
+  return { ...validation, cart };
+}
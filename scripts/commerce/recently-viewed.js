@@ -0,0 +1,115 @@
+// ==========================================
+// Recently Viewed Products
+// The products a shopper opened on the product page, most recent first.
+// The product page records every visit; the recently-viewed block shows
+// them with the lister cards.
+//
+//   luma_recently_viewed: [{ id, sku, name, price, category, image,
+//                            folder, productPage, viewedAt }]
+//
+// Entries keep the card fields of the product fragment (see
+// buildProductCard in listing.js) and the path of the product page the
+// product was viewed on, so its card links back to it. A product viewed
+// again moves to the front; the list keeps MAX_RECENTLY_VIEWED products
+// and forgets visits older than RECENTLY_VIEWED_TTL.
+//
+// The list is a browsing history, so it is only kept with the visitor's
+// consent to preferences storage (consent.js removes it when the consent
+// is withdrawn).
+// ==========================================
+
+import { CONSENT_CATEGORIES, hasConsent } from "../consent.js";
+
+const RECENTLY_VIEWED_STORAGE_KEY = "luma_recently_viewed";
+const RECENTLY_VIEWED_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+
+export const MAX_RECENTLY_VIEWED = 12;
+
+/**
+ * Check whether recently viewed products are kept on this device
+ * @returns {boolean} True with the visitor's consent to preferences storage
+ */
+export function isRecentlyViewedEnabled() {
+  return hasConsent(CONSENT_CATEGORIES.PREFERENCES);
+}
+
+/**
+ * Check whether a visit is still remembered
+ * @param {Object} entry - Stored product
+ * @returns {boolean} True within the TTL
+ */
+function isFresh(entry) {
+  const viewedAt = new Date(entry?.viewedAt).getTime();
+  return (
+    Number.isFinite(viewedAt) && Date.now() - viewedAt <= RECENTLY_VIEWED_TTL
+  );
+}
+
+/**
+ * Store the recently viewed products
+ * @param {Array<Object>} products - Products, most recent first
+ */
+function writeRecentlyViewed(products) {
+  try {
+    localStorage.setItem(RECENTLY_VIEWED_STORAGE_KEY, JSON.stringify(products));
+  } catch (error) {
+    console.warn("⚠ Could not save recently viewed products:", error.message);
+  }
+}
+
+/**
+ * Get the recently viewed products
+ * @returns {Array<Object>} Products, most recent first ([] without the
+ *   consent to keep them)
+ */
+export function getRecentlyViewed() {
+  if (!isRecentlyViewedEnabled()) return [];
+  try {
+    const products = JSON.parse(
+      localStorage.getItem(RECENTLY_VIEWED_STORAGE_KEY)
+    );
+    return Array.isArray(products) ? products.filter(isFresh) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Record a visit of a product page (not stored without the consent)
+ * @param {Object} product - Product content fragment
+ * @param {string} folder - Catalog folder of the product
+ * @returns {Array<Object>} The updated products
+ */
+export function addRecentlyViewed(product, folder = "") {
+  const sku = product?.sku || product?.id;
+  if (!sku || !isRecentlyViewedEnabled()) return getRecentlyViewed();
+
+  const entry = {
+    id: product.id || sku,
+    sku,
+    name: product.name || "",
+    price: product.price || 0,
+    category: product.category || [],
+    image: {
+      _authorUrl: product.image?._authorUrl || "",
+      _publishUrl: product.image?._publishUrl || "",
+    },
+    folder,
+    productPage: window.location.pathname,
+    viewedAt: new Date().toISOString(),
+  };
+
+  const products = [
+    entry,
+    ...getRecentlyViewed().filter((item) => item.sku !== sku),
+  ].slice(0, MAX_RECENTLY_VIEWED);
+  writeRecentlyViewed(products);
+  return products;
+}
+
+/**
+ * Forget all recently viewed products
+ */
+export function clearRecentlyViewed() {
+  writeRecentlyViewed([]);
+}
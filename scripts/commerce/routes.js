@@ -0,0 +1,101 @@
+// ==========================================
+// Commerce Routes
+// URLs of the commerce pages in the language of the current page, for
+// both URL styles of the site:
+//
+//   EDS:        /{lang}/{page}
+//   AEM author: /content/{site}/language-masters/{lang}/{page}.html
+//
+// The language root comes from getLanguageRootPath() in utils.js, shared
+// with computeLocalizedUrl().
+// Blocks link and navigate through getCommerceUrl() / navigateTo()
+// instead of deriving paths from the current URL.
+// ==========================================
+
+import { getLanguage, getLanguageRootPath, getPathDetails } from "../utils.js";
+
+export const COMMERCE_PAGES = {
+  CART: "cart",
+  CHECKOUT: "checkout",
+  ORDER_SUMMARY: "order-summary",
+  ORDER_CONFIRMATION: "order-confirmation",
+  ORDER_HISTORY: "order-history",
+  WISHLIST: "wishlist",
+  COMPARE: "compare",
+  PRODUCT: "product",
+  SIGN_IN: "sign-in",
+  REGISTRATION: "registration",
+};
+
+/**
+ * Get the path of the language root of the current site
+ * @param {string} lang - Language code
+ * @returns {Object} { root, extension } e.g. { root: "/fr", extension: "" }
+ *   or { root: "/content/site/language-masters/fr", extension: ".html" }
+ */
+function getLanguageRoot(lang) {
+  const { isContentPath } = getPathDetails();
+  return {
+    root: getLanguageRootPath(lang),
+    extension: isContentPath ? ".html" : "",
+  };
+}
+
+/**
+ * Append query parameters to a path
+ * @param {string} path - Path
+ * @param {Object} params - Query parameters (empty values are skipped)
+ * @returns {string} Path with query string
+ */
+function withParams(path, params) {
+  const query = new URLSearchParams();
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, value);
+    }
+  });
+  const search = query.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+/**
+ * Get the URL of a commerce page
+ * @param {string} page - One of COMMERCE_PAGES (or another page name)
+ * @param {Object} params - Query parameters (e.g. { order: "LUMA-1" })
+ * @param {string} lang - Language code (defaults to the current page's)
+ * @returns {string} Page URL
+ */
+export function getCommerceUrl(page, params = {}, lang = getLanguage()) {
+  const { root, extension } = getLanguageRoot(lang);
+  return withParams(`${root}/${page}${extension}`, params);
+}
+
+/**
+ * Get the URL of the home page
+ * English lives at the site root on EDS
+ * @param {string} lang - Language code (defaults to the current page's)
+ * @returns {string} Home page URL
+ */
+export function getHomeUrl(lang = getLanguage()) {
+  const { root, extension } = getLanguageRoot(lang);
+  if (!extension && lang === "en") return "/";
+  return `${root}${extension}`;
+}
+
+/**
+ * Get the name of the current page
+ * @returns {string} Last path segment without extension (e.g. "cart")
+ */
+export function getCurrentPage() {
+  const page = window.location.pathname.split("/").filter(Boolean).pop();
+  return (page || "").replace(/\.html$/, "");
+}
+
+/**
+ * Navigate to a commerce page
+ * @param {string} page - One of COMMERCE_PAGES
+ * @param {Object} params - Query parameters
+ */
+export function navigateTo(page, params = {}) {
+  window.location.href = getCommerceUrl(page, params);
+}
@@ -0,0 +1,92 @@
+// ==========================================
+// Commerce Sheet Loader
+// Fetches authored spreadsheets (promotions, shipping, tax, ...) published
+// as JSON, caches them in localStorage with a TTL and falls back to the
+// cached copy when the network request fails
+// ==========================================
+
+const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
+
+// In-flight/loaded sheets so each sheet is only fetched once per page
+const sheetPromises = new Map();
+
+/**
+ * Read a cached sheet from localStorage
+ * @param {string} storageKey - localStorage key
+ * @param {number} ttl - Max cache age in ms (Infinity to ignore age)
+ * @returns {Object|null} Cached sheet JSON
+ */
+function readCachedSheet(storageKey, ttl) {
+  try {
+    const cached = localStorage.getItem(storageKey);
+    const timestamp = localStorage.getItem(`${storageKey}_timestamp`);
+    if (!cached) return null;
+
+    const cacheAge = Date.now() - parseInt(timestamp, 10);
+    if (!timestamp || cacheAge > ttl) return null;
+
+    return JSON.parse(cached);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch an authored sheet as JSON
+ * @param {string} url - Sheet URL (e.g. /promotions.json)
+ * @param {Object} options - Options
+ * @param {string} options.storageKey - localStorage key for the cached copy
+ * @param {number} options.ttl - Cache TTL in ms
+ * @returns {Promise<Object|null>} Sheet JSON, or null if unavailable
+ */
+export function fetchSheet(url, { storageKey, ttl = DEFAULT_TTL } = {}) {
+  if (sheetPromises.has(url)) return sheetPromises.get(url);
+
+  const promise = (async () => {
+    const cached = storageKey ? readCachedSheet(storageKey, ttl) : null;
+    if (cached) return cached;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      // A missing sheet is cached as empty so it is not requested on every page
+      const json = response.ok ? await response.json() : { data: [] };
+
+      if (storageKey) {
+        try {
+          localStorage.setItem(storageKey, JSON.stringify(json));
+          localStorage.setItem(
+            `${storageKey}_timestamp`,
+            Date.now().toString()
+          );
+        } catch (storageError) {
+          console.warn(`⚠ Could not cache ${url}:`, storageError.message);
+        }
+      }
+
+      return json;
+    } catch (error) {
+      console.warn(`✗ Failed to load ${url}:`, error.message);
+      return storageKey ? readCachedSheet(storageKey, Infinity) : null;
+    }
+  })();
+
+  sheetPromises.set(url, promise);
+  return promise;
+}
+
+/**
+ * Get the rows of a sheet
+ * Supports single sheets ({ data: [] }) and named sheets of a
+ * multi-sheet workbook ({ ":names": [...], name: { data: [] } })
+ * @param {Object} json - Sheet JSON
+ * @param {string} name - Sheet name for multi-sheet workbooks
+ * @returns {Array} Rows
+ */
+export function getSheetRows(json, name = "") {
+  if (!json) return [];
+  if (name && json[name]) return json[name].data || [];
+  return json.data || [];
+}
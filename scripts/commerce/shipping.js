@@ -0,0 +1,199 @@
+// ==========================================
+// Shipping Rates
+// Loads authored shipping methods (/shipping.json) and calculates the
+// shipping cost of a cart from its weight, value and destination country
+//
+// /shipping.json is a workbook with two sheets:
+//   methods: id | label | description | baseRate | perKg | freeOver | countries
+//   rates:   method | country | baseRate | perKg | freeOver
+// "rates" rows override a method's pricing for one country. A single
+// sheet ({ data: [] }) is read as the "methods" sheet.
+// ==========================================
+
+import { fetchSheet, getSheetRows } from "./sheets.js";
+import { roundAmount } from "./currency.js";
+import { getCountryCode, matchesCountryList } from "./countries.js";
+
+const SHIPPING_URL = "/shipping.json";
+const SHIPPING_STORAGE_KEY = "luma_shippingSheet";
+
+// Weight used for products without a weight attribute (kg)
+const DEFAULT_ITEM_WEIGHT = 0.5;
+
+// Used when no shipping sheet has been authored
+const DEFAULT_SHIPPING_METHODS = [
+  {
+    id: "standardShipping",
+    label: "Standard",
+    description: "5-7 business days",
+    baseRate: 5,
+    perKg: 0,
+    freeOver: 100,
+    countries: "",
+    rates: [],
+  },
+  {
+    id: "expressShipping",
+    label: "Express",
+    description: "1-2 business days",
+    baseRate: 15,
+    perKg: 2,
+    freeOver: 0,
+    countries: "",
+    rates: [],
+  },
+];
+
+// Methods of the last loaded sheet. The cart only stores the method id,
+// so it is re-priced with the rates as currently authored.
+let loadedMethods = null;
+
+/**
+ * Normalize pricing columns of a sheet row
+ * @param {Object} row - Sheet row
+ * @returns {Object} { baseRate, perKg, freeOver }
+ */
+function normalizePricing(row) {
+  return {
+    baseRate: parseFloat(row.baseRate) || 0,
+    perKg: parseFloat(row.perKg) || 0,
+    freeOver: parseFloat(row.freeOver) || 0,
+  };
+}
+
+/**
+ * Load shipping methods from the authored shipping sheet
+ * @returns {Promise<Array>} Shipping methods with per-country rates
+ */
+export async function loadShippingMethods() {
+  const json = await fetchSheet(SHIPPING_URL, {
+    storageKey: SHIPPING_STORAGE_KEY,
+  });
+  const methodRows = getSheetRows(json, "methods");
+  if (methodRows.length === 0) {
+    loadedMethods = DEFAULT_SHIPPING_METHODS;
+    return loadedMethods;
+  }
+
+  const rateRows = getSheetRows(json, "rates");
+  loadedMethods = methodRows
+    .filter((row) => row.id)
+    .map((row) => ({
+      id: row.id.trim(),
+      label: row.label || row.id,
+      description: row.description || "",
+      ...normalizePricing(row),
+      countries: row.countries || "",
+      rates: rateRows
+        .filter((rate) => rate.method === row.id && rate.country)
+        .map((rate) => ({
+          country: getCountryCode(rate.country),
+          ...normalizePricing(rate),
+        })),
+    }));
+  return loadedMethods;
+}
+
+/**
+ * Total weight of the products in a cart (kg)
+ * @param {Object} cart - Cart data
+ * @returns {number} Cart weight
+ */
+export function getCartWeight(cart) {
+  return Object.values(cart?.products || {}).reduce(
+    (sum, p) =>
+      sum + (parseFloat(p.weight) || DEFAULT_ITEM_WEIGHT) * (p.quantity || 1),
+    0
+  );
+}
+
+/**
+ * Check whether a method ships to a country
+ * @param {Object} method - Shipping method
+ * @param {string} country - Destination country (name or code)
+ * @returns {boolean} True if the method is available
+ */
+export function isMethodAvailable(method, country) {
+  return matchesCountryList(country, method.countries);
+}
+
+/**
+ * Calculate the shipping cost of a cart for a method and destination
+ * @param {Object} method - Shipping method
+ * @param {Object} cart - Cart data
+ * @param {string} country - Destination country (name or code)
+ * @returns {number} Shipping amount
+ */
+export function calculateShipping(method, cart, country) {
+  const countryCode = getCountryCode(country);
+  const pricing =
+    method.rates?.find((rate) => rate.country === countryCode) || method;
+
+  // Free-over thresholds apply to the discounted order value
+  const orderValue = (cart.subTotal || 0) - (cart.discount?.amount || 0);
+  if (pricing.freeOver && orderValue >= pricing.freeOver) return 0;
+
+  return roundAmount(pricing.baseRate + pricing.perKg * getCartWeight(cart));
+}
+
+/**
+ * Get the methods that ship to a country, with their cost for the cart
+ * @param {Array} methods - Shipping methods
+ * @param {Object} cart - Cart data
+ * @param {string} country - Destination country (name or code)
+ * @returns {Array} Available methods with an `amount`
+ */
+export function getAvailableShippingMethods(methods, cart, country) {
+  return methods
+    .filter((method) => isMethodAvailable(method, country))
+    .map((method) => ({
+      ...method,
+      amount: calculateShipping(method, cart, country),
+    }));
+}
+
+/**
+ * Build the shipping selection stored on the cart
+ * @param {Object} method - Shipping method
+ * @param {Object} cart - Cart data
+ * @param {string} country - Destination country
+ * @returns {Object} Cart shipping data
+ */
+export function createShippingSelection(method, cart, country) {
+  return {
+    method: method.id,
+    label: method.label,
+    description: method.description,
+    country: country || "",
+    amount: calculateShipping(method, cart, country),
+  };
+}
+
+/**
+ * Recalculate the shipping cost of a cart
+ * Re-reads the selected method from the loaded sheet, and drops the
+ * selection when the cart is empty or the method was removed or no
+ * longer ships to the selected country. Until the sheet is loaded the
+ * last calculated amount is kept (see refreshCartPricing in cart.js).
+ * @param {Object} cart - Cart data (mutated)
+ * @returns {Object} The cart with updated shipping
+ */
+export function applyShippingToCart(cart) {
+  if (!cart?.shipping) return cart;
+
+  if (!cart.productCount) {
+    delete cart.shipping;
+    return cart;
+  }
+  if (!loadedMethods) return cart;
+
+  const { method: id, country } = cart.shipping;
+  const method = loadedMethods.find((candidate) => candidate.id === id);
+  if (!method || !isMethodAvailable(method, country)) {
+    delete cart.shipping;
+    return cart;
+  }
+
+  cart.shipping = createShippingSelection(method, cart, country);
+  return cart;
+}
@@ -0,0 +1,180 @@
+// ==========================================
+// Tax Calculation
+// Loads the authored tax table (/tax.json) and calculates the tax of a
+// cart for its destination
+//
+// /tax.json is a workbook with two sheets:
+//   rates:   country | postalPrefix | category | rate
+//   locales: locale | pricesIncludeTax
+// "rate" is a percentage. For each product the most specific row wins:
+// country rows over catch-all rows, then the longest postal prefix, then
+// category rows over rows without a category. "locales" lists the
+// locales whose prices already include tax. A single sheet
+// ({ data: [] }) is read as the "rates" sheet.
+// ==========================================
+
+import { fetchSheet, getSheetRows } from "./sheets.js";
+import { roundAmount, getCurrencySettings } from "./currency.js";
+import { matchesCountryList } from "./countries.js";
+import { normalizeCategory, isProductInCategory } from "./categories.js";
+
+const TAX_URL = "/tax.json";
+const TAX_STORAGE_KEY = "luma_taxSheet";
+
+// Locales with tax-inclusive prices when no "locales" sheet is authored
+const DEFAULT_TAX_INCLUSIVE_LOCALES = ["fr", "de", "es", "ja"];
+
+// Table of the last loaded sheet. The cart only stores the destination,
+// so it is taxed with the rates as currently authored.
+let loadedTaxTable = null;
+
+/**
+ * Normalize a postal code or prefix for comparison
+ * @param {string} postalCode - Postal code
+ * @returns {string} Upper-case postal code without spaces
+ */
+function normalizePostalCode(postalCode) {
+  return `${postalCode || ""}`.replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * Normalize a spreadsheet row into a tax rate
+ * @param {Object} row - Row from tax.json
+ * @returns {Object|null} Tax rate or null if row is unusable
+ */
+function normalizeRate(row) {
+  const rate = parseFloat(`${row?.rate ?? ""}`.replace("%", ""));
+  if (Number.isNaN(rate)) return null;
+
+  return {
+    country: `${row.country || ""}`.trim(),
+    postalPrefix: normalizePostalCode(row.postalPrefix),
+    category: row.category ? normalizeCategory(row.category) : "",
+    rate,
+  };
+}
+
+/**
+ * Load the authored tax table
+ * @returns {Promise<Object>} { rates, inclusiveLocales }
+ */
+export async function loadTaxTable() {
+  const json = await fetchSheet(TAX_URL, { storageKey: TAX_STORAGE_KEY });
+  const localeRows = json?.locales ? getSheetRows(json, "locales") : [];
+
+  loadedTaxTable = {
+    rates: getSheetRows(json, "rates").map(normalizeRate).filter(Boolean),
+    inclusiveLocales:
+      localeRows.length > 0
+        ? localeRows
+            .filter((row) =>
+              ["true", "yes", "1"].includes(
+                `${row.pricesIncludeTax}`.trim().toLowerCase()
+              )
+            )
+            .map((row) => `${row.locale}`.trim().toLowerCase())
+        : DEFAULT_TAX_INCLUSIVE_LOCALES,
+  };
+  return loadedTaxTable;
+}
+
+/**
+ * Find the most specific tax rate for a product
+ * @param {Array} rates - Tax rates for the destination country
+ * @param {Object} product - Cart product
+ * @param {string} postalCode - Destination postal code
+ * @returns {Object|undefined} Tax rate
+ */
+function findRate(rates, product, postalCode) {
+  const postal = normalizePostalCode(postalCode);
+  return rates
+    .filter(
+      (rate) =>
+        postal.startsWith(rate.postalPrefix) &&
+        isProductInCategory(product, rate.category)
+    )
+    .sort(
+      (a, b) =>
+        Number(!!b.country) - Number(!!a.country) ||
+        b.postalPrefix.length - a.postalPrefix.length ||
+        b.category.length - a.category.length
+    )[0];
+}
+
+/**
+ * Calculate the tax of a cart for its destination
+ * The order discount is spread over the products by value before tax
+ * @param {Object} cart - Cart data with a tax destination
+ * @param {Object} table - Tax table (see loadTaxTable)
+ * @returns {number} Tax amount (included in or added to the prices)
+ */
+export function calculateTax(cart, table = loadedTaxTable) {
+  const { tax } = cart;
+  if (!tax || !table) return 0;
+
+  const subTotal = cart.subTotal || 0;
+  const discountAmount = cart.discount?.amount || 0;
+  const rates = table.rates.filter((rate) =>
+    matchesCountryList(tax.country, rate.country)
+  );
+
+  const amount = Object.values(cart.products || {}).reduce((sum, product) => {
+    const match = findRate(rates, product, tax.postalCode);
+    if (!match || !subTotal) return sum;
+
+    const discountShare = (discountAmount * product.subTotal) / subTotal;
+    const taxable = Math.max(product.subTotal - discountShare, 0);
+    const rate = match.rate / 100;
+    return (
+      sum + (tax.inclusive ? taxable - taxable / (1 + rate) : taxable * rate)
+    );
+  }, 0);
+
+  return roundAmount(amount);
+}
+
+/**
+ * Build the tax destination stored on the cart
+ * The rates are looked up in the tax table whenever the cart is priced
+ * @param {Object} table - Tax table (see loadTaxTable)
+ * @param {string} country - Destination country
+ * @param {string} postalCode - Destination postal code
+ * @param {string} language - Page language
+ * @returns {Object} Cart tax data
+ */
+export function createTaxSelection(
+  table,
+  country,
+  postalCode,
+  language = getCurrencySettings().language
+) {
+  return {
+    country,
+    postalCode: postalCode || "",
+    inclusive: table.inclusiveLocales.includes(language),
+    amount: 0,
+  };
+}
+
+/**
+ * Recalculate the tax of a cart with the loaded tax table
+ * Drops the tax destination when the cart is empty. Until the table is
+ * loaded the last calculated amount is kept (see refreshCartPricing in
+ * cart.js).
+ * @param {Object} cart - Cart data (mutated)
+ * @returns {Object} The cart with updated tax
+ */
+export function applyTaxToCart(cart) {
+  if (!cart?.tax) return cart;
+
+  if (!cart.productCount) {
+    delete cart.tax;
+    return cart;
+  }
+  if (!loadedTaxTable) return cart;
+
+  const { country, postalCode } = cart.tax;
+  cart.tax = createTaxSelection(loadedTaxTable, country, postalCode);
+  cart.tax.amount = calculateTax(cart);
+  return cart;
+}
@@ -0,0 +1,181 @@
+// ==========================================
+// User Carts
+// While a shopper is signed in, the cart in the dataLayer is theirs. On
+// sign-out it is saved for them (on this device) and the cart is emptied
+// for the next guest; on sign-in the saved cart is restored and merged
+// with the cart built as a guest.
+//
+//   luma_user_carts: { [email]: { products, discount, savedAt } }
+//
+// A saved cart is the shopper's own cart, so it is strictly necessary
+// storage like the cart itself and needs no consent (see consent.js). It
+// holds no profile details beyond the email it is keyed by, and is
+// removed with everything else by forgetMe().
+//
+// Merge policy: page metadata "cart-merge-policy" or placeholder
+// "cart-merge-policy", one of CART_MERGE_POLICIES (default "merge").
+// ==========================================
+
+import { getMetadata, fetchPlaceholders } from "../aem.js";
+import { getCart, clear, restore } from "./cart.js";
+import { capQuantity } from "./inventory.js";
+import { getSignedInUser } from "./addresses.js";
+
+const USER_CARTS_STORAGE_KEY = "luma_user_carts";
+
+export const CART_MERGE_POLICIES = {
+  // Products from both carts; a product in both keeps the larger quantity
+  MERGE: "merge",
+  // The guest cart replaces the saved cart, unless it is empty
+  GUEST: "guest",
+  // The saved cart replaces the guest cart, unless it is empty
+  SAVED: "saved",
+};
+
+/**
+ * Resolve the merge policy
+ * @returns {Promise<string>} One of CART_MERGE_POLICIES
+ */
+async function getMergePolicy() {
+  let policy = getMetadata("cart-merge-policy");
+  if (!policy) {
+    try {
+      const placeholders = await fetchPlaceholders();
+      policy = placeholders?.cartMergePolicy;
+    } catch (error) {
+      /* use the default */
+    }
+  }
+  policy = `${policy || ""}`.trim().toLowerCase();
+  return Object.values(CART_MERGE_POLICIES).includes(policy)
+    ? policy
+    : CART_MERGE_POLICIES.MERGE;
+}
+
+/**
+ * Read all saved user carts
+ * @returns {Object} Carts by email
+ */
+function readUserCarts() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_CARTS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Store all saved user carts
+ * @param {Object} carts - Carts by email
+ */
+function writeUserCarts(carts) {
+  try {
+    localStorage.setItem(USER_CARTS_STORAGE_KEY, JSON.stringify(carts));
+  } catch (error) {
+    console.warn("⚠ Could not save user cart:", error.message);
+  }
+}
+
+/**
+ * Key of a shopper's saved cart
+ * @param {Object} user - Signed-in user
+ * @returns {string} Lower-case email
+ */
+function getCartKey(user) {
+  return user.email.trim().toLowerCase();
+}
+
+/**
+ * Merge a guest cart with a saved cart
+ * Shipping and tax selections of the guest cart are kept; the discount of
+ * the guest cart wins over the saved one
+ * @param {Object} guestCart - Cart built as a guest
+ * @param {Object} savedCart - Saved cart of the shopper
+ * @param {string} policy - One of CART_MERGE_POLICIES
+ * @returns {Object} Merged cart (not yet recalculated)
+ */
+export function mergeCarts(guestCart, savedCart, policy) {
+  const guestProducts = guestCart?.products || {};
+  const savedProducts = savedCart?.products || {};
+  const hasGuest = Object.keys(guestProducts).length > 0;
+  const hasSaved = Object.keys(savedProducts).length > 0;
+
+  if (policy === CART_MERGE_POLICIES.GUEST && hasGuest) return guestCart;
+  if (policy === CART_MERGE_POLICIES.SAVED && hasSaved) {
+    return {
+      ...guestCart,
+      products: savedProducts,
+      discount: savedCart.discount,
+    };
+  }
+
+  const products = { ...savedProducts };
+  Object.entries(guestProducts).forEach(([key, line]) => {
+    const saved = savedProducts[key];
+    products[key] = saved
+      ? {
+          ...line,
+          quantity: capQuantity(
+            Math.max(line.quantity, saved.quantity),
+            line.stock
+          ),
+        }
+      : line;
+  });
+
+  return {
+    ...guestCart,
+    products,
+    discount: guestCart?.discount || savedCart?.discount,
+  };
+}
+
+/**
+ * Save the cart of the signed-in shopper and empty the cart for the next
+ * guest. Call before the shopper is signed out.
+ */
+export function saveUserCart() {
+  const user = getSignedInUser();
+  if (!user) return;
+
+  const cart = getCart();
+  const carts = readUserCarts();
+  if (Object.keys(cart.products).length > 0) {
+    carts[getCartKey(user)] = {
+      products: cart.products,
+      ...(cart.discount && { discount: cart.discount }),
+      savedAt: new Date().toISOString(),
+    };
+  } else {
+    delete carts[getCartKey(user)];
+  }
+  writeUserCarts(carts);
+  clear();
+}
+
+/**
+ * Restore the saved cart of the shopper who just signed in, merged with
+ * the guest cart. Call after the shopper is signed in.
+ * @returns {Promise<Object|null>} The restored cart, or null if there was
+ *   no saved cart
+ */
+export async function restoreUserCart() {
+  const user = getSignedInUser();
+  if (!user) return null;
+
+  const carts = readUserCarts();
+  const saved = carts[getCartKey(user)];
+  if (!saved) return null;
+
+  const policy = await getMergePolicy();
+  const guestCart = getCart();
+  const cart = restore(mergeCarts(guestCart, saved, policy), {
+    policy,
+    guestCount: guestCart.productCount || 0,
+  });
+
+  // The restored cart is the live cart now
+  delete carts[getCartKey(user)];
+  writeUserCarts(carts);
+  return cart;
+}
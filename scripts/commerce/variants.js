@@ -0,0 +1,240 @@
+// ==========================================
+// Product Variants
+// Reads the size/color variants of a product content fragment and
+// resolves the variant matching a shopper's selection
+//
+// The product fragment may describe its variants in two ways:
+//   variants:       JSON field (or JSON text) with one entry per variant
+//                   { sku, color, size, price, image, swatch }
+//   colors / sizes: plain lists, every combination is available
+// Variant price/image fall back to the product's own price/image.
+// ==========================================
+
+/**
+ * Supported variant options, in display order
+ * `swatch` options render as color swatches, the others as buttons
+ */
+export const VARIANT_OPTIONS = [
+  { name: "color", label: "Color", swatch: true },
+  { name: "size", label: "Size", swatch: false },
+];
+
+/**
+ * Parse the raw variants field of a fragment
+ * @param {Array|Object|string} raw - JSON field value or JSON text
+ * @returns {Array} Variant entries
+ */
+function parseVariantField(raw) {
+  let value = raw;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      console.warn("⚠ Invalid product variants JSON:", error.message);
+      return [];
+    }
+  }
+  if (value && !Array.isArray(value)) value = value.variants || value.items;
+  return Array.isArray(value) ? value.filter(Boolean) : [];
+}
+
+/**
+ * Normalize a list field (array or comma-separated text)
+ * @param {Array|string} list - Field value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function toList(list) {
+  const values = Array.isArray(list) ? list : `${list || ""}`.split(",");
+  return values.map((value) => `${value}`.trim()).filter(Boolean);
+}
+
+/**
+ * Build a variant SKU for variants authored without one
+ * @param {string} baseSku - Product SKU
+ * @param {Object} options - Variant option values
+ * @returns {string} e.g. MS01-BLUE-M
+ */
+function buildVariantSku(baseSku, options) {
+  return [baseSku, ...Object.values(options)]
+    .filter(Boolean)
+    .join("-")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+}
+
+/**
+ * Read the variants of a product fragment
+ * @param {Object} product - Product fragment data
+ * @returns {Array} Variants { sku, options, price, image, swatch }
+ */
+export function getProductVariants(product) {
+  const baseSku = product?.sku || product?.id || "";
+  const entries = parseVariantField(product?.variants);
+
+  if (entries.length > 0) {
+    return entries
+      .map((entry) => {
+        const options = {};
+        VARIANT_OPTIONS.forEach(({ name }) => {
+          const value = entry[name] ?? entry.options?.[name];
+          if (value) options[name] = `${value}`.trim();
+        });
+        return {
+          sku: entry.sku || buildVariantSku(baseSku, options),
+          options,
+          price: parseFloat(entry.price) || 0,
+          image: entry.image || "",
+          swatch: entry.swatch || "",
+        };
+      })
+      .filter((variant) => Object.keys(variant.options).length > 0);
+  }
+
+  // Plain color/size lists: build every combination
+  let variants = [{ options: {} }];
+  VARIANT_OPTIONS.forEach(({ name }) => {
+    const values = toList(product?.[`${name}s`]);
+    if (values.length === 0) return;
+    variants = variants.flatMap((variant) =>
+      values.map((value) => ({
+        options: { ...variant.options, [name]: value },
+      }))
+    );
+  });
+
+  if (Object.keys(variants[0].options).length === 0) return [];
+  return variants.map(({ options }) => ({
+    sku: buildVariantSku(baseSku, options),
+    options,
+    price: 0,
+    image: "",
+    swatch: "",
+  }));
+}
+
+/**
+ * Build the option pickers for a list of variants
+ * Every option that appears on a variant is required
+ * @param {Array} variants - Variants (see getProductVariants)
+ * @returns {Array} Options { name, label, swatch, values: [{ value, swatch }] }
+ */
+export function getVariantOptions(variants) {
+  return VARIANT_OPTIONS.map((option) => {
+    const values = [];
+    variants.forEach((variant) => {
+      const value = variant.options[option.name];
+      if (!value) return;
+
+      const swatch = option.swatch ? variant.swatch : "";
+      const existing = values.find((v) => v.value === value);
+      if (!existing) {
+        values.push({ value, swatch });
+      } else if (!existing.swatch) {
+        existing.swatch = swatch;
+      }
+    });
+    return { ...option, values };
+  }).filter((option) => option.values.length > 0);
+}
+
+/**
+ * Check whether a variant matches a (partial) selection
+ * @param {Object} variant - Variant
+ * @param {Object} selection - Selected option values by option name
+ * @returns {boolean} True if every selected option matches
+ */
+function matchesSelection(variant, selection) {
+  return Object.entries(selection).every(
+    ([name, value]) => !value || variant.options[name] === value
+  );
+}
+
+/**
+ * Get the required options that have not been selected yet
+ * @param {Array} options - Options (see getVariantOptions)
+ * @param {Object} selection - Selected option values by option name
+ * @returns {Array} Missing options
+ */
+export function getMissingOptions(options, selection) {
+  return options.filter((option) => !selection[option.name]);
+}
+
+/**
+ * Find the variant for a complete selection
+ * @param {Array} variants - Variants
+ * @param {Array} options - Options (see getVariantOptions)
+ * @param {Object} selection - Selected option values by option name
+ * @returns {Object|null} The variant, or null if options are missing
+ */
+export function findVariant(variants, options, selection) {
+  if (getMissingOptions(options, selection).length > 0) return null;
+  return (
+    variants.find((variant) => matchesSelection(variant, selection)) || null
+  );
+}
+
+/**
+ * Check whether an option value can still be combined with the rest
+ * of the selection (e.g. a size that exists in the selected color)
+ * @param {Array} variants - Variants
+ * @param {Object} selection - Selected option values by option name
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {boolean} True if a variant exists for the combination
+ */
+export function isOptionAvailable(variants, selection, name, value) {
+  const combined = { ...selection, [name]: value };
+  return variants.some((variant) => matchesSelection(variant, combined));
+}
+
+/**
+ * Resolve a variant image for the current environment
+ * @param {string|Object} image - Image path/URL or fragment image reference
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Image URL, or "" if none
+ */
+export function getVariantImage(image, isAuthor) {
+  if (!image) return "";
+  if (typeof image === "string") return image;
+  return (isAuthor ? image._authorUrl : image._publishUrl) || "";
+}
+
+/**
+ * Get the image of the first variant matching a (partial) selection,
+ * so picking a color shows that color before a size is chosen
+ * @param {Array} variants - Variants
+ * @param {Object} selection - Selected option values by option name
+ * @param {boolean} isAuthor - Is author environment
+ * @returns {string} Image URL, or "" if no matching variant has an image
+ */
+export function getSelectionImage(variants, selection, isAuthor) {
+  if (Object.values(selection).every((value) => !value)) return "";
+  const variant = variants.find(
+    (v) => v.image && matchesSelection(v, selection)
+  );
+  return variant ? getVariantImage(variant.image, isAuthor) : "";
+}
+
+/**
+ * Format the selected options of a cart/order line for display
+ * @param {Object} product - Cart line (with color/size)
+ * @returns {Array<string>} e.g. ["Color: Blue", "Size: M"]
+ */
+export function formatVariantOptions(product) {
+  return VARIANT_OPTIONS.filter(({ name }) => product?.[name]).map(
+    ({ name, label }) => `${label}: ${product[name]}`
+  );
+}
+
+/**
+ * Get the selected options of a cart/order line
+ * @param {Object} product - Cart line (with color/size)
+ * @returns {Object} Option values by option name (the ones set)
+ */
+export function getVariantSelection(product) {
+  const selection = {};
+  VARIANT_OPTIONS.forEach(({ name }) => {
+    if (product?.[name]) selection[name] = product[name];
+  });
+  return selection;
+}
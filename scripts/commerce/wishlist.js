@@ -0,0 +1,171 @@
+// ==========================================
+// Wishlist Service
+// Single owner of the wishlist. The wishlist lives in dataLayer.wishlist,
+// so it is persisted together with the rest of the dataLayer
+// (luma_dataLayer) and shares its TTL.
+// ==========================================
+
+/**
+ * Typed wishlist events dispatched on document after every change.
+ * event.detail always contains the updated `wishlist`.
+ */
+export const WISHLIST_EVENTS = {
+  ITEM_ADDED: "wishlist:item-added",
+  ITEM_REMOVED: "wishlist:item-removed",
+  UPDATED: "wishlist:updated",
+};
+
+/**
+ * Create an empty wishlist
+ * @returns {Object} Empty wishlist
+ */
+export function createEmptyWishlist() {
+  return {
+    productCount: 0,
+    products: {},
+  };
+}
+
+/**
+ * Get the current wishlist from the dataLayer
+ * @returns {Object} Wishlist data (a copy - use the mutators below to change it)
+ */
+export function getWishlist() {
+  const wishlist = window.getDataLayerProperty
+    ? window.getDataLayerProperty("wishlist")
+    : null;
+
+  if (!wishlist || !wishlist.products) return createEmptyWishlist();
+  return wishlist;
+}
+
+/**
+ * Check whether a product is in the wishlist
+ * @param {string} productId - Product ID
+ * @returns {boolean} True if the product is saved
+ */
+export function hasItem(productId) {
+  return !!getWishlist().products[productId];
+}
+
+/**
+ * Dispatch a typed wishlist event
+ * @param {string} type - One of WISHLIST_EVENTS
+ * @param {Object} detail - Event detail
+ */
+function dispatchWishlistEvent(type, detail) {
+  document.dispatchEvent(
+    new CustomEvent(type, {
+      bubbles: true,
+      detail,
+    })
+  );
+}
+
+/**
+ * Store a wishlist, then notify listeners
+ * @param {Object} wishlist - Wishlist data
+ * @param {string} type - One of WISHLIST_EVENTS
+ * @param {Object} detail - Additional event detail
+ * @returns {Object} The saved wishlist
+ */
+function saveWishlist(wishlist, type, detail = {}) {
+  wishlist.productCount = Object.keys(wishlist.products).length;
+
+  // Lets tags fired by wishlist custom events see what changed
+  wishlist.lastAction = {
+    type,
+    productId: detail.product?.id || "",
+    timestamp: new Date().toISOString(),
+  };
+
+  // Replace the entire wishlist (merge=false) so removed products are
+  // not merged back from the previous state
+  if (window.updateDataLayer) {
+    window.updateDataLayer({ wishlist }, false);
+  } else {
+    console.error("updateDataLayer not available");
+  }
+
+  dispatchWishlistEvent(type, { ...detail, wishlist });
+  dispatchWishlistEvent(WISHLIST_EVENTS.UPDATED, { action: type, wishlist });
+  return wishlist;
+}
+
+/**
+ * Save a product to the wishlist (no-op if already saved)
+ * @param {Object} productData - Product information (see window.addToCart)
+ * @param {string} productData.url - Product page URL (optional)
+ * @param {boolean} productData.hasVariants - Size/color must be chosen
+ *   before the product can be added to the cart (optional)
+ * @returns {Object} The updated wishlist
+ */
+export function add(productData) {
+  const wishlist = getWishlist();
+  const productKey = productData.id;
+  if (!productKey || wishlist.products[productKey]) return wishlist;
+
+  wishlist.products[productKey] = {
+    id: productData.id,
+    sku: productData.id,
+    name: productData.name,
+    image: productData.image,
+    thumbnail: productData.thumbnail,
+    category: productData.category,
+    description: productData.description,
+    price: productData.price,
+    weight: productData.weight,
+    url: productData.url || "",
+    hasVariants: !!productData.hasVariants,
+    addedAt: new Date().toISOString(),
+  };
+
+  return saveWishlist(wishlist, WISHLIST_EVENTS.ITEM_ADDED, {
+    product: wishlist.products[productKey],
+  });
+}
+
+/**
+ * Remove a product from the wishlist
+ * @param {string} productId - Product ID to remove
+ * @param {Object} detail - Additional event detail
+ * @returns {Object} The updated wishlist
+ */
+export function remove(productId, detail = {}) {
+  const wishlist = getWishlist();
+  const product = wishlist.products[productId];
+  if (!product) return wishlist;
+
+  delete wishlist.products[productId];
+  return saveWishlist(wishlist, WISHLIST_EVENTS.ITEM_REMOVED, {
+    ...detail,
+    product,
+  });
+}
+
+/**
+ * Save or remove a product depending on whether it is in the wishlist
+ * @param {Object} productData - Product information (see add)
+ * @returns {boolean} True if the product is now in the wishlist
+ */
+export function toggle(productData) {
+  if (hasItem(productData.id)) {
+    remove(productData.id);
+    return false;
+  }
+  add(productData);
+  return true;
+}
+
+/**
+ * Move a product from the wishlist to the cart
+ * @param {string} productId - Product ID
+ * @returns {Object} The updated wishlist
+ */
+export function moveToCart(productId) {
+  const product = getWishlist().products[productId];
+  if (!product) return getWishlist();
+
+  window.addToCart({ ...product, quantity: 1 });
+  return remove(productId, { movedToCart: true });
+}
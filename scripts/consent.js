@@ -0,0 +1,244 @@
+// ==========================================
+// Consent Manager
+// Single owner of the visitor's privacy choices. Other modules ask
+// hasConsent() before storing or sending anything the visitor did not
+// agree to, and follow CONSENT_EVENTS to react to a changed choice:
+//
+//   preferences: profile details (email, phone, address...) in the
+//                persisted dataLayer and the saved checkout form, the
+//                address book, the order history and the recently
+//                viewed products (PREFERENCES_STORAGE_KEYS)
+//   analytics:   custom events (custom-events.js), the adobeDataLayer
+//                mirror and the Adobe Launch tag manager
+//                (datalayer-xdm.js)
+//   marketing:   third-party scripts from the `js-files` metadata
+//
+// The cart, wishlist and the rest of the shop are strictly necessary and
+// always allowed. This includes the cart saved for a signed-in shopper
+// (luma_user_carts, see user-cart.js): it only holds what the shopper put
+// in their cart, keyed by the email they signed in with. Until the
+// visitor made a choice, only necessary storage is allowed.
+//
+//   luma_consent: { version, categories: { preferences, analytics,
+//                   marketing }, updatedAt }
+//
+// Bump CONSENT_VERSION when the categories change: visitors are then asked
+// again.
+// ==========================================
+
+const CONSENT_STORAGE_KEY = "luma_consent";
+const CONSENT_VERSION = 1;
+
+// Every key written by the site starts with this prefix (see forgetMe)
+const STORAGE_PREFIX = "luma_";
+
+// Kept with the consent to preferences only, removed as soon as it is
+// withdrawn (the dataLayer and the checkout form: see datalayer.js)
+const PREFERENCES_STORAGE_KEYS = [
+  "luma_address_book",
+  "luma_order_history",
+  "luma_recently_viewed",
+];
+
+/**
+ * Typed consent events dispatched on document.
+ * event.detail contains the `consent` (see getConsent).
+ */
+export const CONSENT_EVENTS = {
+  UPDATED: "consent:updated",
+  FORGOTTEN: "consent:forgotten",
+};
+
+export const CONSENT_CATEGORIES = {
+  NECESSARY: "necessary",
+  PREFERENCES: "preferences",
+  ANALYTICS: "analytics",
+  MARKETING: "marketing",
+};
+
+// Categories offered to the visitor, in display order
+export const CONSENT_OPTIONS = [
+  {
+    name: CONSENT_CATEGORIES.NECESSARY,
+    label: "Strictly necessary",
+    description:
+      "Your cart, wishlist and sign-in. The shop does not work without them.",
+    required: true,
+  },
+  {
+    name: CONSENT_CATEGORIES.PREFERENCES,
+    label: "Preferences",
+    description:
+      "Remember your profile, checkout details, addresses and orders on this device for your next visit.",
+  },
+  {
+    name: CONSENT_CATEGORIES.ANALYTICS,
+    label: "Analytics",
+    description: "Measure how the site is used to improve it.",
+  },
+  {
+    name: CONSENT_CATEGORIES.MARKETING,
+    label: "Marketing",
+    description: "Load partner tags that personalize offers and advertising.",
+  },
+];
+
+/**
+ * Get the categories the visitor can choose
+ * @returns {Array<string>} Category names
+ */
+function getOptionalCategories() {
+  return CONSENT_OPTIONS.filter((option) => !option.required).map(
+    (option) => option.name
+  );
+}
+
+/**
+ * Build a consent record
+ * @param {Object} categories - { [category]: boolean }
+ * @returns {Object} Consent record
+ */
+function createConsent(categories = {}) {
+  const record = {};
+  getOptionalCategories().forEach((name) => {
+    record[name] = categories[name] === true;
+  });
+  return {
+    version: CONSENT_VERSION,
+    categories: record,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the stored choice
+ * @returns {Object|null} Consent record, or null if the visitor did not
+ *   choose yet (or chose for an older version of the categories)
+ */
+function readConsent() {
+  try {
+    const consent = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    if (consent?.version !== CONSENT_VERSION || !consent.categories) {
+      return null;
+    }
+    return consent;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Dispatch a typed consent event
+ * @param {string} type - One of CONSENT_EVENTS
+ * @param {Object} detail - Event detail
+ */
+function dispatchConsentEvent(type, detail) {
+  document.dispatchEvent(
+    new CustomEvent(type, {
+      bubbles: true,
+      detail,
+    })
+  );
+}
+
+/**
+ * Check whether the visitor already made a choice
+ * @returns {boolean} True once the banner was answered
+ */
+export function hasConsentChoice() {
+  return readConsent() !== null;
+}
+
+/**
+ * Get the visitor's choice
+ * @returns {Object} Consent record (every optional category is false
+ *   until the visitor made a choice)
+ */
+export function getConsent() {
+  return readConsent() || { ...createConsent(), updatedAt: null };
+}
+
+/**
+ * Check whether a category is allowed
+ * @param {string} category - One of CONSENT_CATEGORIES
+ * @returns {boolean} True if allowed
+ */
+export function hasConsent(category) {
+  if (category === CONSENT_CATEGORIES.NECESSARY) return true;
+  return getConsent().categories[category] === true;
+}
+
+/**
+ * Store the visitor's choice, then notify listeners
+ * @param {Object} categories - { [category]: boolean }, missing categories
+ *   are denied
+ * @returns {Object} The stored consent record
+ */
+export function setConsent(categories) {
+  const previous = getConsent();
+  const consent = createConsent(categories);
+
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(consent));
+  } catch (error) {
+    console.warn("⚠ Could not save consent:", error.message);
+  }
+
+  if (!consent.categories[CONSENT_CATEGORIES.PREFERENCES]) {
+    PREFERENCES_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+  }
+
+  dispatchConsentEvent(CONSENT_EVENTS.UPDATED, { consent, previous });
+  return consent;
+}
+
+/**
+ * Allow every category
+ * @returns {Object} The stored consent record
+ */
+export function acceptAll() {
+  const categories = {};
+  getOptionalCategories().forEach((name) => {
+    categories[name] = true;
+  });
+  return setConsent(categories);
+}
+
+/**
+ * Allow strictly necessary storage only
+ * @returns {Object} The stored consent record
+ */
+export function rejectAll() {
+  return setConsent({});
+}
+
+/**
+ * Remove everything the site stored about the visitor
+ * Purges every luma_* key (including the consent itself, so the visitor
+ * is asked again). The open page still holds its data in memory, so it
+ * should be reloaded afterwards.
+ * @returns {Array<string>} The removed keys
+ */
+export function forgetMe() {
+  const removed = [];
+  [localStorage, sessionStorage].forEach((storage) => {
+    Object.keys(storage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .forEach((key) => {
+        storage.removeItem(key);
+        removed.push(key);
+      });
+  });
+
+  dispatchConsentEvent(CONSENT_EVENTS.FORGOTTEN, {
+    consent: getConsent(),
+    removed,
+  });
+  return removed;
+}
+
+// Consent API for tags and the browser console
+window.getConsent = getConsent;
+window.hasConsent = hasConsent;
+window.setConsent = setConsent;
+window.forgetMe = forgetMe;
@@ -4,6 +4,15 @@
 // Loaded from delayed.js to not block page load
 // ==========================================
 
+import { WISHLIST_EVENTS } from "./commerce/wishlist.js";
+import { CONSENT_CATEGORIES, CONSENT_EVENTS, hasConsent } from "./consent.js";
+import { isDataLayerDebugEnabled } from "./datalayer-schema.js";
+
+// Application events that can be used as a trigger in custom-events.json,
+// e.g. trigger "wishlist:item-added" dispatches the configured event every
+// time a product is saved to the wishlist
+const APP_EVENT_TRIGGERS = Object.values(WISHLIST_EVENTS);
+
 /**
  * Fetches and caches custom events configuration with conditional request support
  * Uses Last-Modified header to check if config has been updated
@@ -308,6 +317,8 @@ function executeDefaultAction(actionDetails, element) {
 
 /**
  * Dispatches a custom event
+ * Skipped without the visitor's consent to analytics; the callback (which
+ * resumes a held back default action) always runs
  * @param {string} eventName - Name of the event
  * @param {Object} eventConfig - Event configuration
  * @param {string} pagePath - Current page path
@@ -321,14 +332,28 @@ function dispatchCustomEvent(
   additionalDetail = {},
   callback = null
 ) {
-  const customEvent = new CustomEvent(eventName, {
-    bubbles: true,
-  });
-  console.log(
-    `Dispatching custom event: ${eventName}, dataLayer: `,
-    window.dataLayer
-  );
-  document.dispatchEvent(customEvent);
+  const allowed = hasConsent(CONSENT_CATEGORIES.ANALYTICS);
+  if (isDataLayerDebugEnabled()) {
+    const details = {
+      dispatched: allowed,
+      page: pagePath,
+      config: eventConfig,
+    };
+    import("./datalayer-debug.js").then(({ recordCustomEvent }) =>
+      recordCustomEvent(eventName, details)
+    );
+  }
+
+  if (allowed) {
+    const customEvent = new CustomEvent(eventName, {
+      bubbles: true,
+    });
+    console.log(
+      `Dispatching custom event: ${eventName}, dataLayer: `,
+      window.dataLayer
+    );
+    document.dispatchEvent(customEvent);
+  }
 
   // Execute callback immediately - delay is handled by the caller
   if (callback && typeof callback === "function") {
@@ -543,6 +568,7 @@ function triggerCustomEvents(config = null, currentPath = null) {
 
           // Store listener for cleanup
           window._customEventListeners.set(listenerKey, {
+            type: "click",
             handler: delegatedHandler,
             selector: element,
           });
@@ -566,8 +592,40 @@ function triggerCustomEvents(config = null, currentPath = null) {
           }
           break;
 
-        default:
-          console.warn(`Unknown trigger type: ${trigger} for event: ${event}`);
+        default: {
+          const appEvent = trigger.toLowerCase();
+          if (!APP_EVENT_TRIGGERS.includes(appEvent)) {
+            console.warn(
+              `Unknown trigger type: ${trigger} for event: ${event}`
+            );
+            return;
+          }
+
+          // Application event trigger: dispatch every time the app event fires
+          const appListenerKey = `${event}_${index}_${appEvent}`;
+
+          // Remove old listener if exists (prevent duplicates)
+          if (window._customEventListeners.has(appListenerKey)) {
+            const oldListener =
+              window._customEventListeners.get(appListenerKey);
+            document.removeEventListener(appEvent, oldListener.handler);
+          }
+
+          const appEventHandler = (appEventObject) => {
+            dispatchCustomEvent(event, eventConfig, pagePath, {
+              appEvent,
+              appEventDetail: appEventObject.detail,
+            });
+          };
+
+          document.addEventListener(appEvent, appEventHandler);
+
+          // Store listener for cleanup
+          window._customEventListeners.set(appListenerKey, {
+            type: appEvent,
+            handler: appEventHandler,
+          });
+        }
       }
     });
   }
@@ -580,9 +638,12 @@ function triggerCustomEvents(config = null, currentPath = null) {
 function cleanupCustomEventListeners() {
   if (window._customEventListeners) {
     window._customEventListeners.forEach((listenerData, key) => {
-      // Remove delegated listener from document
+      // Remove delegated/app event listener from document
       if (listenerData.handler) {
-        document.removeEventListener("click", listenerData.handler);
+        document.removeEventListener(
+          listenerData.type || "click",
+          listenerData.handler
+        );
       }
     });
     window._customEventListeners.clear();
@@ -624,6 +685,16 @@ export async function initializeCustomEvents() {
     };
 
     checkDataLayerReady();
+
+    // Page events skipped before the visitor agreed to analytics are sent
+    // once they do (listeners are replaced, not duplicated)
+    document.addEventListener(CONSENT_EVENTS.UPDATED, (event) => {
+      const { consent, previous } = event.detail;
+      const analytics = CONSENT_CATEGORIES.ANALYTICS;
+      if (consent.categories[analytics] && !previous.categories[analytics]) {
+        triggerCustomEvents(config);
+      }
+    });
   } catch (error) {
     console.error("Error initializing custom events:", error);
   }
@@ -0,0 +1,364 @@
+// ==========================================
+// DataLayer Debug Panel
+// Developer overlay loaded by delayed.js in debug mode (?datalayer-debug
+// on localhost and preview hosts, see isDataLayerDebugEnabled). Shows the
+// current dataLayer, the recorded changes (datalayer-debug.js) and the
+// custom events fired, and can:
+//   - step back through the recorded changes or go to any recorded state
+//   - export the dataLayer and its history as a JSON snapshot, to attach
+//     to a bug report
+//   - import such a snapshot to reproduce the reported state
+// Restoring a state goes through replaceDataLayerState, so it is
+// persisted and announced like any other change.
+// ==========================================
+
+import {
+  domEl,
+  div,
+  span,
+  button,
+  input,
+  label,
+  ul,
+  li,
+  a,
+} from "./dom-helpers.js";
+import { replaceDataLayerState } from "./datalayer.js";
+import { DATALAYER_VERSION } from "./datalayer-schema.js";
+import {
+  DATALAYER_DEBUG_EVENTS,
+  getDataLayerHistory,
+  getCustomEventLog,
+  clearDataLayerHistory,
+} from "./datalayer-debug.js";
+
+const TABS = [
+  { name: "state", label: "State" },
+  { name: "history", label: "History" },
+  { name: "events", label: "Events" },
+];
+
+let activeTab = "state";
+
+// Paths of the expanded nodes of the state tree, kept across renders
+const openPaths = new Set([""]);
+
+// Number of recorded changes undone with "Step back"; reset by a new
+// change
+let stepsBack = 0;
+
+/**
+ * Format a value for display
+ * @param {*} value - Any value
+ * @returns {string} JSON text ("undefined" for missing values)
+ */
+function formatValue(value) {
+  return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+/**
+ * Format a recorded time
+ * @param {string} time - ISO date
+ * @returns {string} Local time with milliseconds
+ */
+function formatTime(time) {
+  const date = new Date(time);
+  const ms = `${date.getMilliseconds()}`.padStart(3, "0");
+  return `${date.toLocaleTimeString()}.${ms}`;
+}
+
+/**
+ * Build the tree of a value
+ * @param {*} value - Value to show
+ * @param {string} key - Property name
+ * @param {string} path - Dot-notation path of the value
+ * @returns {HTMLElement} Expandable node for objects, a line otherwise
+ */
+function buildTree(value, key, path) {
+  if (!value || typeof value !== "object") {
+    return div(
+      { class: "datalayer-debug-leaf" },
+      span({ class: "datalayer-debug-key" }, `${key}: `),
+      span({ class: "datalayer-debug-value" }, formatValue(value))
+    );
+  }
+
+  const entries = Object.entries(value);
+  const size = Array.isArray(value)
+    ? `[${entries.length}]`
+    : `{${entries.length}}`;
+  const node = domEl(
+    "details",
+    {
+      class: "datalayer-debug-node",
+      ontoggle: () => {
+        if (node.open) openPaths.add(path);
+        else openPaths.delete(path);
+      },
+    },
+    domEl(
+      "summary",
+      span({ class: "datalayer-debug-key" }, key),
+      span({ class: "datalayer-debug-size" }, ` ${size}`)
+    ),
+    ...entries.map(([childKey, childValue]) =>
+      buildTree(childValue, childKey, path ? `${path}.${childKey}` : childKey)
+    )
+  );
+  node.open = openPaths.has(path);
+  return node;
+}
+
+/**
+ * Build the list of changes of a history entry
+ * @param {Array<Object>} diff - Changes { path, type, oldValue, newValue }
+ * @returns {HTMLElement} List of changes
+ */
+function buildDiff(diff) {
+  if (diff.length === 0) {
+    return div({ class: "datalayer-debug-empty" }, "No change");
+  }
+
+  return ul(
+    { class: "datalayer-debug-diff" },
+    ...diff.map(({ path, type, oldValue, newValue }) => {
+      let text = `${formatValue(oldValue)} → ${formatValue(newValue)}`;
+      if (type === "added") text = formatValue(newValue);
+      if (type === "removed") text = formatValue(oldValue);
+      return li(
+        { class: `datalayer-debug-diff-${type}` },
+        span({ class: "datalayer-debug-key" }, `${path || "(root)"}: `),
+        text
+      );
+    })
+  );
+}
+
+/**
+ * Build the state tab
+ * @returns {HTMLElement} Tree of the current dataLayer
+ */
+function buildStateTab() {
+  return buildTree(window.dataLayer, "dataLayer", "");
+}
+
+/**
+ * Build the history tab (newest change first)
+ * @returns {HTMLElement} List of the recorded changes
+ */
+function buildHistoryTab() {
+  const history = getDataLayerHistory();
+  if (history.length === 0) {
+    return div({ class: "datalayer-debug-empty" }, "No change recorded yet");
+  }
+
+  return ul(
+    { class: "datalayer-debug-list" },
+    ...history.reverse().map((entry) =>
+      li(
+        { class: "datalayer-debug-entry" },
+        div(
+          { class: "datalayer-debug-entry-header" },
+          span({ class: "datalayer-debug-time" }, formatTime(entry.time)),
+          span({ class: "datalayer-debug-type" }, entry.type),
+          span({ class: "datalayer-debug-source" }, entry.source),
+          button(
+            {
+              type: "button",
+              class: "datalayer-debug-restore",
+              title: "Go back to the state after this change",
+              onclick: () => replaceDataLayerState(entry.after),
+            },
+            "Restore"
+          )
+        ),
+        buildDiff(entry.diff)
+      )
+    )
+  );
+}
+
+/**
+ * Build the events tab (newest event first)
+ * @returns {HTMLElement} List of the custom events
+ */
+function buildEventsTab() {
+  const events = getCustomEventLog();
+  if (events.length === 0) {
+    return div({ class: "datalayer-debug-empty" }, "No custom event yet");
+  }
+
+  return ul(
+    { class: "datalayer-debug-list" },
+    ...events
+      .reverse()
+      .map((entry) =>
+        li(
+          { class: "datalayer-debug-entry" },
+          div(
+            { class: "datalayer-debug-entry-header" },
+            span({ class: "datalayer-debug-time" }, formatTime(entry.time)),
+            span({ class: "datalayer-debug-type" }, entry.name),
+            span(
+              { class: "datalayer-debug-source" },
+              entry.dispatched ? "dispatched" : "skipped (no analytics consent)"
+            )
+          ),
+          div({ class: "datalayer-debug-detail" }, `on ${entry.page}`)
+        )
+      )
+  );
+}
+
+/**
+ * Go back to the state before the last change not undone yet
+ * Restored states are recorded too, but are skipped here
+ */
+function stepBack() {
+  const changes = getDataLayerHistory().filter(
+    (entry) => entry.type !== "timeTravel"
+  );
+  const entry = changes[changes.length - 1 - stepsBack];
+  if (!entry) return;
+
+  stepsBack += 1;
+  replaceDataLayerState(entry.before);
+}
+
+/**
+ * Download the dataLayer and its history as a JSON snapshot
+ */
+function exportSnapshot() {
+  const snapshot = {
+    version: DATALAYER_VERSION,
+    exportedAt: new Date().toISOString(),
+    url: window.location.href,
+    dataLayer: window.dataLayer,
+    // The states before and after each change are left out, the diffs
+    // describe them
+    history: getDataLayerHistory().map(({ before, after, ...entry }) => entry),
+    events: getCustomEventLog(),
+  };
+
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(snapshot, null, 2)], {
+      type: "application/json",
+    })
+  );
+  a({ href: url, download: `datalayer-${Date.now()}.json` }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Load the dataLayer of an exported snapshot
+ * @param {File} file - Snapshot file (see exportSnapshot)
+ */
+async function importSnapshot(file) {
+  try {
+    const snapshot = JSON.parse(await file.text());
+    const version = parseInt(snapshot?.version, 10) || 1;
+    if (!replaceDataLayerState(snapshot?.dataLayer, version)) {
+      console.warn("⚠ The snapshot does not contain a dataLayer");
+    }
+  } catch (error) {
+    console.warn("⚠ Could not import dataLayer snapshot:", error.message);
+  }
+}
+
+/**
+ * Show the dataLayer debug panel
+ */
+export default function showDataLayerDebugPanel() {
+  if (document.querySelector(".datalayer-debug")) return;
+
+  const body = div({ class: "datalayer-debug-body" });
+
+  const tabButtons = TABS.map(({ name, label: tabLabel }) =>
+    button(
+      { type: "button", class: "datalayer-debug-tab", "data-tab": name },
+      tabLabel
+    )
+  );
+
+  const fileInput = input({
+    type: "file",
+    accept: "application/json,.json",
+    class: "datalayer-debug-file",
+    onchange: () => {
+      if (fileInput.files[0]) importSnapshot(fileInput.files[0]);
+      fileInput.value = "";
+    },
+  });
+
+  const clearButton = button({ type: "button" }, "Clear log");
+
+  const panel = domEl(
+    "aside",
+    { class: "datalayer-debug-panel", "aria-label": "dataLayer debug" },
+    div({ class: "datalayer-debug-tabs" }, ...tabButtons),
+    div(
+      { class: "datalayer-debug-actions" },
+      button({ type: "button", onclick: stepBack }, "Step back"),
+      button({ type: "button", onclick: exportSnapshot }, "Export"),
+      label({ class: "datalayer-debug-import" }, "Import", fileInput),
+      clearButton
+    ),
+    body
+  );
+
+  const toggle = button(
+    {
+      type: "button",
+      class: "datalayer-debug-toggle",
+      "aria-expanded": "true",
+      onclick: () => {
+        panel.hidden = !panel.hidden;
+        toggle.setAttribute("aria-expanded", `${!panel.hidden}`);
+      },
+    },
+    "dataLayer"
+  );
+
+  /**
+   * Render the active tab
+   */
+  const render = () => {
+    if (panel.hidden) return;
+
+    tabButtons.forEach((tabButton) => {
+      const selected = tabButton.dataset.tab === activeTab;
+      tabButton.setAttribute("aria-pressed", `${selected}`);
+    });
+
+    const builders = {
+      state: buildStateTab,
+      history: buildHistoryTab,
+      events: buildEventsTab,
+    };
+    body.replaceChildren(builders[activeTab]());
+  };
+
+  tabButtons.forEach((tabButton) => {
+    tabButton.addEventListener("click", () => {
+      activeTab = tabButton.dataset.tab;
+      render();
+    });
+  });
+
+  clearButton.addEventListener("click", () => {
+    clearDataLayerHistory();
+    stepsBack = 0;
+    render();
+  });
+
+  document.addEventListener("dataLayerUpdated", render);
+  document.addEventListener(DATALAYER_DEBUG_EVENTS.RECORDED, (event) => {
+    if (event.detail.entry.type !== "timeTravel") stepsBack = 0;
+    render();
+  });
+  document.addEventListener(DATALAYER_DEBUG_EVENTS.EVENT_LOGGED, render);
+  toggle.addEventListener("click", render);
+
+  document.body.append(div({ class: "datalayer-debug" }, toggle, panel));
+  render();
+}
@@ -0,0 +1,132 @@
+// ==========================================
+// DataLayer Debug Recorder
+// Keeps a chronological log of the dataLayer changes and of the custom
+// events fired on the page, for the debug panel
+// (datalayer-debug-panel.js).
+//
+// Only downloaded in debug mode (see isDataLayerDebugEnabled): enabled
+// with the `datalayer-debug` query parameter on localhost and preview
+// hosts, it then stays on for the browser tab (luma_dataLayer_debug in
+// sessionStorage) until `?datalayer-debug=off`.
+// ==========================================
+
+import { isDataLayerDebugEnabled } from "./datalayer-schema.js";
+
+// Oldest entries are dropped beyond these limits
+const MAX_HISTORY = 100;
+const MAX_EVENTS = 200;
+
+// Frames of these scripts are skipped when looking for the caller
+const INTERNAL_SCRIPTS = [
+  "datalayer.js",
+  "datalayer-debug.js",
+  "commerce/cart.js",
+  "commerce/wishlist.js",
+];
+
+/**
+ * Typed debug events dispatched on document.
+ * event.detail contains the recorded `entry`.
+ */
+export const DATALAYER_DEBUG_EVENTS = {
+  RECORDED: "dataLayerDebug:recorded",
+  EVENT_LOGGED: "dataLayerDebug:event-logged",
+};
+
+const history = [];
+const customEvents = [];
+let nextId = 1;
+
+/**
+ * Find what called into the dataLayer
+ * @returns {string} Block name (e.g. "product-detail"), script path
+ *   (e.g. "commerce/user-cart.js"), or "console"
+ */
+export function getCallSource() {
+  const frames = (new Error().stack || "").split("\n").slice(1);
+
+  const block = frames
+    .map((frame) => frame.match(/\/blocks\/([\w-]+)\//))
+    .find(Boolean);
+  if (block) return block[1];
+
+  const script = frames
+    .map((frame) => frame.match(/\/scripts\/([\w/-]+\.js)/))
+    .find((match) => match && !INTERNAL_SCRIPTS.includes(match[1]));
+  return script ? script[1] : "console";
+}
+
+/**
+ * Dispatch a typed debug event
+ * @param {string} type - One of DATALAYER_DEBUG_EVENTS
+ * @param {Object} entry - Recorded entry
+ */
+function dispatchDebugEvent(type, entry) {
+  document.dispatchEvent(new CustomEvent(type, { detail: { entry } }));
+}
+
+/**
+ * Record a dataLayer change
+ * @param {Object} change - { type, source, args, diff, before, after }
+ *   where type is e.g. "updateDataLayer", "addToCart", "synced" or
+ *   "timeTravel", and before/after are dataLayer snapshots
+ */
+export function recordDataLayerChange(change) {
+  if (!isDataLayerDebugEnabled()) return;
+
+  const entry = { id: nextId, time: new Date().toISOString(), ...change };
+  nextId += 1;
+  history.push(entry);
+  if (history.length > MAX_HISTORY) history.shift();
+  dispatchDebugEvent(DATALAYER_DEBUG_EVENTS.RECORDED, entry);
+}
+
+/**
+ * Record a custom event (see custom-events.js)
+ * @param {string} name - Event name
+ * @param {Object} details - { dispatched, page, config } where dispatched
+ *   is false if the event was skipped (no consent) and config is its row
+ *   of custom-events.json
+ */
+export function recordCustomEvent(name, details = {}) {
+  if (!isDataLayerDebugEnabled()) return;
+
+  const entry = {
+    id: nextId,
+    time: new Date().toISOString(),
+    name,
+    ...JSON.parse(JSON.stringify(details)),
+  };
+  nextId += 1;
+  customEvents.push(entry);
+  if (customEvents.length > MAX_EVENTS) customEvents.shift();
+  dispatchDebugEvent(DATALAYER_DEBUG_EVENTS.EVENT_LOGGED, entry);
+}
+
+/**
+ * Get the recorded dataLayer changes
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export function getDataLayerHistory() {
+  return [...history];
+}
+
+/**
+ * Get the recorded custom events
+ * @returns {Array<Object>} Entries, oldest first
+ */
+export function getCustomEventLog() {
+  return [...customEvents];
+}
+
+/**
+ * Forget the recorded changes and events
+ */
+export function clearDataLayerHistory() {
+  history.length = 0;
+  customEvents.length = 0;
+}
+
+// History API for the browser console
+window.getDataLayerHistory = getDataLayerHistory;
+window.getCustomEventLog = getCustomEventLog;
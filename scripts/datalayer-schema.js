@@ -0,0 +1,419 @@
+// ==========================================
+// DataLayer Schema
+// Declared shape of the persisted dataLayer (luma_dataLayer), its version
+// and the migrations that upgrade states persisted by older releases.
+//
+// Bump DATALAYER_VERSION and append a migration whenever the shape of a
+// persisted part changes. A returning visitor's state is then upgraded
+// step by step on restore instead of being trusted as is. The version is
+// stored next to the dataLayer (luma_dataLayer_version), so it is not
+// part of what analytics tags see; states without one are version 1.
+//
+// The schema only checks the types of the declared paths: objects may
+// carry more properties than declared, and missing (or null) values are
+// allowed.
+// ==========================================
+
+import { VARIANT_OPTIONS } from "./commerce/variants.js";
+
+export const DATALAYER_VERSION = 3;
+
+// Schema shorthands
+const string = { type: "string" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const object = (properties = {}) => ({ type: "object", properties });
+// Object with arbitrary keys whose values all have the same shape
+const map = (values) => ({ type: "object", values });
+
+const cartLine = object({
+  id: string,
+  sku: string,
+  name: string,
+  price: number,
+  quantity: number,
+  subTotal: number,
+  total: number,
+});
+
+const wishlistItem = object({
+  id: string,
+  name: string,
+  price: number,
+  hasVariants: boolean,
+});
+
+export const DATALAYER_SCHEMA = object({
+  projectName: string,
+  project: object({
+    id: string,
+    title: string,
+    template: string,
+    locale: string,
+    currency: string,
+    baseCurrency: string,
+    exchangeRate: number,
+    projectName: string,
+  }),
+  page: object({
+    name: string,
+    title: string,
+  }),
+  product: object({
+    id: string,
+    sku: string,
+    name: string,
+    price: number,
+  }),
+  cart: object({
+    productCount: number,
+    subTotal: number,
+    total: number,
+    products: map(cartLine),
+    discount: object({ code: string, amount: number }),
+    shipping: object({ amount: number }),
+    tax: object({ amount: number, inclusive: boolean }),
+  }),
+  wishlist: object({
+    productCount: number,
+    products: map(wishlistItem),
+  }),
+  commerce: object(),
+  partnerData: object(),
+  personalEmail: object({ address: string }),
+  mobilePhone: object({ number: string }),
+  homeAddress: object({
+    street1: string,
+    city: string,
+    postalCode: string,
+  }),
+  person: object({
+    gender: string,
+    birthDayAndMonth: string,
+    loyaltyConsent: boolean,
+    name: object({ firstName: string, lastName: string }),
+  }),
+  individualCharacteristics: object({
+    retail: object({
+      shoeSize: string,
+      shirtSize: string,
+      favoriteColor: string,
+    }),
+  }),
+  consents: object({
+    marketing: object({
+      call: object({ val: boolean }),
+      email: object({ val: boolean }),
+      sms: object({ val: boolean }),
+    }),
+  }),
+});
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - Value
+ * @returns {string} "array", "object", "string", "number", ...
+ */
+function getType(value) {
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && !Number.isFinite(value)) return "NaN";
+  return typeof value;
+}
+
+/**
+ * Validate a dataLayer (or a partial update) against the schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value (defaults to the dataLayer)
+ * @param {Array<string>} path - Path of the value (used when recursing)
+ * @param {Array<string>|null} entry - Path of the map() value containing
+ *   the value, e.g. a cart line (used when recursing)
+ * @returns {Array<Object>} Errors { path, segments, entry, expected, actual }
+ */
+export function validateDataLayer(
+  value,
+  schema = DATALAYER_SCHEMA,
+  path = [],
+  entry = null
+) {
+  if (value === undefined || value === null) return [];
+
+  const actual = getType(value);
+  if (actual !== schema.type) {
+    return [
+      {
+        path: path.join(".") || "(root)",
+        segments: path,
+        entry,
+        expected: schema.type,
+        actual,
+      },
+    ];
+  }
+  if (schema.type !== "object") return [];
+
+  const errors = [];
+  Object.entries(schema.properties || {}).forEach(([key, child]) => {
+    errors.push(...validateDataLayer(value[key], child, [...path, key], entry));
+  });
+  if (schema.values) {
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = [...path, key];
+      errors.push(
+        ...validateDataLayer(child, schema.values, childPath, childPath)
+      );
+    });
+  }
+  return errors;
+}
+
+/**
+ * Get the value at a path
+ * @param {Object} source - Object
+ * @param {Array<string>} segments - Path
+ * @returns {*} The value, or undefined
+ */
+function getAt(source, segments) {
+  return segments.reduce((node, key) => (node ? node[key] : undefined), source);
+}
+
+/**
+ * Replace the invalid values of a dataLayer
+ * Numeric strings where a number is expected are converted. Other invalid
+ * values are reset to their default; without one, the value is removed,
+ * or the whole map() entry containing it (a cart line or wishlist item
+ * missing a field would break the totals).
+ * @param {Object} state - DataLayer (mutated)
+ * @param {Array<Object>} errors - Errors (see validateDataLayer)
+ * @param {Object} defaults - Initial dataLayer
+ * @returns {Object} The repaired dataLayer
+ */
+export function repairDataLayer(state, errors, defaults) {
+  errors.forEach(({ segments, entry, expected }) => {
+    if (segments.length === 0) return;
+    const parent = getAt(state, segments.slice(0, -1));
+    if (!parent || typeof parent !== "object") return;
+
+    const key = segments[segments.length - 1];
+    const value = parent[key];
+    if (
+      expected === "number" &&
+      typeof value === "string" &&
+      value.trim() !== "" &&
+      Number.isFinite(Number(value))
+    ) {
+      parent[key] = Number(value);
+      return;
+    }
+
+    const fallback = getAt(defaults, segments);
+    if (fallback !== undefined) {
+      parent[key] = JSON.parse(JSON.stringify(fallback));
+    } else if (entry) {
+      const owner = getAt(state, entry.slice(0, -1));
+      if (owner && typeof owner === "object") {
+        delete owner[entry[entry.length - 1]];
+      }
+    } else {
+      delete parent[key];
+    }
+  });
+  return state;
+}
+
+/**
+ * Check whether validation warnings should be shown
+ * @returns {boolean} True on localhost and on preview hosts
+ */
+export function isDataLayerDevMode() {
+  const { hostname } = window.location;
+  return (
+    hostname.includes("localhost") ||
+    hostname === "127.0.0.1" ||
+    hostname.endsWith(".aem.page") ||
+    hostname.endsWith(".hlx.page")
+  );
+}
+
+const DEBUG_PARAM = "datalayer-debug";
+const DEBUG_STORAGE_KEY = "luma_dataLayer_debug";
+
+let debugEnabled = null;
+
+/**
+ * Check whether the debug recorder and panel are enabled
+ * Only available in dev mode: on production hosts the panel could replace
+ * the dataLayer with any imported state
+ * @returns {boolean} True with ?datalayer-debug (for the rest of the tab)
+ */
+export function isDataLayerDebugEnabled() {
+  if (debugEnabled !== null) return debugEnabled;
+  if (!isDataLayerDevMode()) {
+    debugEnabled = false;
+    return debugEnabled;
+  }
+
+  const param = new URLSearchParams(window.location.search).get(DEBUG_PARAM);
+  try {
+    if (param === "off" || param === "false") {
+      sessionStorage.removeItem(DEBUG_STORAGE_KEY);
+    } else if (param !== null) {
+      sessionStorage.setItem(DEBUG_STORAGE_KEY, "true");
+    }
+    debugEnabled = sessionStorage.getItem(DEBUG_STORAGE_KEY) === "true";
+  } catch (error) {
+    debugEnabled = param !== null && param !== "off" && param !== "false";
+  }
+  return debugEnabled;
+}
+
+/**
+ * Warn about schema errors (dev mode only)
+ * @param {Array<Object>} errors - Errors (see validateDataLayer)
+ * @param {string} source - Where the value came from (e.g. "updateDataLayer")
+ */
+export function warnSchemaErrors(errors, source) {
+  if (errors.length === 0 || !isDataLayerDevMode()) return;
+  errors.forEach(({ path, expected, actual }) => {
+    console.warn(
+      `⚠ dataLayer ${source}: ${path} should be ${expected}, got ${actual}`
+    );
+  });
+}
+
+// ==========================================
+// Migrations
+// One entry per version, in order. `migrate` receives the state of the
+// previous version and returns the upgraded state.
+// ==========================================
+
+/**
+ * Convert a number-like value
+ * @param {*} value - Value
+ * @param {number} fallback - Value when it is not a number
+ * @returns {number} Number
+ */
+function toNumber(value, fallback = 0) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Key of a cart line in a version 2 cart (same as getLineKey in cart.js)
+ * @param {Object} line - Cart line of a version 1 cart
+ * @returns {string} Product ID, followed by the variant options if any
+ */
+function toLineKey(line) {
+  const options = VARIANT_OPTIONS.map(({ name }) => line[name]).filter(Boolean);
+  return [line.productId || line.id, ...options].join("|");
+}
+
+export const DATALAYER_MIGRATIONS = [
+  {
+    version: 2,
+    description:
+      "Cart and wishlist products are objects keyed by line key / product ID",
+    migrate: (state) => {
+      const cart = state.cart || {};
+      if (Array.isArray(cart.products)) {
+        const products = {};
+        cart.products.filter(Boolean).forEach((line) => {
+          const quantity = toNumber(line.quantity, 1);
+          const price = toNumber(line.price);
+          const key = toLineKey(line);
+          products[key] = {
+            ...products[key],
+            ...line,
+            quantity: (products[key]?.quantity || 0) + quantity,
+            price,
+          };
+        });
+        Object.values(products).forEach((line) => {
+          line.subTotal = Math.round(line.price * line.quantity * 100) / 100;
+          line.total = line.subTotal;
+        });
+        cart.products = products;
+        cart.productCount = Object.values(products).reduce(
+          (sum, line) => sum + line.quantity,
+          0
+        );
+        cart.subTotal =
+          Math.round(
+            Object.values(products).reduce(
+              (sum, line) => sum + line.subTotal,
+              0
+            ) * 100
+          ) / 100;
+        // The total also holds shipping, tax and discounts
+        cart.total = toNumber(cart.total, cart.subTotal);
+      }
+
+      const wishlist = state.wishlist || {};
+      if (Array.isArray(wishlist.products)) {
+        const products = {};
+        wishlist.products.filter(Boolean).forEach((item) => {
+          if (item.id) products[item.id] = item;
+        });
+        wishlist.products = products;
+        wishlist.productCount = Object.keys(products).length;
+      }
+
+      return { ...state, cart, wishlist };
+    },
+  },
+  {
+    version: 3,
+    description:
+      "commerce.payment only holds the method, reference and masked card",
+    migrate: (state) => {
+      const payment = state.commerce?.payment;
+      if (!payment || typeof payment !== "object") return state;
+      const { method, reference, brand, last4 } = payment;
+      return {
+        ...state,
+        commerce: {
+          ...state.commerce,
+          payment: {
+            method: method || "",
+            reference: reference || "",
+            brand: brand || "",
+            last4: last4 || "",
+          },
+        },
+      };
+    },
+  },
+];
+
+/**
+ * Upgrade a persisted dataLayer to the current version
+ * @param {Object} state - Persisted dataLayer
+ * @param {number} version - Version it was persisted with
+ * @returns {Object} { state, applied } - state is null when it cannot be
+ *   upgraded (written by a newer release, or a migration failed)
+ */
+export function migrateDataLayer(state, version = 1) {
+  if (version > DATALAYER_VERSION) {
+    console.warn(
+      `⚠ dataLayer version ${version} is newer than ${DATALAYER_VERSION}, starting fresh`
+    );
+    return { state: null, applied: [] };
+  }
+
+  let migrated = state;
+  let current = version;
+  const applied = [];
+  try {
+    DATALAYER_MIGRATIONS.filter((migration) => migration.version > version)
+      .sort((a, b) => a.version - b.version)
+      .forEach((migration) => {
+        current = migration.version;
+        migrated = migration.migrate(migrated);
+        applied.push(migration.version);
+      });
+  } catch (error) {
+    console.error(`✗ dataLayer migration to version ${current} failed:`, error);
+    return { state: null, applied };
+  }
+
+  return { state: migrated, applied };
+}
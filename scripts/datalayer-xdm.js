@@ -0,0 +1,535 @@
+// ==========================================
+// Adobe Client Data Layer / XDM Adapter
+// Mirrors the custom dataLayer into window.adobeDataLayer, the push array
+// read by the Adobe Client Data Layer (ACDL) and by tag managers, and
+// pushes standard XDM commerce events:
+//
+//   { event: "commerce.productListAdds", xdm: { eventType, commerce,
+//     productListItems } }
+//
+// State: every change of a mirrored section (MIRRORED_SECTIONS) is pushed
+// as a partial state object; removed values are pushed as null, which
+// deletes them from the ACDL state. Of the payment, only the fields in
+// MIRRORED_PAYMENT_FIELDS are mirrored.
+//
+// Events: productViews (product page), productListAdds and
+// productListRemovals (CART_EVENTS), checkouts (checkout page) and
+// purchases (dataLayer.commerce.order). A purchase is pushed once per
+// order number (PURCHASES_STORAGE_KEY): on the order summary, or on the
+// confirmation page if the summary was left before it was pushed.
+//
+// Field mapping: the XDM fields are filled from normalized sources (see
+// toItemSource and toOrderSource) through DEFAULT_XDM_MAPPING. The
+// authored /xdm-mapping.json sheet (columns scope, xdm, source) adds or
+// overrides fields; an empty source removes a field.
+//
+// Nothing is pushed without the visitor's consent to analytics, and the
+// tag manager reading window.adobeDataLayer (Adobe Launch, LAUNCH_URL) is
+// only loaded once it is given.
+// ==========================================
+
+import { loadScript } from "./aem.js";
+import { CART_EVENTS } from "./commerce/cart.js";
+import { BASE_CURRENCY, roundAmount } from "./commerce/currency.js";
+import { fetchSheet, getSheetRows } from "./commerce/sheets.js";
+import { COMMERCE_PAGES, getCurrentPage } from "./commerce/routes.js";
+import { CONSENT_CATEGORIES, CONSENT_EVENTS, hasConsent } from "./consent.js";
+
+const LAUNCH_URL =
+  "https://assets.adobedtm.com/7b819c6f78be/e7ad2aa0b78f/launch-94cd745718cb-development.min.js";
+
+const XDM_MAPPING_URL = "/xdm-mapping.json";
+const XDM_MAPPING_STORAGE_KEY = "luma_xdmMappingSheet";
+
+// Order numbers whose purchase was pushed in this session
+const PURCHASES_STORAGE_KEY = "luma_xdm_purchases";
+const PURCHASES_LIMIT = 20;
+
+// Sections of the dataLayer mirrored into the ACDL state. The profile
+// details (personalEmail, person...) are left out on purpose.
+const MIRRORED_SECTIONS = [
+  "project",
+  "page",
+  "product",
+  "cart",
+  "wishlist",
+  "commerce",
+];
+
+// Fields of dataLayer.commerce.payment mirrored into the ACDL state; the
+// card brand and last digits stay out of the tags' reach
+const MIRRORED_PAYMENT_FIELDS = ["method", "reference"];
+
+export const XDM_EVENTS = {
+  PRODUCT_VIEWS: "commerce.productViews",
+  PRODUCT_LIST_ADDS: "commerce.productListAdds",
+  PRODUCT_LIST_REMOVALS: "commerce.productListRemovals",
+  CHECKOUTS: "commerce.checkouts",
+  PURCHASES: "commerce.purchases",
+};
+
+/**
+ * XDM field (dot-notation, numeric segments are array indexes) → source
+ * field, per scope:
+ *   item:  fields of each productListItems entry, from toItemSource
+ *   order: fields of the purchase event (from the xdm root), from
+ *          toOrderSource
+ */
+export const DEFAULT_XDM_MAPPING = {
+  item: {
+    SKU: "sku",
+    name: "name",
+    quantity: "quantity",
+    priceTotal: "priceTotal",
+    currencyCode: "currencyCode",
+    "productCategories.0.categoryID": "category",
+  },
+  order: {
+    "commerce.order.purchaseID": "purchaseOrderNumber",
+    "commerce.order.priceTotal": "total",
+    "commerce.order.currencyCode": "currencyCode",
+    "commerce.order.taxAmount": "taxAmount",
+    "commerce.order.discountAmount": "discountAmount",
+    "commerce.order.payments.0.paymentType": "paymentMethod",
+    "commerce.order.payments.0.paymentAmount": "total",
+    "commerce.order.payments.0.currencyCode": "currencyCode",
+    "commerce.order.payments.0.transactionID": "paymentReference",
+    "commerce.shipping.shippingMethod": "shippingMethod",
+    "commerce.shipping.shippingAmount": "shippingAmount",
+  },
+};
+
+let mappingPromise = null;
+
+/**
+ * Load the field mapping
+ * @returns {Promise<Object>} Mapping per scope (see DEFAULT_XDM_MAPPING)
+ */
+export function loadXdmMapping() {
+  if (mappingPromise) return mappingPromise;
+
+  mappingPromise = fetchSheet(XDM_MAPPING_URL, {
+    storageKey: XDM_MAPPING_STORAGE_KEY,
+  }).then((json) => {
+    const mapping = {
+      item: { ...DEFAULT_XDM_MAPPING.item },
+      order: { ...DEFAULT_XDM_MAPPING.order },
+    };
+    getSheetRows(json).forEach((row) => {
+      const scope = `${row.scope || ""}`.trim().toLowerCase();
+      const xdm = `${row.xdm || ""}`.trim();
+      if (!mapping[scope] || !xdm) return;
+
+      const source = `${row.source || ""}`.trim();
+      if (source) {
+        mapping[scope][xdm] = source;
+      } else {
+        delete mapping[scope][xdm];
+      }
+    });
+    return mapping;
+  });
+  return mappingPromise;
+}
+
+/**
+ * Get the value at a dot-notation path
+ * @param {Object} source - Object
+ * @param {string} path - Path (e.g. "shipping.amount")
+ * @returns {*} The value, or undefined
+ */
+function getValue(source, path) {
+  return path.split(".").reduce((value, key) => {
+    if (value === null || typeof value !== "object") return undefined;
+    return value[key];
+  }, source);
+}
+
+/**
+ * Set the value at a dot-notation path, creating objects and arrays
+ * @param {Object} target - Object (mutated)
+ * @param {string} path - Path (numeric segments create arrays)
+ * @param {*} value - Value
+ */
+function setValue(target, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key, index) => {
+    if (node[key] === undefined || node[key] === null) {
+      const next = keys[index + 1] ?? last;
+      node[key] = /^\d+$/.test(next) ? [] : {};
+    }
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Fill XDM fields from a source
+ * Empty source values are left out
+ * @param {Object} fields - XDM field → source field
+ * @param {Object} source - Normalized source
+ * @param {Object} target - XDM object (mutated)
+ * @returns {Object} The XDM object
+ */
+function applyMapping(fields, source, target = {}) {
+  Object.entries(fields).forEach(([xdmPath, sourcePath]) => {
+    const value = getValue(source, sourcePath);
+    if (value === undefined || value === null || value === "") return;
+    setValue(target, xdmPath, value);
+  });
+  return target;
+}
+
+/**
+ * Normalize a cart line, order item or product for the item mapping
+ * @param {Object} line - Cart line, order item or dataLayer.product
+ * @param {number} quantity - Quantity of the event (defaults to the line's)
+ * @returns {Object} Line fields plus productId, sku, quantity, price,
+ *   priceTotal and currencyCode
+ */
+function toItemSource(line, quantity = line.quantity || 1) {
+  const price = parseFloat(line.price) || 0;
+  return {
+    ...line,
+    productId: line.productId || line.id,
+    sku: line.sku || line.id,
+    quantity,
+    price,
+    priceTotal: roundAmount(price * quantity),
+    currencyCode: BASE_CURRENCY, // dataLayer amounts are in the base currency
+  };
+}
+
+/**
+ * Normalize dataLayer.commerce for the order mapping
+ * @param {Object} commerce - dataLayer.commerce
+ * @returns {Object} Order fields plus currencyCode, shippingMethod,
+ *   shippingAmount, paymentMethod and paymentReference
+ */
+function toOrderSource(commerce) {
+  const order = commerce.order || {};
+  return {
+    ...order,
+    currencyCode: BASE_CURRENCY,
+    shippingMethod: commerce.shipping?.shippingMethod || "",
+    shippingAmount: commerce.shipping?.shippingAmount || 0,
+    paymentMethod: commerce.payment?.method || "",
+    paymentReference: commerce.payment?.reference || "",
+  };
+}
+
+/**
+ * Push to window.adobeDataLayer
+ * @param {Object} entry - State or event
+ */
+function pushToAdobeDataLayer(entry) {
+  window.adobeDataLayer = window.adobeDataLayer || [];
+  window.adobeDataLayer.push(entry);
+}
+
+/**
+ * Push an XDM commerce event
+ * @param {string} eventType - One of XDM_EVENTS
+ * @param {Array<Object>} items - Normalized items (see toItemSource)
+ * @param {Function} extend - Adds fields to the xdm object (optional)
+ */
+async function pushXdmEvent(eventType, items, extend = null) {
+  if (!hasConsent(CONSENT_CATEGORIES.ANALYTICS)) return;
+
+  const mapping = await loadXdmMapping();
+  const measure = eventType.replace(/^commerce\./, "");
+  const xdm = {
+    eventType,
+    commerce: { [measure]: { value: 1 } },
+    productListItems: items.map((item) => applyMapping(mapping.item, item)),
+  };
+  if (extend) extend(xdm, mapping);
+
+  pushToAdobeDataLayer({ event: eventType, xdm });
+}
+
+// ==========================================
+// State mirror
+// ==========================================
+
+/**
+ * Check if a dataLayer path is mirrored
+ * @param {string} path - Dot-notation path
+ * @returns {boolean} True if its section and payment field are mirrored
+ */
+function isMirroredPath(path) {
+  const [section, key, field] = path.split(".");
+  if (!MIRRORED_SECTIONS.includes(section)) return false;
+  if (section !== "commerce" || key !== "payment" || field === undefined) {
+    return true;
+  }
+  return MIRRORED_PAYMENT_FIELDS.includes(field);
+}
+
+/**
+ * Keep the mirrored payment fields of a payment
+ * @param {*} payment - dataLayer.commerce.payment
+ * @returns {*} Copy with the mirrored fields (other values as is)
+ */
+function toMirroredPayment(payment) {
+  if (!payment || typeof payment !== "object") return payment;
+  return Object.fromEntries(
+    Object.entries(payment).filter(([field]) =>
+      MIRRORED_PAYMENT_FIELDS.includes(field)
+    )
+  );
+}
+
+/**
+ * Get the mirrored part of a dataLayer value
+ * @param {string} path - Dot-notation path of the value
+ * @param {*} value - Value
+ * @returns {*} The value, with the payment reduced to its mirrored fields
+ */
+function toMirroredValue(path, value) {
+  if (path === "commerce.payment") return toMirroredPayment(value);
+  if (path === "commerce" && value?.payment) {
+    return { ...value, payment: toMirroredPayment(value.payment) };
+  }
+  return value;
+}
+
+/**
+ * Get the mirrored sections of the dataLayer
+ * @returns {Object} Partial dataLayer
+ */
+function getMirroredState() {
+  const state = {};
+  MIRRORED_SECTIONS.forEach((key) => {
+    const value = window.getDataLayerProperty(key);
+    if (value !== undefined) state[key] = toMirroredValue(key, value);
+  });
+  return state;
+}
+
+/**
+ * Push the changed values of the mirrored sections
+ * @param {Object} change - See window.subscribeDataLayer
+ */
+function mirrorChange({ diff }) {
+  if (!hasConsent(CONSENT_CATEGORIES.ANALYTICS)) return;
+
+  const update = {};
+  diff
+    .filter(({ path }) => isMirroredPath(path))
+    .forEach(({ path, newValue }) => {
+      const value = toMirroredValue(path, newValue);
+      setValue(update, path, value === undefined ? null : value);
+    });
+  if (Object.keys(update).length > 0) pushToAdobeDataLayer(update);
+}
+
+// ==========================================
+// Commerce events
+// ==========================================
+
+/**
+ * Push productViews once per product page, when the dataLayer describes
+ * the product of the page
+ * @returns {boolean} True once pushed
+ */
+function pushProductView() {
+  const productId = new URLSearchParams(window.location.search).get(
+    "productId"
+  );
+  const product = window.getDataLayerProperty("product");
+  if (!productId || ![product?.id, product?.sku].includes(productId)) {
+    return false;
+  }
+
+  pushXdmEvent(XDM_EVENTS.PRODUCT_VIEWS, [toItemSource(product, 1)]);
+  return true;
+}
+
+/**
+ * Push productListAdds / productListRemovals for cart changes made on
+ * this page (changes synced from other tabs are pushed by those tabs)
+ */
+function setupCartEvents() {
+  document.addEventListener(CART_EVENTS.ITEM_ADDED, (event) => {
+    const { product, quantity } = event.detail || {};
+    if (!product) return;
+    pushXdmEvent(XDM_EVENTS.PRODUCT_LIST_ADDS, [
+      toItemSource(product, quantity),
+    ]);
+  });
+
+  document.addEventListener(CART_EVENTS.ITEM_REMOVED, (event) => {
+    const { product } = event.detail || {};
+    if (!product) return;
+    pushXdmEvent(XDM_EVENTS.PRODUCT_LIST_REMOVALS, [toItemSource(product)]);
+  });
+
+  document.addEventListener(CART_EVENTS.QUANTITY_CHANGED, (event) => {
+    const { product, previousQuantity, quantity } = event.detail || {};
+    const delta = (quantity || 0) - (previousQuantity || 0);
+    if (!product || delta === 0) return;
+    pushXdmEvent(
+      delta > 0
+        ? XDM_EVENTS.PRODUCT_LIST_ADDS
+        : XDM_EVENTS.PRODUCT_LIST_REMOVALS,
+      [toItemSource(product, Math.abs(delta))]
+    );
+  });
+}
+
+/**
+ * Push checkouts when the checkout page is opened with a filled cart
+ */
+function pushCheckout() {
+  const products = Object.values(
+    window.getDataLayerProperty("cart.products") || {}
+  );
+  if (products.length === 0) return;
+  pushXdmEvent(
+    XDM_EVENTS.CHECKOUTS,
+    products.map((line) => toItemSource(line))
+  );
+}
+
+// Purchases being pushed on this page (see pushPurchase)
+const pendingPurchases = new Set();
+
+/**
+ * Get the order numbers whose purchase was pushed in this session
+ * @returns {Array<string>} Order numbers
+ */
+function readPushedPurchases() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PURCHASES_STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Remember that the purchase of an order was pushed
+ * @param {string} orderNumber - Order number
+ */
+function markPurchasePushed(orderNumber) {
+  const pushed = [...readPushedPurchases(), orderNumber];
+  try {
+    sessionStorage.setItem(
+      PURCHASES_STORAGE_KEY,
+      JSON.stringify(pushed.slice(-PURCHASES_LIMIT))
+    );
+  } catch (error) {
+    /* ignore */
+  }
+}
+
+/**
+ * Push the purchase of the order in dataLayer.commerce, once per order
+ * number
+ */
+async function pushPurchase() {
+  const commerce = window.getDataLayerProperty("commerce") || {};
+  const orderNumber = commerce.order?.purchaseOrderNumber;
+  if (
+    !orderNumber ||
+    !hasConsent(CONSENT_CATEGORIES.ANALYTICS) ||
+    pendingPurchases.has(orderNumber) ||
+    readPushedPurchases().includes(orderNumber)
+  ) {
+    return;
+  }
+
+  pendingPurchases.add(orderNumber);
+  const items = (commerce.order.items || []).map((item) => toItemSource(item));
+  try {
+    await pushXdmEvent(XDM_EVENTS.PURCHASES, items, (xdm, mapping) => {
+      applyMapping(mapping.order, toOrderSource(commerce), xdm);
+    });
+    markPurchasePushed(orderNumber);
+  } finally {
+    pendingPurchases.delete(orderNumber);
+  }
+}
+
+// Waits for the product of the product page (see pushPageEvents)
+let productViewSubscription = null;
+
+/**
+ * Push the events of the page itself (productViews, checkouts, and on the
+ * confirmation page the purchase, unless the order summary pushed it)
+ */
+function pushPageEvents() {
+  const page = getCurrentPage();
+  if (page === COMMERCE_PAGES.ORDER_CONFIRMATION) pushPurchase();
+  if (page === COMMERCE_PAGES.CHECKOUT) pushCheckout();
+  if (
+    page === COMMERCE_PAGES.PRODUCT &&
+    !productViewSubscription &&
+    !pushProductView()
+  ) {
+    productViewSubscription = window.subscribeDataLayer("product", () => {
+      if (!pushProductView()) return;
+      productViewSubscription();
+      productViewSubscription = null;
+    });
+  }
+}
+
+/**
+ * Load the tag manager, now or once the visitor agreed to analytics
+ */
+function loadTagManager() {
+  const load = () =>
+    loadScript(LAUNCH_URL).catch((error) => {
+      console.warn("⚠ Could not load the tag manager:", error.message);
+    });
+
+  if (hasConsent(CONSENT_CATEGORIES.ANALYTICS)) {
+    load();
+    return;
+  }
+
+  const onConsent = () => {
+    if (!hasConsent(CONSENT_CATEGORIES.ANALYTICS)) return;
+    document.removeEventListener(CONSENT_EVENTS.UPDATED, onConsent);
+    load();
+  };
+  document.addEventListener(CONSENT_EVENTS.UPDATED, onConsent);
+}
+
+/**
+ * Start mirroring the dataLayer into window.adobeDataLayer
+ */
+function initAdobeDataLayer() {
+  window.adobeDataLayer = window.adobeDataLayer || [];
+  if (typeof window.subscribeDataLayer !== "function") {
+    console.warn("⚠ dataLayer not available, adobeDataLayer not mirrored");
+    return;
+  }
+
+  if (hasConsent(CONSENT_CATEGORIES.ANALYTICS)) {
+    pushToAdobeDataLayer(getMirroredState());
+  }
+  window.subscribeDataLayer("", mirrorChange);
+
+  setupCartEvents();
+  window.subscribeDataLayer("commerce.order.purchaseOrderNumber", () =>
+    pushPurchase()
+  );
+  pushPageEvents();
+
+  // Consent given on this page: start from the current state, and send
+  // the page events that were skipped
+  document.addEventListener(CONSENT_EVENTS.UPDATED, (event) => {
+    const { consent, previous } = event.detail;
+    const analytics = CONSENT_CATEGORIES.ANALYTICS;
+    if (consent.categories[analytics] && !previous.categories[analytics]) {
+      pushToAdobeDataLayer(getMirroredState());
+      pushPageEvents();
+    }
+  });
+}
+
+initAdobeDataLayer();
+loadTagManager();
@@ -5,6 +5,22 @@
 
 // Import language utilities
 import { getLanguage } from "./utils.js";
+import {
+  add as addCartItem,
+  refreshCartPricing,
+  CART_EVENTS,
+} from "./commerce/cart.js";
+import { WISHLIST_EVENTS } from "./commerce/wishlist.js";
+import { BASE_CURRENCY, getLocale, loadCurrency } from "./commerce/currency.js";
+import {
+  DATALAYER_VERSION,
+  validateDataLayer,
+  repairDataLayer,
+  warnSchemaErrors,
+  migrateDataLayer,
+  isDataLayerDebugEnabled,
+} from "./datalayer-schema.js";
+import { CONSENT_CATEGORIES, CONSENT_EVENTS, hasConsent } from "./consent.js";
 
 // Queue for dataLayer updates that occur before dataLayer is ready
 window._dataLayerQueue = window._dataLayerQueue || [];
@@ -20,13 +36,50 @@ let _dataLayer = null;
 // Storage keys for dataLayer (using localStorage for persistence across sessions)
 const STORAGE_KEY = "luma_dataLayer";
 const STORAGE_TIMESTAMP_KEY = "luma_dataLayer_timestamp";
+const STORAGE_VERSION_KEY = "luma_dataLayer_version"; // see datalayer-schema.js
 const STORAGE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds (cart persistence)
 
-// Storage keys for checkout form data (separate from cart/dataLayer)
+// Storage keys for checkout form data (separate from cart/dataLayer). The
+// form is kept in sessionStorage for the current checkout, and under the
+// same key in localStorage for the next visit (with consent only).
 const CHECKOUT_STORAGE_KEY = "luma_checkout_data";
 const CHECKOUT_TIMESTAMP_KEY = "luma_checkout_data_timestamp";
 const CHECKOUT_TTL = 90 * 24 * 60 * 60 * 1000; // 90 days - longer persistence for user info
 
+// Parts of the dataLayer shared by all open tabs. The rest (page, product)
+// describes the page shown in each tab.
+const SHARED_KEYS = ["cart", "wishlist"];
+
+// Profile details (PII) are only persisted with the visitor's consent to
+// preferences storage; without it they only live for the current page
+const PROFILE_KEYS = [
+  "personalEmail",
+  "mobilePhone",
+  "homeAddress",
+  "person",
+  "individualCharacteristics",
+];
+const SYNC_CHANNEL_NAME = "luma_dataLayer";
+
+// Channel to the other tabs (null where BroadcastChannel is not supported,
+// those browsers are kept in sync through storage events)
+let syncChannel = null;
+let lastSharedState = "";
+
+// Set once the visitor asked to be forgotten: nothing is written again
+// until the page is reloaded
+let storageForgotten = false;
+
+// Path subscriptions (see window.subscribeDataLayer) and the dataLayer
+// they were last notified of
+const subscriptions = new Set();
+let lastNotifiedState = null;
+let flushScheduled = false;
+
+// Set while a change is recorded for the debug history, so that the
+// updateDataLayer calls made by addToCart are part of its entry
+let recordingChange = false;
+
 /**
  * Deep merge utility function for nested objects
  * Handles null values correctly - replaces null with source value
@@ -69,6 +122,232 @@ function isObject(item) {
   return item && typeof item === "object" && !Array.isArray(item);
 }
 
+/**
+ * Get the part of the dataLayer the visitor agreed to persist
+ * @returns {Object} DataLayer without the profile details if the visitor
+ *   did not consent to preferences storage
+ */
+function getPersistedDataLayer() {
+  if (hasConsent(CONSENT_CATEGORIES.PREFERENCES)) return _dataLayer;
+
+  const persisted = { ..._dataLayer };
+  PROFILE_KEYS.forEach((key) => {
+    delete persisted[key];
+  });
+  return persisted;
+}
+
+/**
+ * Persist the dataLayer to localStorage with its timestamp and version
+ */
+function persistDataLayer() {
+  if (storageForgotten) return;
+
+  try {
+    const now = Date.now().toString();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(getPersistedDataLayer()));
+    localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
+    localStorage.setItem(STORAGE_VERSION_KEY, `${DATALAYER_VERSION}`);
+  } catch (storageError) {
+    console.warn("⚠ Could not persist dataLayer:", storageError.message);
+  }
+}
+
+/**
+ * Create the dataLayer of a first visit
+ * @returns {Object} Initial dataLayer
+ */
+function createInitialDataLayer() {
+  // Detect current language from URL
+  const currentLang = getLanguage() || "en";
+  const locale = getLocale(currentLang);
+
+  return {
+    projectName: "luma3",
+    project: {
+      id: "luma3",
+      title: "Luma Website v3",
+      template: "web-modular/empty-website-v2",
+      locale,
+      currency: BASE_CURRENCY,
+      projectName: "luma3",
+    },
+    page: { name: "home", title: "HOME" },
+    cart: {},
+    wishlist: {},
+    product: {}, // Will be populated on product detail pages
+    partnerData: {
+      PartnerID: "Partner456",
+      BrandLoyalist: 88,
+      Seasonality: "Fall",
+    },
+    // User profile information (populated during registration/signin)
+    personalEmail: {
+      address: "",
+    },
+    mobilePhone: {
+      number: "",
+    },
+    homeAddress: {
+      street1: "",
+      city: "",
+      postalCode: "",
+    },
+    person: {
+      gender: "",
+      birthDayAndMonth: "",
+      loyaltyConsent: false,
+      name: {
+        firstName: "",
+        lastName: "",
+      },
+    },
+    individualCharacteristics: {
+      retail: {
+        shoeSize: "",
+        shirtSize: "",
+        favoriteColor: "",
+      },
+    },
+    consents: {
+      marketing: {
+        call: { val: true },
+        email: { val: true },
+        sms: { val: true },
+      },
+    },
+  };
+}
+
+/**
+ * Upgrade a dataLayer state to the current schema
+ * @param {Object} saved - DataLayer state
+ * @param {number} version - Schema version of the state
+ * @returns {Object|null} The upgraded dataLayer, or null if it is unusable
+ */
+function upgradeDataLayer(saved, version) {
+  if (!isObject(saved)) return null;
+
+  const { state, applied } = migrateDataLayer(saved, version);
+  if (!state) return null;
+  if (applied.length > 0) {
+    console.log(`✓ dataLayer migrated to version ${DATALAYER_VERSION}`);
+  }
+
+  const errors = validateDataLayer(state);
+  warnSchemaErrors(errors, "restore");
+
+  // Sections that were not persisted (e.g. the profile details without
+  // consent) start from their initial value
+  const initial = createInitialDataLayer();
+  return { ...initial, ...repairDataLayer(state, errors, initial) };
+}
+
+/**
+ * Restore the persisted dataLayer
+ * States persisted by older releases are migrated to the current version,
+ * then values that still do not match the schema are reset to their
+ * initial value (see upgradeDataLayer)
+ * @param {string} savedDataLayer - Persisted dataLayer (JSON)
+ * @returns {Object|null} The restored dataLayer, or null if it is unusable
+ */
+function restoreDataLayer(savedDataLayer) {
+  let saved;
+  try {
+    saved = JSON.parse(savedDataLayer);
+  } catch (error) {
+    console.warn("⚠ Ignoring invalid dataLayer in storage");
+    return null;
+  }
+
+  const version = parseInt(localStorage.getItem(STORAGE_VERSION_KEY), 10) || 1;
+  return upgradeDataLayer(saved, version);
+}
+
+// ==========================================
+// Path subscriptions
+// Subscribers are only called when the part of the dataLayer they watch
+// changed. Updates made in the same task are batched: subscribers are
+// called once, in a microtask, with the combined change.
+// ==========================================
+
+/**
+ * Get the value at a path
+ * @param {Object} source - DataLayer
+ * @param {Array<string>} segments - Path segments (empty for the root)
+ * @returns {*} The value, or undefined
+ */
+function getValueAtPath(source, segments) {
+  return segments.reduce(
+    (value, key) => (isObject(value) ? value[key] : undefined),
+    source
+  );
+}
+
+/**
+ * Compute the changes between two values
+ * Objects are compared property by property; anything else (including
+ * arrays) is compared as a whole
+ * @param {*} oldValue - Previous value
+ * @param {*} newValue - Current value
+ * @param {Array<string>} path - Path of the values
+ * @param {Array<Object>} changes - Changes found so far (used when recursing)
+ * @returns {Array<Object>} Changes { path, type, oldValue, newValue } with
+ *   type "added", "removed" or "changed"
+ */
+function diffValues(oldValue, newValue, path = [], changes = []) {
+  if (isObject(oldValue) && isObject(newValue)) {
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+    keys.forEach((key) => {
+      diffValues(oldValue[key], newValue[key], [...path, key], changes);
+    });
+    return changes;
+  }
+  if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return changes;
+
+  let type = "changed";
+  if (oldValue === undefined) type = "added";
+  if (newValue === undefined) type = "removed";
+  changes.push({ path: path.join("."), type, oldValue, newValue });
+  return changes;
+}
+
+/**
+ * Call the subscribers whose path changed since the last flush
+ */
+function flushSubscriptions() {
+  flushScheduled = false;
+  if (!_dataLayer) return;
+
+  const previous = lastNotifiedState;
+  lastNotifiedState = JSON.parse(JSON.stringify(_dataLayer));
+
+  subscriptions.forEach(({ path, segments, callback }) => {
+    const oldValue = getValueAtPath(previous, segments);
+    const newValue = getValueAtPath(lastNotifiedState, segments);
+    const diff = diffValues(oldValue, newValue, segments);
+    if (diff.length === 0) return;
+
+    try {
+      // Each subscriber gets its own copy
+      callback(JSON.parse(JSON.stringify({ path, oldValue, newValue, diff })));
+    } catch (error) {
+      console.error(`✗ dataLayer subscriber of "${path}" failed:`, error);
+    }
+  });
+}
+
+/**
+ * Call the subscribers once the current task is done
+ * Also runs without subscribers, so that later subscribers only see
+ * later changes
+ */
+function scheduleSubscriptionFlush() {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  queueMicrotask(flushSubscriptions);
+}
+
 /**
  * Dispatch dataLayer event
  * @param {string} eventType - Type of event (initialized, restored, updated)
@@ -83,6 +362,241 @@ function dispatchDataLayerEvent(eventType = "initialized") {
       },
     })
   );
+
+  scheduleSubscriptionFlush();
+}
+
+// ==========================================
+// Debug history
+// In debug mode, every change is recorded with its caller, its diff and
+// the states before and after it (see datalayer-debug.js). The recorder
+// is only downloaded in debug mode; changes made before it is loaded are
+// not recorded.
+// ==========================================
+
+// Debug recorder module, once loaded
+let debugRecorder = null;
+
+if (isDataLayerDebugEnabled()) {
+  import("./datalayer-debug.js").then((recorder) => {
+    debugRecorder = recorder;
+  });
+}
+
+/**
+ * Apply a change and record it in the debug history
+ * @param {Object} change - { type, args, source } describing the call;
+ *   the source defaults to the block or script on the call stack
+ * @param {Function} apply - Applies the change to _dataLayer
+ */
+function withHistory(change, apply) {
+  if (recordingChange || !_dataLayer || !debugRecorder) {
+    apply();
+    return;
+  }
+
+  const { getCallSource, recordDataLayerChange } = debugRecorder;
+  const source = change.source || getCallSource();
+  const before = JSON.parse(JSON.stringify(_dataLayer));
+  recordingChange = true;
+  try {
+    apply();
+  } finally {
+    recordingChange = false;
+    const after = JSON.parse(JSON.stringify(_dataLayer));
+    recordDataLayerChange({
+      type: change.type,
+      source,
+      args: JSON.parse(JSON.stringify(change.args || [])),
+      diff: diffValues(before, after),
+      before,
+      after,
+    });
+  }
+}
+
+/**
+ * Dispatch the typed cart and wishlist events for changed shared keys
+ * @param {Array<string>} keys - Changed keys (see SHARED_KEYS)
+ * @param {string} action - Action in the event detail
+ */
+function dispatchSharedEvents(keys, action) {
+  const events = {
+    cart: CART_EVENTS.UPDATED,
+    wishlist: WISHLIST_EVENTS.UPDATED,
+  };
+  keys.forEach((key) => {
+    document.dispatchEvent(
+      new CustomEvent(events[key], {
+        bubbles: true,
+        detail: {
+          action,
+          [key]: JSON.parse(JSON.stringify(_dataLayer[key] || {})),
+        },
+      })
+    );
+  });
+}
+
+// ==========================================
+// Cross-tab sync
+// Every tab keeps its own copy of the dataLayer, so the cart and wishlist
+// changed in one tab are pushed to the others. Without this, the last tab
+// to write would overwrite the other tabs' changes in localStorage.
+// ==========================================
+
+/**
+ * Get the shared (cross-tab) part of a dataLayer
+ * @param {Object} dataLayer - DataLayer
+ * @returns {Object} { cart, wishlist }
+ */
+function getSharedState(dataLayer) {
+  const shared = {};
+  SHARED_KEYS.forEach((key) => {
+    shared[key] = dataLayer?.[key] || {};
+  });
+  return shared;
+}
+
+/**
+ * Send the shared state to the other tabs if it changed
+ * Only needed with BroadcastChannel: storage events already notify the
+ * other tabs of every write to localStorage
+ */
+function broadcastSharedState() {
+  if (!syncChannel || !_dataLayer) return;
+
+  const shared = JSON.stringify(getSharedState(_dataLayer));
+  if (shared === lastSharedState) return;
+  lastSharedState = shared;
+
+  try {
+    syncChannel.postMessage({ shared });
+  } catch (error) {
+    console.warn("⚠ Could not sync dataLayer to other tabs:", error.message);
+  }
+}
+
+/**
+ * Apply the shared state written by another tab
+ * The state is already persisted by the other tab, so it is only applied
+ * in memory, then announced like a local update (with type "synced")
+ * @param {Object} incoming - DataLayer (or shared state) of the other tab
+ */
+function applySharedState(incoming) {
+  if (!_dataLayer || !isObject(incoming)) return;
+
+  const changed = SHARED_KEYS.filter(
+    (key) =>
+      JSON.stringify(incoming[key] || {}) !==
+      JSON.stringify(_dataLayer[key] || {})
+  );
+  if (changed.length === 0) return;
+
+  withHistory({ type: "synced", source: "other tab" }, () => {
+    changed.forEach((key) => {
+      _dataLayer[key] = incoming[key] || {};
+    });
+  });
+  lastSharedState = JSON.stringify(getSharedState(_dataLayer));
+
+  dispatchDataLayerEvent("synced");
+
+  // Blocks listening to the typed events refresh as well
+  dispatchSharedEvents(changed, "synced");
+}
+
+/**
+ * Listen for cart and wishlist changes made in other tabs
+ */
+function setupDataLayerSync() {
+  lastSharedState = JSON.stringify(getSharedState(_dataLayer));
+
+  if ("BroadcastChannel" in window) {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.addEventListener("message", (event) => {
+      try {
+        applySharedState(JSON.parse(event.data?.shared));
+      } catch (error) {
+        console.warn("⚠ Ignoring invalid dataLayer sync message");
+      }
+    });
+    return;
+  }
+
+  window.addEventListener("storage", (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+    try {
+      applySharedState(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn("⚠ Ignoring invalid dataLayer in storage");
+    }
+  });
+}
+
+/**
+ * Replace the whole dataLayer with a previous or imported state
+ * Used by the debug panel to step back in the history and to load the
+ * snapshot attached to a bug report. The state is upgraded like a
+ * persisted one, then persisted and announced with type "restored".
+ * Debug mode only (see isDataLayerDebugEnabled).
+ * @param {Object} state - DataLayer state
+ * @param {number} version - Schema version of the state
+ * @returns {boolean} True if the state was applied
+ */
+export function replaceDataLayerState(state, version = DATALAYER_VERSION) {
+  if (!_dataLayer || !isDataLayerDebugEnabled()) return false;
+
+  const upgraded = upgradeDataLayer(
+    JSON.parse(JSON.stringify(state ?? null)),
+    version
+  );
+  if (!upgraded) {
+    console.warn("⚠ Ignoring invalid dataLayer state");
+    return false;
+  }
+
+  const changed = SHARED_KEYS.filter(
+    (key) =>
+      JSON.stringify(upgraded[key] || {}) !==
+      JSON.stringify(_dataLayer[key] || {})
+  );
+
+  withHistory({ type: "timeTravel", args: [{ version }] }, () => {
+    _dataLayer = upgraded;
+  });
+  persistDataLayer();
+
+  dispatchDataLayerEvent("restored");
+  dispatchSharedEvents(changed, "restored");
+  broadcastSharedState();
+  return true;
+}
+
+/**
+ * Remove the checkout form data kept for later visits
+ * The current session keeps its copy
+ */
+function clearSavedCheckoutData() {
+  localStorage.removeItem(CHECKOUT_STORAGE_KEY);
+  localStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
+}
+
+/**
+ * Follow the visitor's privacy choices
+ * Withdrawn consent removes the profile details from storage right away
+ */
+function setupConsentListeners() {
+  document.addEventListener(CONSENT_EVENTS.UPDATED, () => {
+    persistDataLayer();
+    if (!hasConsent(CONSENT_CATEGORIES.PREFERENCES)) {
+      clearSavedCheckoutData();
+    }
+  });
+
+  document.addEventListener(CONSENT_EVENTS.FORGOTTEN, () => {
+    storageForgotten = true;
+  });
 }
 
 /**
@@ -94,27 +608,27 @@ function processDataLayerQueue() {
     window._dataLayerQueue.forEach((queuedUpdate, index) => {
       const { updates, merge } = queuedUpdate;
 
-      if (merge) {
-        _dataLayer = deepMerge(_dataLayer, updates);
-      } else {
-        _dataLayer = { ..._dataLayer, ...updates };
-      }
+      withHistory(
+        { type: "updateDataLayer", args: [updates, merge], source: "queue" },
+        () => {
+          if (merge) {
+            _dataLayer = deepMerge(_dataLayer, updates);
+          } else {
+            _dataLayer = { ..._dataLayer, ...updates };
+          }
+        }
+      );
     });
 
     // Persist final state after all queued updates
-    try {
-      const now = Date.now().toString();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-      localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-    } catch (storageError) {
-      console.warn("⚠ Could not persist dataLayer:", storageError.message);
-    }
+    persistDataLayer();
 
     // Clear the queue
     window._dataLayerQueue = [];
 
     // Dispatch single update event for all queued updates
     dispatchDataLayerEvent("updated");
+    broadcastSharedState();
   }
 }
 
@@ -126,7 +640,7 @@ function processCartQueue() {
     // Process each queued cart operation
     window._cartQueue.forEach((cartOperation, index) => {
       // Execute the actual add to cart logic
-      executeAddToCart(cartOperation);
+      executeAddToCart(cartOperation, "queue");
     });
 
     // Clear the cart queue
@@ -137,78 +651,46 @@ function processCartQueue() {
 /**
  * Execute add to cart logic (used by both immediate and queued operations)
  * @param {Object} productData - Product information to add to cart
+ * @param {string} source - Caller recorded in the debug history (optional,
+ *   defaults to the block or script on the call stack)
  */
-function executeAddToCart(productData) {
+function executeAddToCart(productData, source) {
   if (!_dataLayer) {
     console.error("DataLayer not available for cart operation");
     return;
   }
 
-  // initialize empty cart with products as object
-  let currentCart = {
-    productCount: 0,
-    products: {},
-    subTotal: 0,
-    total: 0,
-  };
-
-  // if cart already exists, use it
-  if (Object.keys(_dataLayer.cart).length > 0) {
-    currentCart = _dataLayer.cart;
-  }
-
-  // Use SKU or ID as the key
-  const productKey = productData.id;
-
-  // Check if product already exists in cart (simple object lookup)
-  if (currentCart.products[productKey]) {
-    // Product exists, increment quantity
-    currentCart.products[productKey].quantity += productData.quantity || 1;
-    currentCart.products[productKey].subTotal =
-      currentCart.products[productKey].quantity *
-      currentCart.products[productKey].price;
-    currentCart.products[productKey].total =
-      currentCart.products[productKey].subTotal;
-  } else {
-    // Add new product to cart as object property
-    currentCart.products[productKey] = {
-      id: productData.id,
-      sku: productData.id,
-      name: productData.name,
-      image: productData.image,
-      thumbnail: productData.thumbnail,
-      category: productData.category,
-      description: productData.description,
-      quantity: productData.quantity || 1,
-      price: productData.price,
-      subTotal: productData.price * (productData.quantity || 1),
-      total: productData.price * (productData.quantity || 1),
-    };
-  }
-
-  // Update cart totals by iterating over object values
-  const productValues = Object.values(currentCart.products);
-  currentCart.productCount = productValues.reduce(
-    (sum, p) => sum + p.quantity,
-    0
-  );
-  currentCart.subTotal = productValues.reduce((sum, p) => sum + p.subTotal, 0);
-  currentCart.total = currentCart.subTotal;
-
-  // Update dataLayer with new cart
-  _dataLayer.cart = currentCart;
+  // Cart math, persistence and events are owned by the cart service
+  withHistory({ type: "addToCart", args: [productData], source }, () => {
+    addCartItem(productData);
+  });
+}
 
-  // Persist to localStorage with timestamp
-  try {
-    const now = Date.now().toString();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-    localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-  } catch (storageError) {
-    console.warn("⚠ Could not persist cart:", storageError.message);
-  }
+/**
+ * Publish the page locale and currency on dataLayer.project
+ * The currency sheet loads asynchronously, so the project is only
+ * updated once the exchange rate for the page language is known
+ */
+function updateProjectCurrency() {
+  loadCurrency().then(({ locale, currency, rate }) => {
+    const project = _dataLayer?.project || {};
+    if (
+      project.locale === locale &&
+      project.currency === currency &&
+      project.exchangeRate === rate
+    ) {
+      return;
+    }
 
-  // Dispatch event
-  dispatchDataLayerEvent("updated");
+    window.updateDataLayer({
+      project: {
+        locale,
+        currency,
+        baseCurrency: BASE_CURRENCY,
+        exchangeRate: rate,
+      },
+    });
+  });
 }
 
 /**
@@ -231,75 +713,15 @@ export function buildCustomDataLayer() {
         // Clear expired data
         localStorage.removeItem(STORAGE_KEY);
         localStorage.removeItem(STORAGE_TIMESTAMP_KEY);
+        localStorage.removeItem(STORAGE_VERSION_KEY);
       }
     }
 
-    if (savedDataLayer && isDataValid) {
-      // Restore the saved dataLayer
-      _dataLayer = JSON.parse(savedDataLayer);
-    } else {
-      // Create initial dataLayer if none exists
-      // Detect current language from URL
-      const currentLang = getLanguage() || "en";
-      const locale = `${currentLang}-${
-        currentLang === "en" ? "US" : currentLang.toUpperCase()
-      }`;
-
-      _dataLayer = {
-        projectName: "luma3",
-        project: {
-          id: "luma3",
-          title: "Luma Website v3",
-          template: "web-modular/empty-website-v2",
-          locale: "en-US",
-          currency: "USD",
-          projectName: "luma3",
-        },
-        page: { name: "home", title: "HOME" },
-        cart: {},
-        product: {}, // Will be populated on product detail pages
-        partnerData: {
-          PartnerID: "Partner456",
-          BrandLoyalist: 88,
-          Seasonality: "Fall",
-        },
-        // User profile information (populated during registration/signin)
-        personalEmail: {
-          address: "",
-        },
-        mobilePhone: {
-          number: "",
-        },
-        homeAddress: {
-          street1: "",
-          city: "",
-          postalCode: "",
-        },
-        person: {
-          gender: "",
-          birthDayAndMonth: "",
-          loyaltyConsent: false,
-          name: {
-            firstName: "",
-            lastName: "",
-          },
-        },
-        individualCharacteristics: {
-          retail: {
-            shoeSize: "",
-            shirtSize: "",
-            favoriteColor: "",
-          },
-        },
-        consents: {
-          marketing: {
-            call: { val: true },
-            email: { val: true },
-            sms: { val: true },
-          },
-        },
-      };
-    }
+    // Restore the saved dataLayer (upgraded to the current schema), or
+    // create the initial dataLayer if none exists
+    const restored =
+      savedDataLayer && isDataValid ? restoreDataLayer(savedDataLayer) : null;
+    _dataLayer = restored || createInitialDataLayer();
 
     // Update page information from current document
     if (!_dataLayer.page) {
@@ -309,13 +731,11 @@ export function buildCustomDataLayer() {
     _dataLayer.page.name = document.title.toLowerCase();
 
     // Save updated dataLayer to localStorage with timestamp
-    try {
-      const now = Date.now().toString();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-      localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-    } catch (storageError) {
-      console.warn("⚠ Could not persist dataLayer:", storageError.message);
-    }
+    persistDataLayer();
+
+    // Subscribers are told about the changes made from now on; the
+    // restored state is not a change
+    lastNotifiedState = JSON.parse(JSON.stringify(_dataLayer));
 
     // Define window.dataLayer as a read-only property
     Object.defineProperty(window, "dataLayer", {
@@ -340,24 +760,35 @@ export function buildCustomDataLayer() {
     // Mark dataLayer as ready
     window._dataLayerReady = true;
 
+    // Keep the cart and wishlist in sync with the other open tabs
+    setupDataLayerSync();
+
+    // Persist only what the visitor agreed to
+    setupConsentListeners();
+
     // Process any queued updates
     processDataLayerQueue();
 
     // Process any queued cart operations
     processCartQueue();
 
+    // Locale and currency follow the language of the current page
+    updateProjectCurrency();
+
+    // Discounts, shipping and tax follow the current sheets, not the rules
+    // the cart was priced with
+    refreshCartPricing();
+
     // Dispatch initial event after dataLayer is set up
     setTimeout(() => {
-      dispatchDataLayerEvent(savedDataLayer ? "restored" : "initialized");
+      dispatchDataLayerEvent(restored ? "restored" : "initialized");
     }, 0);
   } catch (error) {
     console.error("Error initializing dataLayer:", error);
 
     // Fallback: create basic dataLayer
     const currentLang = getLanguage() || "en";
-    const locale = `${currentLang}-${
-      currentLang === "en" ? "US" : currentLang.toUpperCase()
-    }`;
+    const locale = getLocale(currentLang);
 
     _dataLayer = {
       projectName: "luma3",
@@ -365,12 +796,13 @@ export function buildCustomDataLayer() {
         id: "luma3",
         title: "Luma Website v3",
         template: "web-modular/empty-website-v2",
-        locale: "en-US",
-        currency: "USD",
+        locale,
+        currency: BASE_CURRENCY,
         projectName: "luma3",
       },
       page: {},
       cart: {},
+      wishlist: {},
       product: {},
       partnerData: {},
       personalEmail: { address: "" },
@@ -427,6 +859,9 @@ window.updateDataLayer = function (updates, merge = true) {
     return;
   }
 
+  // Dev-mode warnings for values that do not match the schema
+  warnSchemaErrors(validateDataLayer(updates), "updateDataLayer");
+
   // Queue if not ready yet
   if (!window._dataLayerReady || !_dataLayer) {
     window._dataLayerQueue.push({ updates, merge });
@@ -436,28 +871,27 @@ window.updateDataLayer = function (updates, merge = true) {
   // Set updating flag
   window._dataLayerUpdating = true;
 
-  if (merge) {
-    // Deep merge the updates with existing dataLayer
-    _dataLayer = deepMerge(_dataLayer, updates);
-  } else {
-    // Replace specific properties
-    _dataLayer = { ..._dataLayer, ...updates };
-  }
+  withHistory({ type: "updateDataLayer", args: [updates, merge] }, () => {
+    if (merge) {
+      // Deep merge the updates with existing dataLayer
+      _dataLayer = deepMerge(_dataLayer, updates);
+    } else {
+      // Replace specific properties
+      _dataLayer = { ..._dataLayer, ...updates };
+    }
+  });
 
   // Persist to localStorage with timestamp
-  try {
-    const now = Date.now().toString();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(_dataLayer));
-    localStorage.setItem(STORAGE_TIMESTAMP_KEY, now);
-  } catch (storageError) {
-    console.warn("⚠ Could not persist dataLayer:", storageError.message);
-  }
+  persistDataLayer();
 
   // Clear updating flag
   window._dataLayerUpdating = false;
 
   // Dispatch event to notify other components
   dispatchDataLayerEvent("updated");
+
+  // Let the other open tabs pick up cart and wishlist changes
+  broadcastSharedState();
 };
 
 /**
@@ -488,6 +922,32 @@ window.getDataLayerProperty = function (path) {
   return typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
 };
 
+/**
+ * Subscribe to changes of a part of the dataLayer
+ * Available immediately on page load
+ * @param {string} path - Dot-notation path (e.g., 'cart.products'), or ''
+ *   for the whole dataLayer
+ * @param {Function} callback - Called with { path, oldValue, newValue, diff }
+ *   when the value at the path changed (see diffValues for the diff)
+ * @returns {Function} Unsubscribe function
+ */
+window.subscribeDataLayer = function (path, callback) {
+  if (typeof callback !== "function") {
+    console.error("Invalid callback provided to subscribeDataLayer");
+    return () => {};
+  }
+
+  const subscription = {
+    path: path || "",
+    segments: path ? path.split(".") : [],
+    callback,
+  };
+  subscriptions.add(subscription);
+  return () => {
+    subscriptions.delete(subscription);
+  };
+};
+
 /**
  * Clear dataLayer and all queues
  * Note: Does NOT clear checkout form data (personal information)
@@ -497,11 +957,14 @@ window.clearDataLayer = function () {
   window._cartQueue = [];
   localStorage.removeItem(STORAGE_KEY);
   localStorage.removeItem(STORAGE_TIMESTAMP_KEY);
+  localStorage.removeItem(STORAGE_VERSION_KEY);
 };
 
 /**
- * Save checkout form data to localStorage with TTL
- * This data persists separately from cart/dataLayer
+ * Save checkout form data
+ * The checkout steps of the current session always get it back; it is
+ * kept for later visits (localStorage with TTL, separately from
+ * cart/dataLayer) only with the visitor's consent to preferences storage
  * @param {Object} formData - Checkout form data
  */
 window.saveCheckoutData = function (formData) {
@@ -509,6 +972,14 @@ window.saveCheckoutData = function (formData) {
     console.error("Invalid checkout data provided");
     return;
   }
+  if (storageForgotten) return;
+
+  try {
+    sessionStorage.setItem(CHECKOUT_STORAGE_KEY, JSON.stringify(formData));
+  } catch (storageError) {
+    console.warn("⚠ Could not keep checkout data:", storageError.message);
+  }
+  if (!hasConsent(CONSENT_CATEGORIES.PREFERENCES)) return;
 
   try {
     const now = Date.now().toString();
@@ -520,11 +991,16 @@ window.saveCheckoutData = function (formData) {
 };
 
 /**
- * Load checkout form data from localStorage with TTL check
+ * Load checkout form data: the data of the current session, or else the
+ * data saved on an earlier visit (with TTL check)
+ * Every checkout step reads the form through this function
  * @returns {Object|null} Saved checkout data or null if expired/not found
  */
 window.loadCheckoutData = function () {
   try {
+    const sessionData = sessionStorage.getItem(CHECKOUT_STORAGE_KEY);
+    if (sessionData) return JSON.parse(sessionData);
+
     const savedData = localStorage.getItem(CHECKOUT_STORAGE_KEY);
     const savedTimestamp = localStorage.getItem(CHECKOUT_TIMESTAMP_KEY);
 
@@ -550,25 +1026,32 @@ window.loadCheckoutData = function () {
 };
 
 /**
- * Clear checkout form data from localStorage
+ * Clear checkout form data (session and later visits)
  * Separate function to explicitly clear user's personal information
  */
 window.clearCheckoutData = function () {
-  localStorage.removeItem(CHECKOUT_STORAGE_KEY);
-  localStorage.removeItem(CHECKOUT_TIMESTAMP_KEY);
+  sessionStorage.removeItem(CHECKOUT_STORAGE_KEY);
+  clearSavedCheckoutData();
 };
 
 /**
  * Add product to cart (queues if dataLayer not ready)
- * Products stored as object keyed by ID for easy lookup and duplicate prevention
+ * Products stored as object keyed by ID (plus the selected variant options)
+ * for easy lookup and duplicate prevention
  * @param {Object} productData - Product information
  * @param {string} productData.id - Product ID (used as key in cart.products object)
+ * @param {string} productData.sku - Variant SKU (optional, defaults to the ID)
+ * @param {string} productData.color - Selected color variant (optional)
+ * @param {string} productData.size - Selected size variant (optional)
  * @param {string} productData.name - Product name
  * @param {string} productData.image - Product image URL
  * @param {string} productData.thumbnail - Product thumbnail URL
  * @param {string} productData.category - Product category
  * @param {string} productData.description - Product description
  * @param {number} productData.price - Product price
+ * @param {number} productData.weight - Product weight in kg (optional, used for shipping)
+ * @param {number} productData.stock - Available stock (optional, caps the cart quantity)
+ * @param {string} productData.folder - Catalog folder of the product (optional, used to reorder)
  * @param {number} productData.quantity - Quantity to add (default: 1)
  */
 window.addToCart = function (productData) {
@@ -2,12 +2,15 @@
 import {
   getMetadata,
   loadScript,
+  loadCSS,
   fetchPlaceholders,
   sampleRUM,
 } from "./aem.js";
 import { a, span, i } from "./dom-helpers.js";
 import { isInternalPage } from "./utils.js";
 import { initializeCustomEvents } from "./custom-events.js";
+import { CONSENT_CATEGORIES, CONSENT_EVENTS, hasConsent } from "./consent.js";
+import { isDataLayerDebugEnabled } from "./datalayer-schema.js";
 
 // Adobe Target - start
 
@@ -40,7 +43,7 @@ function openPopUp(popUrl) {
 /**
  * Finds and embeds custom JS and css
  */
-function embedCustomLibraries() {
+function loadCustomLibraries() {
   const externalLibs = getMetadata("js-files");
   const libsArray = externalLibs?.split(",").map((url) => url.trim());
 
@@ -50,6 +53,23 @@ function embedCustomLibraries() {
   });
 }
 
+/**
+ * Embeds the custom JS once the visitor agreed to marketing tags
+ */
+function embedCustomLibraries() {
+  if (hasConsent(CONSENT_CATEGORIES.MARKETING)) {
+    loadCustomLibraries();
+    return;
+  }
+
+  const onConsent = () => {
+    if (!hasConsent(CONSENT_CATEGORIES.MARKETING)) return;
+    document.removeEventListener(CONSENT_EVENTS.UPDATED, onConsent);
+    loadCustomLibraries();
+  };
+  document.addEventListener(CONSENT_EVENTS.UPDATED, onConsent);
+}
+
 /**
  * Finds and decorates anchor elements with Twitter hrefs
  */
@@ -125,3 +145,14 @@ if (!window.location.hostname.includes("localhost")) {
 // 2. DataLayer is fully initialized and stable
 // 3. All page content is loaded before event tracking
 // ==========================================
+
+// ==========================================
+// DataLayer debug panel (?datalayer-debug, dev hosts only)
+// Only downloaded when enabled, see isDataLayerDebugEnabled
+// ==========================================
+if (isDataLayerDebugEnabled()) {
+  loadCSS(`${window.hlx.codeBasePath}/styles/datalayer-debug.css`);
+  import("./datalayer-debug-panel.js").then(
+    ({ default: showDataLayerDebugPanel }) => showDataLayerDebugPanel()
+  );
+}
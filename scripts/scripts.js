@@ -29,6 +29,8 @@ import {
 
 // Import dataLayer management (available immediately)
 import "./datalayer.js";
+// Mirror it into window.adobeDataLayer with XDM commerce events
+import "./datalayer-xdm.js";
 
 /**
  * Moves all the attributes from a given elmenet to another given element.
@@ -147,6 +147,21 @@ export function setPageLanguage() {
   document.documentElement.lang = currentLang;
 }
 
+/**
+ * Get the path of a language root of the current site.
+ * EDS: /{lang}, AEM author: /content/{site}/language-masters/{lang}
+ * @param {string} targetLang - Language code
+ * @returns {string} Language root path, without extension
+ */
+export function getLanguageRootPath(targetLang) {
+  const { isContentPath } = getPathDetails();
+  if (!isContentPath) return `/${targetLang}`;
+
+  // getSiteName can be async; the site name is taken from the path instead
+  const siteNameFromPath = window.location.pathname.split('/')[2] || '';
+  return `/content/${siteNameFromPath}${PATH_PREFIX}/${targetLang}`;
+}
+
 /**
  * Compute the URL of the current page for a target language.
  * Supports both EDS-style (/en/path) and AEM author (/content/{site}/language-masters/en/path.html)
@@ -167,16 +182,12 @@ export function computeLocalizedUrl(targetLang) {
         // Homepage → root
         return `/${query}${hash}`.replace(/\/\/?(?=\?|#|$)/, '/');
       }
-      const next = `/${targetLang}${cleanSuffix ? `/${cleanSuffix}` : ''}`;
+      const next = `${getLanguageRootPath(targetLang)}${cleanSuffix ? `/${cleanSuffix}` : ''}`;
       return `${next}${query}${hash}`;
     }
 
     // AEM author: /content/{site}/language-masters/{lang}/{suffix}.html
-    // getSiteName can be async; fall back to path parsing if needed synchronously
-    const { pathname } = window.location;
-    const parts = pathname.split('/');
-    const siteNameFromPath = parts[2] || '';
-    const base = `/content/${siteNameFromPath}${PATH_PREFIX}/${targetLang}`;
+    const base = getLanguageRootPath(targetLang);
     // Normalize suffix:
     // - treat ".html" (language root) as empty
     // - strip any trailing .html from non-empty suffixes to avoid double extensions